@@ -0,0 +1,15 @@
+-- CreateTable
+CREATE TABLE "webhook_events" (
+    "id" TEXT NOT NULL,
+    "type" TEXT NOT NULL,
+    "stripeAccountId" TEXT,
+    "status" TEXT NOT NULL DEFAULT 'processing',
+    "error" TEXT,
+    "receivedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "processedAt" TIMESTAMP(3),
+
+    CONSTRAINT "webhook_events_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "webhook_events_stripeAccountId_idx" ON "webhook_events"("stripeAccountId");
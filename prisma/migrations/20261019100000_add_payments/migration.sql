@@ -0,0 +1,47 @@
+-- CreateTable
+CREATE TABLE "payments" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "stripeAccountId" TEXT NOT NULL,
+    "paymentIntentId" TEXT NOT NULL,
+    "chargeId" TEXT,
+    "amount" INTEGER NOT NULL,
+    "currency" TEXT NOT NULL,
+    "status" TEXT NOT NULL,
+    "chargeStatus" TEXT,
+    "paid" BOOLEAN NOT NULL DEFAULT false,
+    "amountRefunded" INTEGER NOT NULL DEFAULT 0,
+    "paymentType" TEXT NOT NULL DEFAULT 'custom',
+    "customerId" TEXT,
+    "customerEmail" TEXT,
+    "customerName" TEXT,
+    "customerPhone" TEXT,
+    "invoiceId" TEXT,
+    "readerId" TEXT,
+    "paymentMethodId" TEXT,
+    "receiptUrl" TEXT,
+    "description" TEXT,
+    "metadata" JSONB,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "payments_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "payments_paymentIntentId_key" ON "payments"("paymentIntentId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "payments_chargeId_key" ON "payments"("chargeId");
+
+-- CreateIndex
+CREATE INDEX "payments_userId_idx" ON "payments"("userId");
+
+-- CreateIndex
+CREATE INDEX "payments_stripeAccountId_createdAt_idx" ON "payments"("stripeAccountId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "payments_invoiceId_idx" ON "payments"("invoiceId");
+
+-- AddForeignKey
+ALTER TABLE "payments" ADD CONSTRAINT "payments_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
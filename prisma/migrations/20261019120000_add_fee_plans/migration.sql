@@ -0,0 +1,27 @@
+-- AlterTable
+ALTER TABLE "users" ADD COLUMN     "feePlanId" TEXT;
+
+-- AlterTable
+ALTER TABLE "payments" ADD COLUMN     "applicationFeeAmount" INTEGER;
+
+-- CreateTable
+CREATE TABLE "fee_plans" (
+    "id" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "percentBasisPoints" INTEGER NOT NULL DEFAULT 0,
+    "fixedAmount" INTEGER NOT NULL DEFAULT 0,
+    "minAmount" INTEGER,
+    "maxAmount" INTEGER,
+    "currencyOverrides" JSONB,
+    "isDefault" BOOLEAN NOT NULL DEFAULT false,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "fee_plans_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "fee_plans_name_key" ON "fee_plans"("name");
+
+-- AddForeignKey
+ALTER TABLE "users" ADD CONSTRAINT "users_feePlanId_fkey" FOREIGN KEY ("feePlanId") REFERENCES "fee_plans"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,22 @@
+-- CreateTable
+CREATE TABLE "oauth_states" (
+    "id" TEXT NOT NULL,
+    "stateHash" TEXT NOT NULL,
+    "userId" TEXT,
+    "deviceId" TEXT,
+    "redirectUri" TEXT NOT NULL,
+    "expiresAt" TIMESTAMP(3) NOT NULL,
+    "consumedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "oauth_states_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "oauth_states_stateHash_key" ON "oauth_states"("stateHash");
+
+-- CreateIndex
+CREATE INDEX "oauth_states_expiresAt_idx" ON "oauth_states"("expiresAt");
+
+-- AddForeignKey
+ALTER TABLE "oauth_states" ADD CONSTRAINT "oauth_states_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
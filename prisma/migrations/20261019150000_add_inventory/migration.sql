@@ -0,0 +1,46 @@
+-- CreateTable
+CREATE TABLE "inventory_items" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "stripeAccountId" TEXT NOT NULL,
+    "productId" TEXT NOT NULL,
+    "priceId" TEXT NOT NULL,
+    "quantityOnHand" INTEGER NOT NULL DEFAULT 0,
+    "quantityReserved" INTEGER NOT NULL DEFAULT 0,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "inventory_items_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "inventory_reservations" (
+    "id" TEXT NOT NULL,
+    "inventoryItemId" TEXT NOT NULL,
+    "stripeAccountId" TEXT NOT NULL,
+    "invoiceId" TEXT NOT NULL,
+    "quantity" INTEGER NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'reserved',
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "inventory_reservations_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "inventory_items_stripeAccountId_priceId_key" ON "inventory_items"("stripeAccountId", "priceId");
+
+-- CreateIndex
+CREATE INDEX "inventory_items_stripeAccountId_productId_idx" ON "inventory_items"("stripeAccountId", "productId");
+
+-- CreateIndex
+CREATE INDEX "inventory_reservations_stripeAccountId_invoiceId_idx" ON "inventory_reservations"("stripeAccountId", "invoiceId");
+
+-- CreateIndex
+CREATE INDEX "inventory_reservations_inventoryItemId_status_idx" ON "inventory_reservations"("inventoryItemId", "status");
+
+-- AddForeignKey
+ALTER TABLE "inventory_items" ADD CONSTRAINT "inventory_items_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "inventory_reservations" ADD CONSTRAINT "inventory_reservations_inventoryItemId_fkey" FOREIGN KEY ("inventoryItemId") REFERENCES "inventory_items"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,21 @@
+-- CreateTable
+CREATE TABLE "location_tax_rates" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "stripeAccountId" TEXT NOT NULL,
+    "locationId" TEXT NOT NULL,
+    "taxRateId" TEXT NOT NULL,
+    "taxCode" TEXT,
+    "displayName" TEXT NOT NULL,
+    "percentage" DOUBLE PRECISION NOT NULL,
+    "inclusive" BOOLEAN NOT NULL DEFAULT false,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "location_tax_rates_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "location_tax_rates_stripeAccountId_locationId_idx" ON "location_tax_rates"("stripeAccountId", "locationId");
+
+-- AddForeignKey
+ALTER TABLE "location_tax_rates" ADD CONSTRAINT "location_tax_rates_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
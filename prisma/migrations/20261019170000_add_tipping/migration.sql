@@ -0,0 +1,27 @@
+-- AlterTable
+ALTER TABLE "payments" ADD COLUMN     "tipAmount" INTEGER NOT NULL DEFAULT 0;
+
+-- CreateTable
+CREATE TABLE "tip_settings" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "stripeAccountId" TEXT NOT NULL,
+    "enabled" BOOLEAN NOT NULL DEFAULT false,
+    "currency" TEXT NOT NULL DEFAULT 'usd',
+    "percentages" INTEGER[],
+    "fixedAmounts" INTEGER[],
+    "smartTipThreshold" INTEGER,
+    "allowCustom" BOOLEAN NOT NULL DEFAULT true,
+    "disabledLocationIds" TEXT[],
+    "terminalConfigurationId" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "tip_settings_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "tip_settings_userId_key" ON "tip_settings"("userId");
+
+-- AddForeignKey
+ALTER TABLE "tip_settings" ADD CONSTRAINT "tip_settings_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,7 @@
+-- AlterTable
+ALTER TABLE "payments" ADD COLUMN     "amountCapturable" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "captureBefore" TIMESTAMP(3),
+ADD COLUMN     "captureMethod" TEXT NOT NULL DEFAULT 'automatic';
+
+-- CreateIndex
+CREATE INDEX "payments_stripeAccountId_status_idx" ON "payments"("stripeAccountId", "status");
@@ -0,0 +1,24 @@
+-- CreateTable
+CREATE TABLE "terminal_locations" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "stripeAccountId" TEXT NOT NULL,
+    "locationId" TEXT NOT NULL,
+    "isDefault" BOOLEAN NOT NULL DEFAULT false,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "terminal_locations_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "terminal_locations_locationId_key" ON "terminal_locations"("locationId");
+
+-- CreateIndex
+CREATE INDEX "terminal_locations_stripeAccountId_idx" ON "terminal_locations"("stripeAccountId");
+
+-- At most one default location per account
+CREATE UNIQUE INDEX "terminal_locations_stripeAccountId_default_key" ON "terminal_locations"("stripeAccountId") WHERE "isDefault";
+
+-- AddForeignKey
+ALTER TABLE "terminal_locations" ADD CONSTRAINT "terminal_locations_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "terminal_locations" ADD COLUMN     "configurationId" TEXT,
+ADD COLUMN     "splashscreenFileId" TEXT;
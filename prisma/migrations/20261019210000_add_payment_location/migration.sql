@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "payments" ADD COLUMN     "locationId" TEXT;
+
+-- Backfill from intent metadata (set since per-location tax rates)
+UPDATE "payments" SET "locationId" = "metadata"->>'locationId' WHERE "metadata" ? 'locationId';
@@ -0,0 +1,33 @@
+-- DropIndex
+DROP INDEX "users_stripeAccountId_key";
+
+-- DropIndex
+DROP INDEX "stripe_details_userId_key";
+
+-- DropIndex
+DROP INDEX "tip_settings_userId_key";
+
+-- AlterTable
+ALTER TABLE "stripe_details" ALTER COLUMN "stripeAccessToken" DROP NOT NULL,
+ALTER COLUMN "stripeRefreshToken" DROP NOT NULL,
+ALTER COLUMN "stripeScope" DROP NOT NULL,
+ALTER COLUMN "stripeTokenType" DROP NOT NULL;
+
+-- AlterTable
+ALTER TABLE "sessions" ADD COLUMN     "stripeAccountId" TEXT;
+
+-- CreateIndex
+CREATE INDEX "stripe_details_userId_idx" ON "stripe_details"("userId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "tip_settings_stripeAccountId_key" ON "tip_settings"("stripeAccountId");
+
+-- CreateIndex
+CREATE INDEX "tip_settings_userId_idx" ON "tip_settings"("userId");
+
+-- Disconnected accounts used to lose their stripe_details row; keep the account linked to its user
+INSERT INTO "stripe_details" ("id", "userId", "stripeAccountId", "stripeAccountStatus", "createdAt", "updatedAt")
+SELECT gen_random_uuid()::text, "id", "stripeAccountId", 'not_connected', CURRENT_TIMESTAMP, CURRENT_TIMESTAMP
+FROM "users"
+WHERE "stripeAccountId" IS NOT NULL
+  AND NOT EXISTS (SELECT 1 FROM "stripe_details" WHERE "stripe_details"."stripeAccountId" = "users"."stripeAccountId");
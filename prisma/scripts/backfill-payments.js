@@ -0,0 +1,55 @@
+/**
+ * Backfill the payments ledger from Stripe charges
+ * Usage: npm run db:backfill-payments -- [days]   (defaults to the last 90 days)
+ */
+require('../../src/config/env.js');
+
+const prisma = require('../../src/config/database.js');
+const {
+  fetchChargesFromStripeService,
+  syncChargeService,
+} = require('../../src/modules/payment/services.js');
+
+const DEFAULT_DAYS = 90;
+
+async function backfillPayments() {
+  const days = Math.max(1, parseInt(process.argv[2], 10) || DEFAULT_DAYS);
+  const endTimestamp = Math.floor(Date.now() / 1000);
+  const startTimestamp = endTimestamp - days * 86400;
+
+  // Every linked account - a user may have several
+  const accounts = await prisma.stripeDetails.findMany({
+    select: { userId: true, stripeAccountId: true },
+  });
+
+  console.log(`🔄 Backfilling ${days} days of payments for ${accounts.length} account(s)...`);
+
+  for (const account of accounts) {
+    try {
+      const charges = await fetchChargesFromStripeService(
+        account.stripeAccountId,
+        startTimestamp,
+        endTimestamp
+      );
+
+      let synced = 0;
+      for (const charge of charges) {
+        const payment = await syncChargeService(account.stripeAccountId, charge, account.userId);
+        if (payment) {
+          synced += 1;
+        }
+      }
+
+      console.log(`✅ ${account.stripeAccountId}: ${synced}/${charges.length} charges synced`);
+    } catch (error) {
+      console.error(`❌ ${account.stripeAccountId}: ${error.message}`);
+    }
+  }
+}
+
+backfillPayments()
+  .catch((error) => {
+    console.error('❌ Backfill failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => prisma.$disconnect());
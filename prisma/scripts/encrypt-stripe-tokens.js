@@ -0,0 +1,76 @@
+/**
+ * Encrypt plaintext Stripe OAuth tokens in stripe_details and re-wrap values
+ * encrypted with an old master key onto the active key (key rotation)
+ *
+ * Usage: npm run db:encrypt-tokens -- [--dry-run]
+ *
+ * Rotation: add the new key to TOKEN_ENCRYPTION_KEYS, point TOKEN_ENCRYPTION_KEY_ID at it,
+ * run this script, then remove the old key once no rows reference it.
+ */
+require('../../src/config/env.js');
+
+// Use the plain client so we see stored values, not the decrypted ones from config/database.js
+const { PrismaClient } = require('@prisma/client');
+const {
+  activeKeyId,
+  isEncrypted,
+  getKeyId,
+  encryptSecret,
+  rewrapSecret,
+} = require('../../src/utils/encryption.js');
+
+const FIELDS = ['stripeAccessToken', 'stripeRefreshToken'];
+
+const prisma = new PrismaClient();
+
+async function encryptStripeTokens() {
+  const dryRun = process.argv.includes('--dry-run');
+
+  if (!activeKeyId) {
+    throw new Error('TOKEN_ENCRYPTION_KEYS is not configured');
+  }
+
+  const rows = await prisma.stripeDetails.findMany({
+    select: { id: true, stripeAccountId: true, stripeAccessToken: true, stripeRefreshToken: true },
+  });
+
+  console.log(`🔐 Checking ${rows.length} stripe_details row(s) (active key: ${activeKeyId})${dryRun ? ' [dry run]' : ''}...`);
+
+  let encrypted = 0;
+  let rewrapped = 0;
+
+  for (const row of rows) {
+    const data = {};
+
+    for (const field of FIELDS) {
+      const value = row[field];
+      if (!value) {
+        continue;
+      }
+
+      if (!isEncrypted(value)) {
+        data[field] = encryptSecret(value);
+        encrypted += 1;
+      } else if (getKeyId(value) !== activeKeyId) {
+        data[field] = rewrapSecret(value);
+        rewrapped += 1;
+      }
+    }
+
+    if (Object.keys(data).length > 0 && !dryRun) {
+      await prisma.stripeDetails.update({
+        where: { id: row.id },
+        data,
+      });
+    }
+  }
+
+  console.log(`✅ ${encrypted} value(s) encrypted, ${rewrapped} value(s) re-wrapped`);
+}
+
+encryptStripeTokens()
+  .catch((error) => {
+    console.error('❌ Token encryption failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => prisma.$disconnect());
@@ -1,9 +1,79 @@
 const { PrismaClient } = require('@prisma/client');
+const { encryptSecret, decryptSecret } = require('../utils/encryption.js');
 
-const prisma = new PrismaClient({
+// Stripe OAuth tokens are encrypted at rest (see utils/encryption.js)
+const ENCRYPTED_STRIPE_DETAILS_FIELDS = ['stripeAccessToken', 'stripeRefreshToken'];
+
+/**
+ * Encrypt secret fields in Prisma write data
+ * @param {object|undefined} data - create/update data
+ * @returns {object|undefined} Data with secret fields encrypted
+ */
+const encryptStripeDetailsData = (data) => {
+  if (!data) {
+    return data;
+  }
+
+  const encrypted = { ...data };
+  for (const field of ENCRYPTED_STRIPE_DETAILS_FIELDS) {
+    const value = encrypted[field];
+    if (value && typeof value === 'object' && 'set' in value) {
+      encrypted[field] = { set: encryptSecret(value.set) };
+    } else if (value !== undefined) {
+      encrypted[field] = encryptSecret(value);
+    }
+  }
+  return encrypted;
+};
+
+const basePrisma = new PrismaClient({
   log: process.env.NODE_ENV === 'development' ? ['query', 'error', 'warn'] : ['error'],
 });
 
+// Encrypt Stripe tokens on write and decrypt them on read, so services only ever see plaintext.
+// Only top-level stripeDetails writes are covered - don't write tokens through nested user writes.
+const prisma = basePrisma.$extends({
+  query: {
+    stripeDetails: {
+      async create({ args, query }) {
+        args.data = encryptStripeDetailsData(args.data);
+        return query(args);
+      },
+      async createMany({ args, query }) {
+        args.data = Array.isArray(args.data)
+          ? args.data.map(encryptStripeDetailsData)
+          : encryptStripeDetailsData(args.data);
+        return query(args);
+      },
+      async update({ args, query }) {
+        args.data = encryptStripeDetailsData(args.data);
+        return query(args);
+      },
+      async updateMany({ args, query }) {
+        args.data = encryptStripeDetailsData(args.data);
+        return query(args);
+      },
+      async upsert({ args, query }) {
+        args.create = encryptStripeDetailsData(args.create);
+        args.update = encryptStripeDetailsData(args.update);
+        return query(args);
+      },
+    },
+  },
+  result: {
+    stripeDetails: {
+      stripeAccessToken: {
+        needs: { stripeAccessToken: true },
+        compute: (details) => decryptSecret(details.stripeAccessToken),
+      },
+      stripeRefreshToken: {
+        needs: { stripeRefreshToken: true },
+        compute: (details) => decryptSecret(details.stripeRefreshToken),
+      },
+    },
+  },
+});
+
 // Handle graceful shutdown
 process.on('beforeExit', async () => {
   await prisma.$disconnect();
@@ -16,7 +16,13 @@ if (!STRIPE_CLIENT_ID) {
   console.warn('⚠️  STRIPE_CLIENT_ID is not set. Stripe OAuth will not work.');
 }
 
+const STRIPE_WEBHOOK_SECRET = process.env.STRIPE_WEBHOOK_SECRET;
+if (!STRIPE_WEBHOOK_SECRET) {
+  console.warn('⚠️  STRIPE_WEBHOOK_SECRET is not set. Stripe webhooks will be rejected.');
+}
+
 module.exports = {
   stripe,
   STRIPE_CLIENT_ID,
+  STRIPE_WEBHOOK_SECRET,
 };
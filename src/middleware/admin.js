@@ -0,0 +1,38 @@
+const crypto = require('crypto');
+
+const ADMIN_API_KEY = process.env.ADMIN_API_KEY;
+if (!ADMIN_API_KEY) {
+  console.warn('⚠️  ADMIN_API_KEY is not set. Admin endpoints will be disabled.');
+}
+
+/**
+ * Admin authentication middleware
+ * Platform-level endpoints (e.g. fee plans) are not tied to a merchant, so they are
+ * protected by a shared API key sent in the X-Admin-Key header instead of a user JWT
+ */
+const requireAdmin = (req, res, next) => {
+  if (!ADMIN_API_KEY) {
+    return res.status(503).json({
+      status: 'error',
+      message: 'Admin API is not configured',
+    });
+  }
+
+  const providedKey = req.headers['x-admin-key'];
+  const expected = Buffer.from(ADMIN_API_KEY);
+  const provided = Buffer.from(providedKey || '');
+
+  // Constant-time comparison to avoid leaking the key through timing
+  if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+    return res.status(401).json({
+      status: 'error',
+      message: 'Admin authentication required',
+    });
+  }
+
+  next();
+};
+
+module.exports = {
+  requireAdmin,
+};
@@ -21,6 +21,95 @@ if (JWT_SECRET === 'your-secret-key-change-in-production' || JWT_SECRET.length <
   );
 }
 
+/**
+ * Check that the session behind an access token is still active
+ * @param {object} decoded - Verified token payload
+ * @returns {Promise<boolean>} True if the session exists, belongs to the user and is not revoked or expired
+ */
+const isSessionActive = async (decoded) => {
+  if (!decoded.sessionId) {
+    return false;
+  }
+
+  const session = await prisma.session.findUnique({
+    where: { id: decoded.sessionId },
+    select: {
+      userId: true,
+      staffId: true,
+      stripeAccountId: true,
+      revokedAt: true,
+      expiresAt: true,
+    },
+  });
+
+  return Boolean(
+    session &&
+    session.userId === decoded.userId &&
+    session.staffId === (decoded.staffId || null) &&
+    session.stripeAccountId === (decoded.stripeAccountId || null) &&
+    !session.revokedAt &&
+    session.expiresAt > new Date()
+  );
+};
+
+/**
+ * Resolve the role behind an access token
+ * Staff tokens (PIN login on a shared device) carry a staffId; the role is read fresh so
+ * role changes and deactivation apply immediately. Merchant tokens act as owner.
+ * @param {object} decoded - Verified token payload
+ * @returns {Promise<object|null>} Staff ID and role, or null if the staff member is no longer active
+ */
+const resolveStaffRole = async (decoded) => {
+  if (!decoded.staffId) {
+    return { staffId: null, role: 'owner' };
+  }
+
+  const staff = await prisma.staff.findUnique({
+    where: { id: decoded.staffId },
+    select: {
+      userId: true,
+      role: true,
+      active: true,
+    },
+  });
+
+  if (!staff || !staff.active || staff.userId !== decoded.userId) {
+    return null;
+  }
+
+  return { staffId: decoded.staffId, role: staff.role };
+};
+
+/**
+ * Resolve the Stripe account a request works on
+ * Selected by the X-Stripe-Account header, else the token's stripeAccountId claim (POST /api/stripe/accounts/switch),
+ * else the user's active account. A selected account must be linked to the user.
+ * @param {object} req - Express request
+ * @param {object} decoded - Verified token payload
+ * @param {object} user - User with id, stripeAccountId and stripeAccountStatus
+ * @returns {Promise<object|null>} Account ID and status, or null if the selected account isn't linked to the user
+ */
+const resolveStripeAccount = async (req, decoded, user) => {
+  const selectedAccountId = req.headers['x-stripe-account'] || decoded.stripeAccountId;
+
+  if (!selectedAccountId || selectedAccountId === user.stripeAccountId) {
+    return {
+      stripeAccountId: user.stripeAccountId,
+      stripeAccountStatus: user.stripeAccountStatus,
+    };
+  }
+
+  const details = await prisma.stripeDetails.findFirst({
+    where: { userId: user.id, stripeAccountId: selectedAccountId },
+    select: {
+      stripeAccountId: true,
+      stripeAccountStatus: true,
+    },
+  });
+
+  return details;
+};
+
 /**
  * Authentication middleware
  * Verifies JWT token from Authorization header and validates user exists in database
@@ -29,11 +118,15 @@ if (JWT_SECRET === 'your-secret-key-change-in-production' || JWT_SECRET.length <
  * 1. Extracts token from Authorization: Bearer <token> header
  * 2. Verifies token signature using JWT_SECRET (ensures token wasn't tampered with)
  * 3. Checks token expiration
- * 4. Extracts user info from token payload: { userId, email }
- * 5. Validates user exists in database (database lookup)
- * 6. Attaches user info to request object: req.user
+ * 4. Extracts user info from token payload: { userId, email, sessionId, staffId?, stripeAccountId? }
+ * 5. Validates the session has not been revoked (logout, logout-all, stolen device)
+ * 6. Validates user exists in database (database lookup)
+ * 7. Resolves the staff member's role (merchant tokens act as owner)
+ * 8. Resolves the selected Stripe account (X-Stripe-Account header, token claim or the user's active account)
+ * 9. Attaches user info to request object: req.user
  * 
  * Token is generated during Stripe OAuth callback (POST /api/stripe/oauth-callback)
+ * or staff PIN login (POST /api/staff/login), and renewed with a refresh token (POST /api/auth/refresh)
  * There is no traditional login API - authentication happens through Stripe OAuth flow
  */
 const authenticate = async (req, res, next) => {
@@ -51,9 +144,17 @@ const authenticate = async (req, res, next) => {
     console.log("token",token)
     try {
       // Verify token signature and expiration
-      // Token payload contains: { userId, email }
-      // This was set when token was generated in handleOAuthCallback
+      // Token payload contains: { userId, email, sessionId }
+      // This was set when the session was created in handleOAuthCallback
       const decoded = jwt.verify(token, JWT_SECRET);
+
+      // Reject tokens whose session was revoked or has expired
+      if (!(await isSessionActive(decoded))) {
+        return res.status(401).json({
+          status: 'error',
+          message: 'Session has been revoked. Please log in again.',
+        });
+      }
       
       // Validate that user exists in database
       const user = await prisma.user.findUnique({
@@ -72,14 +173,34 @@ const authenticate = async (req, res, next) => {
           message: 'User not found. Please log in again.',
         });
       }
+
+      const staff = await resolveStaffRole(decoded);
+      if (!staff) {
+        return res.status(401).json({
+          status: 'error',
+          message: 'Staff member is no longer active. Please log in again.',
+        });
+      }
+
+      const account = await resolveStripeAccount(req, decoded, user);
+      if (!account) {
+        return res.status(403).json({
+          status: 'error',
+          message: 'Stripe account is not linked to this user.',
+        });
+      }
       
       // Attach user info to request object
-      // Route handlers can access: req.user.userId, req.user.email, req.user.stripeAccountId
+      // Route handlers can access: req.user.userId, req.user.email, req.user.stripeAccountId (selected account),
+      // req.user.sessionId, req.user.staffId (null for the merchant) and req.user.role (checked by the authorize middleware)
       req.user = {
         userId: user.id,
         email: user.email,
-        stripeAccountId: user.stripeAccountId,
-        stripeAccountStatus: user.stripeAccountStatus,
+        stripeAccountId: account.stripeAccountId,
+        stripeAccountStatus: account.stripeAccountStatus,
+        sessionId: decoded.sessionId,
+        staffId: staff.staffId,
+        role: staff.role,
       };
       
       next();
@@ -122,8 +243,8 @@ const optionalAuth = async (req, res, next) => {
       try {
         const decoded = jwt.verify(token, JWT_SECRET);
         
-        // Validate user exists in database
-        const user = await prisma.user.findUnique({
+        // Validate session is active and user exists in database
+        const user = await isSessionActive(decoded) && await prisma.user.findUnique({
           where: { id: decoded.userId },
           select: {
             id: true,
@@ -133,13 +254,18 @@ const optionalAuth = async (req, res, next) => {
           },
         });
         
-        if (user) {
+        const staff = user && await resolveStaffRole(decoded);
+        const account = staff && await resolveStripeAccount(req, decoded, user);
+
+        if (account) {
           req.user = {
             userId: user.id,
             email: user.email,
-            stripeAccountId: user.stripeAccountId,
-            stripeAccountStatus: user.stripeAccountStatus,
-           
+            stripeAccountId: account.stripeAccountId,
+            stripeAccountStatus: account.stripeAccountStatus,
+            sessionId: decoded.sessionId,
+            staffId: staff.staffId,
+            role: staff.role,
           };
         } else {
           req.user = null;
@@ -158,10 +284,11 @@ const optionalAuth = async (req, res, next) => {
 };
 
 /**
- * Generate JWT token for user
+ * Generate short-lived JWT access token for user
+ * Payload must include sessionId - tokens are renewed through POST /api/auth/refresh
  */
 const generateToken = (payload) => {
-  const expiresIn = process.env.JWT_EXPIRES_IN || '7d';
+  const expiresIn = process.env.JWT_EXPIRES_IN || '15m';
   return jwt.sign(payload, JWT_SECRET, { expiresIn });
 };
 
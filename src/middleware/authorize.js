@@ -0,0 +1,74 @@
+/**
+ * Staff roles, from most to least privileged
+ * The merchant who connected the Stripe account (no staff member on the token) acts as owner
+ */
+const ROLES = ['owner', 'manager', 'cashier'];
+
+/**
+ * Roles allowed to perform each action
+ */
+const PERMISSIONS = {
+  'payments:charge': ['owner', 'manager', 'cashier'],
+  'payments:refund': ['owner', 'manager'],
+  'catalog:write': ['owner'],
+  'locations:write': ['owner'],
+  'settings:write': ['owner'],
+  'staff:read': ['owner', 'manager'],
+  'staff:write': ['owner'],
+  'account:write': ['owner'],
+};
+
+/**
+ * Check whether a role may perform an action
+ * @param {string} role - Staff role
+ * @param {string} permission - Permission key from PERMISSIONS
+ * @returns {boolean} True if the role is allowed
+ */
+const hasPermission = (role, permission) => {
+  const allowedRoles = PERMISSIONS[permission];
+  if (!allowedRoles) {
+    throw new Error(`Unknown permission: ${permission}`);
+  }
+  return allowedRoles.includes(role);
+};
+
+/**
+ * Authorization middleware factory
+ * Must run after authenticate, which sets req.user.role from the staff member on the token
+ *
+ * Usage: router.post('/refund', authenticate, authorize('payments:refund'), createRefund);
+ * @param {string} permission - Permission key from PERMISSIONS
+ * @returns {Function} Express middleware
+ */
+const authorize = (permission) => {
+  // Fail at startup rather than on the first request for a typo'd permission
+  if (!PERMISSIONS[permission]) {
+    throw new Error(`Unknown permission: ${permission}`);
+  }
+
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Authentication required. Please provide a valid token.',
+      });
+    }
+
+    if (!hasPermission(req.user.role, permission)) {
+      return res.status(403).json({
+        status: 'error',
+        message: `Your role (${req.user.role}) is not allowed to perform this action`,
+        code: 'permission-denied',
+      });
+    }
+
+    next();
+  };
+};
+
+module.exports = {
+  ROLES,
+  PERMISSIONS,
+  hasPermission,
+  authorize,
+};
@@ -38,6 +38,7 @@ const errorHandler = (err, req, res, next) => {
     status: 'error',
     message,
     ...(err.code && { code: err.code }),
+    ...(err.details && { details: err.details }),
     ...(process.env.NODE_ENV === 'development' && { stack: err.stack }),
   });
 };
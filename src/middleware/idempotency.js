@@ -0,0 +1,176 @@
+const crypto = require('crypto');
+const prisma = require('../config/database.js');
+const { errorResponse } = require('../utils/response.js');
+
+const IDEMPOTENCY_HEADER = 'idempotency-key';
+const MAX_KEY_LENGTH = 255;
+
+// Matches how long Stripe keeps its own idempotency keys
+const KEY_TTL_MS = 24 * 60 * 60 * 1000;
+
+// A key stuck in 'processing' this long belongs to a request that never responded
+const PROCESSING_TIMEOUT_MS = 2 * 60 * 1000;
+
+/**
+ * Hash the parts of a request that must match for a replay
+ * The selected Stripe account is included so a key reused after switching accounts
+ * never replays the other account's response
+ * @param {object} req - Express request
+ * @returns {string} SHA-256 hex digest
+ */
+const hashRequest = (req) => {
+  return crypto
+    .createHash('sha256')
+    .update(JSON.stringify({
+      method: req.method,
+      path: req.baseUrl + req.path,
+      stripeAccountId: req.user.stripeAccountId || null,
+      body: req.body || {},
+    }))
+    .digest('hex');
+};
+
+/**
+ * Check whether a stored key can no longer be replayed and should be discarded
+ * @param {object} record - IdempotencyKey record
+ * @returns {boolean} True if the key has expired or its request was abandoned
+ */
+const isStale = (record) => {
+  const age = Date.now() - record.createdAt.getTime();
+  if (age > KEY_TTL_MS) {
+    return true;
+  }
+  return record.status === 'processing' && age > PROCESSING_TIMEOUT_MS;
+};
+
+/**
+ * Store the response for a key, or release the key if the request failed on our side
+ * @param {string} userId - User ID
+ * @param {string} key - Idempotency key
+ * @param {number} statusCode - Response status code
+ * @param {object} body - Response body
+ */
+const storeResponse = async (userId, key, statusCode, body) => {
+  try {
+    if (statusCode >= 500) {
+      // Server errors are not final - let the client retry with the same key
+      await prisma.idempotencyKey.delete({
+        where: { userId_key: { userId, key } },
+      });
+      return;
+    }
+
+    await prisma.idempotencyKey.update({
+      where: { userId_key: { userId, key } },
+      data: {
+        status: 'completed',
+        statusCode,
+        responseBody: body,
+      },
+    });
+  } catch (error) {
+    console.error(`Error storing idempotent response for key ${key}:`, error);
+  }
+};
+
+/**
+ * Idempotency middleware
+ * Replays the stored response when a request is retried with the same Idempotency-Key header
+ *
+ * How it works:
+ * 1. No Idempotency-Key header: request runs normally
+ * 2. New key: key is stored as 'processing', the response is captured and stored once sent
+ * 3. Same key and same request: stored response is replayed (Idempotent-Replayed: true)
+ * 4. Same key and different request: 422, key still processing: 409
+ * 5. 5xx responses release the key so the client can retry
+ *
+ * The key is exposed as req.idempotencyKey so services can derive Stripe idempotency keys.
+ * Must run after authenticate - keys are scoped per user.
+ */
+const idempotency = async (req, res, next) => {
+  const key = req.headers[IDEMPOTENCY_HEADER];
+
+  if (!key) {
+    return next();
+  }
+
+  if (key.length > MAX_KEY_LENGTH) {
+    return res.status(400).json(errorResponse(
+      `Idempotency-Key must be at most ${MAX_KEY_LENGTH} characters`,
+      'invalid-argument'
+    ));
+  }
+
+  const userId = req.user.userId;
+  const requestHash = hashRequest(req);
+
+  try {
+    let record = await prisma.idempotencyKey.findUnique({
+      where: { userId_key: { userId, key } },
+    });
+
+    if (record && isStale(record)) {
+      await prisma.idempotencyKey.deleteMany({
+        where: { id: record.id },
+      });
+      record = null;
+    }
+
+    if (record) {
+      if (record.requestHash !== requestHash) {
+        return res.status(422).json(errorResponse(
+          'Idempotency-Key was already used for a different request',
+          'idempotency-key-reused'
+        ));
+      }
+
+      if (record.status !== 'completed') {
+        return res.status(409).json(errorResponse(
+          'A request with this Idempotency-Key is still being processed',
+          'idempotency-request-in-progress'
+        ));
+      }
+
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(record.statusCode).json(record.responseBody);
+    }
+
+    try {
+      await prisma.idempotencyKey.create({
+        data: {
+          userId,
+          key,
+          method: req.method,
+          path: req.baseUrl + req.path,
+          requestHash,
+        },
+      });
+    } catch (error) {
+      // A concurrent request with the same key got there first
+      if (error.code === 'P2002') {
+        return res.status(409).json(errorResponse(
+          'A request with this Idempotency-Key is still being processed',
+          'idempotency-request-in-progress'
+        ));
+      }
+      throw error;
+    }
+  } catch (error) {
+    return next(error);
+  }
+
+  req.idempotencyKey = key;
+
+  // Capture the response (including errors sent by errorHandler) to replay on retries
+  const originalJson = res.json.bind(res);
+  res.json = (body) => {
+    storeResponse(userId, key, res.statusCode, body);
+    return originalJson(body);
+  };
+
+  next();
+};
+
+module.exports = {
+  idempotency,
+};
@@ -16,7 +16,9 @@ const logger = (req, res, next) => {
   }
   
   // Log request body if present (excluding sensitive data)
-  if (req.body && Object.keys(req.body).length > 0) {
+  if (Buffer.isBuffer(req.body)) {
+    console.log(`   Body: <raw ${req.body.length} bytes>`);
+  } else if (req.body && Object.keys(req.body).length > 0) {
     const sanitizedBody = { ...req.body };
     // Remove sensitive fields from logs
     if (sanitizedBody.code) {
@@ -31,6 +33,9 @@ const logger = (req, res, next) => {
     if (sanitizedBody.token) {
       sanitizedBody.token = sanitizedBody.token.substring(0, 20) + '...';
     }
+    if (sanitizedBody.refreshToken) {
+      sanitizedBody.refreshToken = '***';
+    }
     console.log(`   Body:`, sanitizedBody);
   }
   
@@ -59,6 +64,9 @@ const logger = (req, res, next) => {
         if (parsed.data && parsed.data.token) {
           parsed.data.token = parsed.data.token.substring(0, 20) + '...';
         }
+        if (parsed.data && parsed.data.refreshToken) {
+          parsed.data.refreshToken = '***';
+        }
         console.log(`   Response:`, JSON.stringify(parsed).substring(0, 200));
       } catch (e) {
         // Not JSON, log first 200 chars
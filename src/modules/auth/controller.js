@@ -0,0 +1,109 @@
+const { successResponse, errorResponse } = require('../../utils/response.js');
+const {
+  refreshSessionService,
+  revokeSessionService,
+  revokeAllSessionsService,
+  listSessionsService,
+} = require('./services.js');
+
+/**
+ * Exchange a refresh token for a new access token (refresh token is rotated)
+ * POST /api/auth/refresh
+ */
+const refreshSession = async (req, res, next) => {
+  try {
+    const { refreshToken } = req.body;
+
+    // Input validation
+    if (!refreshToken || typeof refreshToken !== 'string') {
+      return res.status(400).json(errorResponse('refreshToken is required and must be a string', 'invalid-argument'));
+    }
+
+    // Call service to rotate refresh token and issue access token
+    const session = await refreshSessionService(refreshToken);
+
+    res.json(successResponse(session, 'Session refreshed successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Log out the current session
+ * POST /api/auth/logout
+ */
+const logout = async (req, res, next) => {
+  try {
+    const { userId, sessionId } = req.user;
+
+    await revokeSessionService(userId, sessionId);
+
+    res.json(successResponse({ sessionId }, 'Logged out successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Log out every session for the current user (e.g. after a device is lost)
+ * POST /api/auth/logout-all
+ */
+const logoutAll = async (req, res, next) => {
+  try {
+    const { userId, staffId } = req.user;
+
+    // Staff only sign out their own devices, never the merchant's or other staff members'
+    const revokedCount = await revokeAllSessionsService(userId, staffId);
+
+    res.json(successResponse({ revokedCount }, 'All sessions logged out successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * List active sessions for the current user
+ * GET /api/auth/sessions
+ */
+const listSessions = async (req, res, next) => {
+  try {
+    const { userId, sessionId, staffId } = req.user;
+
+    // Staff only see their own sessions
+    const sessions = await listSessionsService(userId, sessionId, staffId);
+
+    res.json(successResponse({ sessions }, 'Sessions retrieved successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Revoke a specific session for the current user
+ * DELETE /api/auth/sessions/:sessionId
+ */
+const revokeSession = async (req, res, next) => {
+  try {
+    const { userId, staffId } = req.user;
+    const { sessionId } = req.params;
+
+    // Staff can only revoke their own sessions
+    const revoked = await revokeSessionService(userId, sessionId, staffId);
+
+    if (!revoked) {
+      return res.status(404).json(errorResponse('Session not found', 'not-found'));
+    }
+
+    res.json(successResponse({ sessionId }, 'Session revoked successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  refreshSession,
+  logout,
+  logoutAll,
+  listSessions,
+  revokeSession,
+};
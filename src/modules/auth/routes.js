@@ -0,0 +1,24 @@
+const express = require('express');
+const { authenticate } = require('../../middleware/auth.js');
+const {
+  refreshSession,
+  logout,
+  logoutAll,
+  listSessions,
+  revokeSession,
+} = require('./controller.js');
+
+const router = express.Router();
+
+// Refresh access token - no auth required (uses refresh token)
+router.post('/refresh', refreshSession);
+
+// Logout - requires authentication
+router.post('/logout', authenticate, logout);
+router.post('/logout-all', authenticate, logoutAll);
+
+// Session management - requires authentication
+router.get('/sessions', authenticate, listSessions);
+router.delete('/sessions/:sessionId', authenticate, revokeSession);
+
+module.exports = router;
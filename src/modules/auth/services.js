@@ -0,0 +1,294 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const prisma = require('../../config/database.js');
+const { generateToken } = require('../../middleware/auth.js');
+
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+
+/**
+ * Hash a refresh token for storage (only hashes are kept in the database)
+ * @param {string} refreshToken - Refresh token
+ * @returns {string} SHA-256 hex digest
+ */
+const hashRefreshToken = (refreshToken) => {
+  return crypto.createHash('sha256').update(refreshToken).digest('hex');
+};
+
+/**
+ * Generate a refresh token for a session
+ * The session ID prefix lets us find the session even when an old, rotated token is presented
+ * @param {string} sessionId - Session ID
+ * @returns {string} Refresh token in the form <sessionId>.<secret>
+ */
+const generateRefreshToken = (sessionId) => {
+  return `${sessionId}.${crypto.randomBytes(32).toString('hex')}`;
+};
+
+/**
+ * Calculate refresh token expiry from now
+ * @returns {Date} Expiry date
+ */
+const refreshTokenExpiry = () => {
+  return new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+};
+
+/**
+ * Build an unauthenticated (401) error
+ * @param {string} message - Error message
+ * @param {string} code - Error code
+ * @returns {Error} Error with statusCode and code set
+ */
+const unauthenticated = (message, code = 'unauthenticated') => {
+  const error = new Error(message);
+  error.statusCode = 401;
+  error.code = code;
+  return error;
+};
+
+/**
+ * Issue an access token for a session
+ * @param {object} user - User with id and email
+ * @param {string} sessionId - Session ID
+ * @param {object} scope - Session scope carried as token claims
+ * @param {string|null} scope.staffId - Staff member the session belongs to (staff PIN login), or null for the merchant
+ * @param {string|null} scope.stripeAccountId - Stripe account the session is switched to, or null for the user's active account
+ * @returns {object} Access token and its lifetime in seconds
+ */
+const issueAccessToken = (user, sessionId, scope = {}) => {
+  const { staffId = null, stripeAccountId = null } = scope;
+  const token = generateToken({
+    userId: user.id,
+    email: user.email,
+    sessionId,
+    ...(staffId && { staffId }),
+    ...(stripeAccountId && { stripeAccountId }),
+  });
+  const { exp, iat } = jwt.decode(token);
+
+  return {
+    token,
+    expiresIn: exp - iat,
+  };
+};
+
+/**
+ * Create a new session for a user and issue its tokens
+ * @param {object} user - User with id and email
+ * @param {object} client - Client details
+ * @param {string} client.userAgent - User-Agent header (optional)
+ * @param {string} client.ipAddress - Client IP address (optional)
+ * @param {string} client.deviceName - Device name sent by the app (optional)
+ * @param {object} scope - Session scope (optional)
+ * @param {string|null} scope.staffId - Staff member signing in on a shared device
+ * @param {string|null} scope.stripeAccountId - Stripe account to pin the session to
+ * @returns {Promise<object>} Access token, refresh token, expiry and session ID
+ */
+const createSessionService = async (user, client = {}, scope = {}) => {
+  try {
+    const { staffId = null, stripeAccountId = null } = scope;
+    const sessionId = crypto.randomUUID();
+    const refreshToken = generateRefreshToken(sessionId);
+
+    await prisma.session.create({
+      data: {
+        id: sessionId,
+        userId: user.id,
+        staffId,
+        stripeAccountId,
+        refreshTokenHash: hashRefreshToken(refreshToken),
+        deviceName: client.deviceName || null,
+        userAgent: client.userAgent || null,
+        ipAddress: client.ipAddress || null,
+        expiresAt: refreshTokenExpiry(),
+      },
+    });
+
+    return {
+      ...issueAccessToken(user, sessionId, { staffId, stripeAccountId }),
+      refreshToken,
+      sessionId,
+    };
+  } catch (error) {
+    throw new Error(error.message || 'Error creating session');
+  }
+};
+
+/**
+ * Exchange a refresh token for a new access token and a rotated refresh token
+ * Presenting a refresh token that was already rotated means it leaked, so the whole session is revoked
+ * @param {string} refreshToken - Refresh token
+ * @returns {Promise<object>} New access token, refresh token, expiry and session ID
+ * @throws {Error} If the token is invalid, expired, revoked or reused (with statusCode 401)
+ */
+const refreshSessionService = async (refreshToken) => {
+  const [sessionId] = refreshToken.split('.');
+
+  const session = await prisma.session.findUnique({
+    where: { id: sessionId },
+    include: {
+      user: { select: { id: true, email: true } },
+      staff: { select: { active: true } },
+    },
+  });
+
+  if (!session) {
+    throw unauthenticated('Invalid refresh token. Please log in again.', 'invalid-refresh-token');
+  }
+
+  if (session.revokedAt) {
+    throw unauthenticated('Session has been revoked. Please log in again.', 'session-revoked');
+  }
+
+  if (session.expiresAt <= new Date()) {
+    throw unauthenticated('Session expired. Please log in again.', 'session-expired');
+  }
+
+  if (session.staffId && !session.staff?.active) {
+    throw unauthenticated('Staff member is no longer active. Please log in again.', 'staff-inactive');
+  }
+
+  const presentedHash = hashRefreshToken(refreshToken);
+  if (presentedHash !== session.refreshTokenHash) {
+    // Token reuse - someone holds an old refresh token for this session
+    await prisma.session.update({
+      where: { id: session.id },
+      data: { revokedAt: new Date() },
+    });
+    throw unauthenticated('Refresh token reuse detected. Please log in again.', 'refresh-token-reused');
+  }
+
+  // Rotate the refresh token; the update only matches if no concurrent refresh rotated it first
+  const newRefreshToken = generateRefreshToken(session.id);
+  const rotated = await prisma.session.updateMany({
+    where: { id: session.id, refreshTokenHash: presentedHash, revokedAt: null },
+    data: {
+      refreshTokenHash: hashRefreshToken(newRefreshToken),
+      expiresAt: refreshTokenExpiry(),
+      lastUsedAt: new Date(),
+    },
+  });
+
+  if (rotated.count === 0) {
+    throw unauthenticated('Refresh token reuse detected. Please log in again.', 'refresh-token-reused');
+  }
+
+  return {
+    ...issueAccessToken(session.user, session.id, {
+      staffId: session.staffId,
+      stripeAccountId: session.stripeAccountId,
+    }),
+    refreshToken: newRefreshToken,
+    sessionId: session.id,
+  };
+};
+
+/**
+ * Switch a session to another of the user's Stripe accounts and issue a new access token
+ * Tokens issued before the switch stop working; the refresh token is unchanged and keeps the selection
+ * @param {object} user - User with id and email
+ * @param {string} sessionId - Session ID
+ * @param {string} stripeAccountId - Stripe account ID (must already be linked to the user)
+ * @returns {Promise<object>} Access token and its lifetime in seconds
+ * @throws {Error} If the session is no longer active (with statusCode 401)
+ */
+const switchSessionAccountService = async (user, sessionId, stripeAccountId) => {
+  const result = await prisma.session.updateMany({
+    where: { id: sessionId, userId: user.id, revokedAt: null },
+    data: { stripeAccountId },
+  });
+
+  if (result.count === 0) {
+    throw unauthenticated('Session has been revoked. Please log in again.', 'session-revoked');
+  }
+
+  const session = await prisma.session.findUnique({
+    where: { id: sessionId },
+    select: { staffId: true },
+  });
+
+  return issueAccessToken(user, sessionId, { staffId: session.staffId, stripeAccountId });
+};
+
+/**
+ * Revoke a single session belonging to a user
+ * @param {string} userId - User ID
+ * @param {string} sessionId - Session ID
+ * @param {string|null} staffId - Only match this staff member's sessions (staff tokens can't touch the merchant's)
+ * @returns {Promise<boolean>} True if a session was revoked
+ */
+const revokeSessionService = async (userId, sessionId, staffId = null) => {
+  try {
+    const result = await prisma.session.updateMany({
+      where: { id: sessionId, userId, revokedAt: null, ...(staffId && { staffId }) },
+      data: { revokedAt: new Date() },
+    });
+
+    return result.count > 0;
+  } catch (error) {
+    throw new Error(error.message || 'Error revoking session');
+  }
+};
+
+/**
+ * Revoke every active session for a user
+ * @param {string} userId - User ID
+ * @param {string|null} staffId - Only revoke this staff member's sessions (optional)
+ * @returns {Promise<number>} Number of sessions revoked
+ */
+const revokeAllSessionsService = async (userId, staffId = null) => {
+  try {
+    const result = await prisma.session.updateMany({
+      where: { userId, revokedAt: null, ...(staffId && { staffId }) },
+      data: { revokedAt: new Date() },
+    });
+
+    return result.count;
+  } catch (error) {
+    throw new Error(error.message || 'Error revoking sessions');
+  }
+};
+
+/**
+ * List active sessions for a user
+ * @param {string} userId - User ID
+ * @param {string} currentSessionId - Session ID of the calling request
+ * @param {string|null} staffId - Only list this staff member's sessions (optional)
+ * @returns {Promise<Array>} Array of sessions, most recently used first
+ */
+const listSessionsService = async (userId, currentSessionId, staffId = null) => {
+  try {
+    const sessions = await prisma.session.findMany({
+      where: {
+        userId,
+        ...(staffId && { staffId }),
+        revokedAt: null,
+        expiresAt: { gt: new Date() },
+      },
+      orderBy: { lastUsedAt: 'desc' },
+    });
+
+    return sessions.map((session) => ({
+      sessionId: session.id,
+      staffId: session.staffId,
+      stripeAccountId: session.stripeAccountId,
+      deviceName: session.deviceName,
+      userAgent: session.userAgent,
+      ipAddress: session.ipAddress,
+      createdAt: session.createdAt,
+      lastUsedAt: session.lastUsedAt,
+      expiresAt: session.expiresAt,
+      current: session.id === currentSessionId,
+    }));
+  } catch (error) {
+    throw new Error(error.message || 'Error listing sessions');
+  }
+};
+
+module.exports = {
+  createSessionService,
+  refreshSessionService,
+  switchSessionAccountService,
+  revokeSessionService,
+  revokeAllSessionsService,
+  listSessionsService,
+};
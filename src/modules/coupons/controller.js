@@ -0,0 +1,53 @@
+const { successResponse } = require('../../utils/response.js');
+const {
+  listCouponsService,
+  validateCouponInput,
+  createCouponService,
+} = require('./services.js');
+const { validateStripeAccount } = require('../../utils/stripeAccount.js');
+
+/**
+ * List coupons and their promotion codes
+ * GET /api/coupons
+ */
+const listCoupons = async (req, res, next) => {
+  try {
+    const userId = req.user.userId;
+
+    // Validate Stripe account and get account ID
+    const accountId = await validateStripeAccount(userId, req.user.stripeAccountId);
+
+    const coupons = await listCouponsService(accountId);
+
+    res.json(successResponse({ coupons }, 'Coupons retrieved successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create a coupon (optionally with a promotion code)
+ * POST /api/coupons
+ */
+const createCoupon = async (req, res, next) => {
+  try {
+    const userId = req.user.userId;
+
+    // Validate and normalize input
+    const data = validateCouponInput(req.body || {});
+
+    // Validate Stripe account and get account ID
+    const accountId = await validateStripeAccount(userId, req.user.stripeAccountId);
+
+    const coupon = await createCouponService(accountId, data);
+
+    res.status(201).json(successResponse(coupon, 'Coupon created successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  listCoupons,
+  createCoupon,
+};
@@ -0,0 +1,15 @@
+const express = require('express');
+const { authenticate } = require('../../middleware/auth.js');
+const { authorize } = require('../../middleware/authorize.js');
+const {
+  listCoupons,
+  createCoupon,
+} = require('./controller.js');
+
+const router = express.Router();
+
+// Coupon management - requires authentication
+router.get('/', authenticate, listCoupons);
+router.post('/', authenticate, authorize('catalog:write'), createCoupon);
+
+module.exports = router;
@@ -0,0 +1,383 @@
+const { stripe } = require('../../config/stripe.js');
+const { buildStripeOptions } = require('../payment/services.js');
+
+// Stripe accepts at most 20 discounts per invoice or invoice item
+const MAX_DISCOUNTS = 20;
+
+const COUPON_DURATIONS = ['once', 'repeating', 'forever'];
+
+/**
+ * Build a 400 validation error
+ * @param {string} message - Error message
+ * @returns {Error} Error with statusCode and code set
+ */
+const invalidArgument = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  error.code = 'invalid-argument';
+  return error;
+};
+
+/**
+ * Validate an amount/percentage discount value pair shared by coupons and ad-hoc discounts
+ * @param {object} input - Input with percentOff or amountOff (cents) and currency
+ * @param {string} path - Field path for error messages
+ * @returns {object} Normalized percentOff or amountOff + currency
+ */
+const validateDiscountValue = (input, path) => {
+  if (input.percentOff !== undefined) {
+    if (typeof input.percentOff !== 'number' || !(input.percentOff > 0 && input.percentOff <= 100)) {
+      throw invalidArgument(`${path}percentOff must be a number greater than 0 and at most 100`);
+    }
+    return { percentOff: input.percentOff };
+  }
+
+  if (!Number.isInteger(input.amountOff) || input.amountOff <= 0) {
+    throw invalidArgument(`${path}amountOff must be a positive integer (in cents)`);
+  }
+  // Required rather than defaulted - an amount off in the wrong currency never applies to the cart
+  if (typeof input.currency !== 'string' || !/^[a-zA-Z]{3}$/.test(input.currency)) {
+    throw invalidArgument(`${path}currency is required with amountOff and must be a 3-letter currency code`);
+  }
+
+  return {
+    amountOff: input.amountOff,
+    currency: input.currency.toLowerCase(),
+  };
+};
+
+/**
+ * Validate discounts from a cart or cart line
+ * Each discount is exactly one of: { coupon }, { promotionCode }, { percentOff } or { amountOff, currency }
+ * @param {Array|undefined} discounts - Discounts from the request body
+ * @param {string} path - Field path for error messages (e.g. "cartItems[0].discounts")
+ * @returns {Array} Normalized discounts
+ * @throws {Error} If the discounts are invalid (with statusCode 400)
+ */
+const validateDiscounts = (discounts, path = 'discounts') => {
+  if (discounts === undefined || discounts === null) {
+    return [];
+  }
+
+  if (!Array.isArray(discounts)) {
+    throw invalidArgument(`${path} must be an array`);
+  }
+
+  if (discounts.length > MAX_DISCOUNTS) {
+    throw invalidArgument(`${path} cannot contain more than ${MAX_DISCOUNTS} discounts`);
+  }
+
+  return discounts.map((discount, index) => {
+    const itemPath = `${path}[${index}].`;
+
+    if (!discount || typeof discount !== 'object') {
+      throw invalidArgument(`${path}[${index}] must be an object`);
+    }
+
+    const kinds = ['coupon', 'promotionCode', 'percentOff', 'amountOff'].filter((key) => discount[key] !== undefined);
+    if (kinds.length !== 1) {
+      throw invalidArgument(`${path}[${index}] must have exactly one of coupon, promotionCode, percentOff or amountOff`);
+    }
+
+    if (kinds[0] === 'coupon' || kinds[0] === 'promotionCode') {
+      const value = discount[kinds[0]];
+      if (typeof value !== 'string' || !value.trim()) {
+        throw invalidArgument(`${itemPath}${kinds[0]} must be a non-empty string`);
+      }
+      return { [kinds[0]]: value.trim() };
+    }
+
+    return validateDiscountValue(discount, itemPath);
+  });
+};
+
+/**
+ * Resolve a customer-facing promotion code (e.g. SUMMER10) to its Stripe promotion code ID
+ * @param {string} accountId - Stripe account ID
+ * @param {string} code - Promotion code or promotion code ID (promo_...)
+ * @returns {Promise<string>} Promotion code ID
+ * @throws {Error} If the code does not exist or is inactive (with statusCode 400)
+ */
+const resolvePromotionCode = async (accountId, code) => {
+  if (code.startsWith('promo_')) {
+    return code;
+  }
+
+  const promotionCodes = await stripe.promotionCodes.list(
+    {
+      code,
+      active: true,
+      limit: 1,
+    },
+    {
+      stripeAccount: accountId,
+    }
+  );
+
+  if (promotionCodes.data.length === 0) {
+    throw invalidArgument(`Promotion code ${code} is not valid`);
+  }
+
+  return promotionCodes.data[0].id;
+};
+
+/**
+ * Turn validated discounts into Stripe invoice/invoice item discounts
+ * Ad-hoc percentage and amount discounts become single-use coupons so they show on the receipt
+ * @param {string} accountId - Stripe account ID
+ * @param {Array} discounts - Discounts from validateDiscounts
+ * @param {object} context - Resolution context
+ * @param {string} context.userId - User ID (stored on ad-hoc coupons)
+ * @param {string|null} context.idempotencyKey - Client Idempotency-Key (optional)
+ * @param {string} context.scope - Idempotency scope for ad-hoc coupons (e.g. "cart", "line:2")
+ * @returns {Promise<Array>} Stripe discounts ([{ coupon }] or [{ promotion_code }])
+ */
+const resolveDiscountsService = async (accountId, discounts, context = {}) => {
+  const { userId, idempotencyKey = null, scope = 'cart' } = context;
+  const resolved = [];
+
+  for (const [index, discount] of discounts.entries()) {
+    try {
+      if (discount.coupon) {
+        const coupon = await stripe.coupons.retrieve(discount.coupon, {
+          stripeAccount: accountId,
+        });
+        if (!coupon.valid) {
+          throw invalidArgument(`Coupon ${discount.coupon} is no longer valid`);
+        }
+        resolved.push({ coupon: coupon.id });
+      } else if (discount.promotionCode) {
+        resolved.push({ promotion_code: await resolvePromotionCode(accountId, discount.promotionCode) });
+      } else {
+        const coupon = await stripe.coupons.create(
+          {
+            name: discount.percentOff !== undefined
+              ? `Cashier discount (${discount.percentOff}% off)`
+              : 'Cashier discount',
+            ...(discount.percentOff !== undefined
+              ? { percent_off: discount.percentOff }
+              : { amount_off: discount.amountOff, currency: discount.currency }),
+            duration: 'once',
+            max_redemptions: 1,
+            metadata: {
+              adHoc: 'true',
+              userId,
+            },
+          },
+          buildStripeOptions(accountId, idempotencyKey, `discount:${scope}:${index}`)
+        );
+        resolved.push({ coupon: coupon.id });
+      }
+    } catch (error) {
+      if (error.statusCode) {
+        throw error;
+      }
+      if (error.code === 'resource_missing') {
+        throw invalidArgument(`Coupon ${discount.coupon} not found`);
+      }
+      throw new Error(error.message || 'Error applying discount');
+    }
+  }
+
+  return resolved;
+};
+
+/**
+ * Delete the single-use coupons resolveDiscountsService created for ad-hoc discounts
+ * Used when a sale is abandoned before its invoice is paid; coupons and promotion codes
+ * the merchant set up are left alone
+ * @param {string} accountId - Stripe account ID
+ * @param {Array} discounts - Discounts from validateDiscounts
+ * @param {Array} resolved - Stripe discounts returned by resolveDiscountsService for them
+ */
+const deleteAdHocCouponsService = async (accountId, discounts, resolved) => {
+  for (const [index, discount] of discounts.entries()) {
+    if (discount.percentOff === undefined && discount.amountOff === undefined) {
+      continue;
+    }
+
+    try {
+      await stripe.coupons.del(resolved[index].coupon, {
+        stripeAccount: accountId,
+      });
+    } catch (error) {
+      console.error(`Error deleting ad-hoc coupon ${resolved[index].coupon}:`, error);
+    }
+  }
+};
+
+/**
+ * Map a Stripe coupon to the API shape
+ * @param {object} coupon - Stripe coupon
+ * @param {Array} promotionCodes - Active promotion codes for the coupon
+ * @returns {object} Coupon
+ */
+const formatCoupon = (coupon, promotionCodes = []) => {
+  return {
+    id: coupon.id,
+    name: coupon.name,
+    percentOff: coupon.percent_off,
+    amountOff: coupon.amount_off, // In cents
+    currency: coupon.currency,
+    duration: coupon.duration,
+    durationInMonths: coupon.duration_in_months,
+    maxRedemptions: coupon.max_redemptions,
+    timesRedeemed: coupon.times_redeemed,
+    redeemBy: coupon.redeem_by ? new Date(coupon.redeem_by * 1000).toISOString() : null,
+    valid: coupon.valid,
+    promotionCodes: promotionCodes.map((promotionCode) => ({
+      id: promotionCode.id,
+      code: promotionCode.code,
+    })),
+  };
+};
+
+/**
+ * List coupons on the connected account with their active promotion codes
+ * Single-use cashier discounts are left out
+ * @param {string} accountId - Stripe account ID
+ * @returns {Promise<Array>} Array of coupons
+ */
+const listCouponsService = async (accountId) => {
+  try {
+    const [coupons, promotionCodes] = await Promise.all([
+      stripe.coupons
+        .list({ limit: 100 }, { stripeAccount: accountId })
+        .autoPagingToArray({ limit: 10000 }),
+      stripe.promotionCodes
+        .list({ active: true, limit: 100 }, { stripeAccount: accountId })
+        .autoPagingToArray({ limit: 10000 }),
+    ]);
+
+    const codesByCoupon = new Map();
+    promotionCodes.forEach((promotionCode) => {
+      const couponId = promotionCode.coupon.id;
+      if (!codesByCoupon.has(couponId)) {
+        codesByCoupon.set(couponId, []);
+      }
+      codesByCoupon.get(couponId).push(promotionCode);
+    });
+
+    return coupons
+      .filter((coupon) => coupon.metadata?.adHoc !== 'true')
+      .map((coupon) => formatCoupon(coupon, codesByCoupon.get(coupon.id)));
+  } catch (error) {
+    throw new Error(error.message || 'Error listing coupons');
+  }
+};
+
+/**
+ * Validate coupon input from a create request
+ * @param {object} input - Coupon fields
+ * @returns {object} Normalized coupon fields
+ * @throws {Error} If input is invalid (with statusCode 400)
+ */
+const validateCouponInput = (input) => {
+  const data = {};
+
+  if (input.percentOff === undefined && input.amountOff === undefined) {
+    throw invalidArgument('One of percentOff or amountOff is required');
+  }
+  if (input.percentOff !== undefined && input.amountOff !== undefined) {
+    throw invalidArgument('Only one of percentOff or amountOff can be set');
+  }
+  Object.assign(data, validateDiscountValue(input, ''));
+
+  if (input.name !== undefined) {
+    if (typeof input.name !== 'string' || !input.name.trim() || input.name.length > 40) {
+      throw invalidArgument('name must be a non-empty string of at most 40 characters');
+    }
+    data.name = input.name.trim();
+  }
+
+  data.duration = input.duration || 'forever';
+  if (!COUPON_DURATIONS.includes(data.duration)) {
+    throw invalidArgument(`duration must be one of ${COUPON_DURATIONS.join(', ')}`);
+  }
+  if (data.duration === 'repeating') {
+    if (!Number.isInteger(input.durationInMonths) || input.durationInMonths < 1) {
+      throw invalidArgument('durationInMonths must be a positive integer for repeating coupons');
+    }
+    data.durationInMonths = input.durationInMonths;
+  }
+
+  if (input.maxRedemptions !== undefined) {
+    if (!Number.isInteger(input.maxRedemptions) || input.maxRedemptions < 1) {
+      throw invalidArgument('maxRedemptions must be a positive integer');
+    }
+    data.maxRedemptions = input.maxRedemptions;
+  }
+
+  if (input.redeemBy !== undefined) {
+    const redeemBy = new Date(input.redeemBy);
+    if (Number.isNaN(redeemBy.getTime()) || redeemBy <= new Date()) {
+      throw invalidArgument('redeemBy must be a future ISO 8601 date');
+    }
+    data.redeemBy = Math.floor(redeemBy.getTime() / 1000);
+  }
+
+  if (input.promotionCode !== undefined) {
+    if (typeof input.promotionCode !== 'string' || !/^[a-zA-Z0-9_-]{1,500}$/.test(input.promotionCode)) {
+      throw invalidArgument('promotionCode may only contain letters, numbers, dashes and underscores');
+    }
+    data.promotionCode = input.promotionCode;
+  }
+
+  return data;
+};
+
+/**
+ * Create a coupon (and optionally a customer-facing promotion code for it)
+ * @param {string} accountId - Stripe account ID
+ * @param {object} data - Validated coupon fields from validateCouponInput
+ * @returns {Promise<object>} Created coupon
+ */
+const createCouponService = async (accountId, data) => {
+  try {
+    const coupon = await stripe.coupons.create(
+      {
+        ...(data.name && { name: data.name }),
+        ...(data.percentOff !== undefined
+          ? { percent_off: data.percentOff }
+          : { amount_off: data.amountOff, currency: data.currency }),
+        duration: data.duration,
+        ...(data.durationInMonths && { duration_in_months: data.durationInMonths }),
+        ...(data.maxRedemptions && { max_redemptions: data.maxRedemptions }),
+        ...(data.redeemBy && { redeem_by: data.redeemBy }),
+      },
+      {
+        stripeAccount: accountId,
+      }
+    );
+
+    const promotionCodes = [];
+    if (data.promotionCode) {
+      promotionCodes.push(await stripe.promotionCodes.create(
+        {
+          coupon: coupon.id,
+          code: data.promotionCode,
+        },
+        {
+          stripeAccount: accountId,
+        }
+      ));
+    }
+
+    return formatCoupon(coupon, promotionCodes);
+  } catch (error) {
+    // e.g. promotion code already in use - surfaced as a 400 by the error handler
+    if (error.type === 'StripeInvalidRequestError') {
+      throw error;
+    }
+    throw new Error(error.message || 'Error creating coupon');
+  }
+};
+
+module.exports = {
+  validateDiscounts,
+  resolveDiscountsService,
+  deleteAdHocCouponsService,
+  listCouponsService,
+  validateCouponInput,
+  createCouponService,
+};
@@ -0,0 +1,105 @@
+const { successResponse, errorResponse } = require('../../utils/response.js');
+const {
+  validateFeePlanInput,
+  listFeePlansService,
+  createFeePlanService,
+  updateFeePlanService,
+  deleteFeePlanService,
+  assignFeePlanService,
+} = require('./services.js');
+
+/**
+ * List all fee plans
+ * GET /api/admin/fee-plans
+ */
+const listFeePlans = async (req, res, next) => {
+  try {
+    const feePlans = await listFeePlansService();
+
+    res.json(successResponse({ feePlans }, 'Fee plans retrieved successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create a fee plan
+ * POST /api/admin/fee-plans
+ */
+const createFeePlan = async (req, res, next) => {
+  try {
+    // Validate and normalize input
+    const data = validateFeePlanInput(req.body || {});
+
+    const feePlan = await createFeePlanService(data);
+
+    res.status(201).json(successResponse(feePlan, 'Fee plan created successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update a fee plan
+ * PATCH /api/admin/fee-plans/:feePlanId
+ */
+const updateFeePlan = async (req, res, next) => {
+  try {
+    const { feePlanId } = req.params;
+
+    // Validate and normalize input
+    const data = validateFeePlanInput(req.body || {}, true);
+
+    const feePlan = await updateFeePlanService(feePlanId, data);
+
+    res.json(successResponse(feePlan, 'Fee plan updated successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete a fee plan
+ * DELETE /api/admin/fee-plans/:feePlanId
+ */
+const deleteFeePlan = async (req, res, next) => {
+  try {
+    const { feePlanId } = req.params;
+
+    await deleteFeePlanService(feePlanId);
+
+    res.json(successResponse({ feePlanId }, 'Fee plan deleted successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Assign a fee plan to a user (null resets to the default plan)
+ * PUT /api/admin/users/:userId/fee-plan
+ */
+const assignFeePlan = async (req, res, next) => {
+  try {
+    const { userId } = req.params;
+    const { feePlanId } = req.body;
+
+    // Input validation
+    if (feePlanId !== null && (typeof feePlanId !== 'string' || !feePlanId)) {
+      return res.status(400).json(errorResponse('feePlanId must be a string or null', 'invalid-argument'));
+    }
+
+    const result = await assignFeePlanService(userId, feePlanId);
+
+    res.json(successResponse(result, 'Fee plan assigned successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  listFeePlans,
+  createFeePlan,
+  updateFeePlan,
+  deleteFeePlan,
+  assignFeePlan,
+};
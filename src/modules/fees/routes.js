@@ -0,0 +1,22 @@
+const express = require('express');
+const { requireAdmin } = require('../../middleware/admin.js');
+const {
+  listFeePlans,
+  createFeePlan,
+  updateFeePlan,
+  deleteFeePlan,
+  assignFeePlan,
+} = require('./controller.js');
+
+const router = express.Router();
+
+// Fee plan management - requires admin API key
+router.get('/fee-plans', requireAdmin, listFeePlans);
+router.post('/fee-plans', requireAdmin, createFeePlan);
+router.patch('/fee-plans/:feePlanId', requireAdmin, updateFeePlan);
+router.delete('/fee-plans/:feePlanId', requireAdmin, deleteFeePlan);
+
+// Assign a fee plan to a merchant - requires admin API key
+router.put('/users/:userId/fee-plan', requireAdmin, assignFeePlan);
+
+module.exports = router;
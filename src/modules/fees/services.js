@@ -0,0 +1,331 @@
+const prisma = require('../../config/database.js');
+
+/**
+ * Fee rules used when a user has no plan and no default plan exists
+ * Matches the flat 5 cent fee the platform charged before fee plans existed
+ */
+const FALLBACK_FEE_RULES = {
+  percentBasisPoints: 0,
+  fixedAmount: 5,
+  minAmount: null,
+  maxAmount: null,
+};
+
+const FEE_RULE_FIELDS = ['percentBasisPoints', 'fixedAmount', 'minAmount', 'maxAmount'];
+
+/**
+ * Build a 400 validation error
+ * @param {string} message - Error message
+ * @returns {Error} Error with statusCode and code set
+ */
+const invalidArgument = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  error.code = 'invalid-argument';
+  return error;
+};
+
+/**
+ * Validate a set of fee rules
+ * @param {object} rules - Fee rules (percentBasisPoints, fixedAmount, minAmount, maxAmount)
+ * @param {string} prefix - Field prefix for error messages
+ * @throws {Error} If a rule is not a non-negative integer or min exceeds max (with statusCode 400)
+ */
+const validateFeeRules = (rules, prefix = '') => {
+  for (const field of FEE_RULE_FIELDS) {
+    const value = rules[field];
+    if (value === undefined || value === null) {
+      continue;
+    }
+    if (!Number.isInteger(value) || value < 0) {
+      throw invalidArgument(`${prefix}${field} must be a non-negative integer`);
+    }
+  }
+
+  if (rules.percentBasisPoints > 10000) {
+    throw invalidArgument(`${prefix}percentBasisPoints cannot exceed 10000 (100%)`);
+  }
+
+  if (
+    rules.minAmount !== undefined && rules.minAmount !== null &&
+    rules.maxAmount !== undefined && rules.maxAmount !== null &&
+    rules.minAmount > rules.maxAmount
+  ) {
+    throw invalidArgument(`${prefix}minAmount cannot exceed maxAmount`);
+  }
+};
+
+/**
+ * Validate fee plan input from an admin request
+ * @param {object} input - Fee plan fields
+ * @param {boolean} partial - True for updates (name not required)
+ * @returns {object} Fee plan data ready for Prisma
+ * @throws {Error} If input is invalid (with statusCode 400)
+ */
+const validateFeePlanInput = (input, partial = false) => {
+  const data = {};
+
+  if (input.name !== undefined || !partial) {
+    if (!input.name || typeof input.name !== 'string') {
+      throw invalidArgument('name is required and must be a string');
+    }
+    data.name = input.name.trim();
+  }
+
+  validateFeeRules(input);
+  for (const field of FEE_RULE_FIELDS) {
+    if (input[field] !== undefined) {
+      data[field] = input[field];
+    }
+  }
+
+  if (input.currencyOverrides !== undefined) {
+    const overrides = input.currencyOverrides;
+    if (overrides !== null && (typeof overrides !== 'object' || Array.isArray(overrides))) {
+      throw invalidArgument('currencyOverrides must be an object keyed by currency code');
+    }
+
+    const normalized = {};
+    for (const [currency, rules] of Object.entries(overrides || {})) {
+      if (!/^[a-zA-Z]{3}$/.test(currency) || !rules || typeof rules !== 'object') {
+        throw invalidArgument(`currencyOverrides.${currency} must be an object keyed by a 3-letter currency code`);
+      }
+      validateFeeRules(rules, `currencyOverrides.${currency}.`);
+      normalized[currency.toLowerCase()] = Object.fromEntries(
+        FEE_RULE_FIELDS.filter((field) => rules[field] !== undefined).map((field) => [field, rules[field]])
+      );
+    }
+    data.currencyOverrides = overrides === null ? null : normalized;
+  }
+
+  if (input.isDefault !== undefined) {
+    if (typeof input.isDefault !== 'boolean') {
+      throw invalidArgument('isDefault must be a boolean');
+    }
+    data.isDefault = input.isDefault;
+  }
+
+  return data;
+};
+
+/**
+ * Resolve the fee rules that apply to a currency (plan rules merged with currency override)
+ * @param {object} plan - Fee plan or fallback rules
+ * @param {string} currency - Currency code
+ * @returns {object} Fee rules
+ */
+const resolveFeeRules = (plan, currency) => {
+  const override = plan.currencyOverrides?.[currency.toLowerCase()] || {};
+  return {
+    percentBasisPoints: plan.percentBasisPoints,
+    fixedAmount: plan.fixedAmount,
+    minAmount: plan.minAmount,
+    maxAmount: plan.maxAmount,
+    ...override,
+  };
+};
+
+/**
+ * Calculate the application fee for an amount
+ * Fee = percentage + fixed amount, clamped to min/max and never more than the amount itself
+ * @param {object} plan - Fee plan or fallback rules
+ * @param {number} amount - Payment amount in cents
+ * @param {string} currency - Currency code
+ * @returns {number} Application fee in cents
+ */
+const calculateApplicationFee = (plan, amount, currency) => {
+  const rules = resolveFeeRules(plan, currency);
+
+  let fee = Math.round((amount * rules.percentBasisPoints) / 10000) + rules.fixedAmount;
+
+  if (rules.minAmount !== undefined && rules.minAmount !== null) {
+    fee = Math.max(fee, rules.minAmount);
+  }
+  if (rules.maxAmount !== undefined && rules.maxAmount !== null) {
+    fee = Math.min(fee, rules.maxAmount);
+  }
+
+  return Math.max(0, Math.min(fee, amount));
+};
+
+/**
+ * Get the fee plan that applies to a user
+ * Falls back to the default plan, then to the platform's flat fee
+ * @param {string} userId - User ID
+ * @returns {Promise<object>} Fee plan (id is null for the fallback)
+ */
+const getFeePlanForUserService = async (userId) => {
+  try {
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
+      include: { feePlan: true },
+    });
+
+    if (user?.feePlan) {
+      return user.feePlan;
+    }
+
+    const defaultPlan = await prisma.feePlan.findFirst({
+      where: { isDefault: true },
+    });
+
+    return defaultPlan || { id: null, name: 'Platform default', ...FALLBACK_FEE_RULES };
+  } catch (error) {
+    throw new Error(error.message || 'Error fetching fee plan');
+  }
+};
+
+/**
+ * Calculate the application fee a user pays for a payment
+ * @param {string} userId - User ID
+ * @param {number} amount - Payment amount in cents
+ * @param {string} currency - Currency code
+ * @returns {Promise<object>} Fee amount in cents with the plan it came from
+ */
+const calculateApplicationFeeService = async (userId, amount, currency) => {
+  const plan = await getFeePlanForUserService(userId);
+
+  return {
+    amount: calculateApplicationFee(plan, amount, currency),
+    feePlanId: plan.id,
+    feePlanName: plan.name,
+  };
+};
+
+/**
+ * List all fee plans with the number of users on each
+ * @returns {Promise<Array>} Array of fee plans
+ */
+const listFeePlansService = async () => {
+  try {
+    const plans = await prisma.feePlan.findMany({
+      orderBy: { createdAt: 'asc' },
+      include: { _count: { select: { users: true } } },
+    });
+
+    return plans.map(({ _count, ...plan }) => ({
+      ...plan,
+      userCount: _count.users,
+    }));
+  } catch (error) {
+    throw new Error(error.message || 'Error listing fee plans');
+  }
+};
+
+/**
+ * Create a fee plan
+ * @param {object} data - Validated fee plan data
+ * @returns {Promise<object>} Created fee plan
+ */
+const createFeePlanService = async (data) => {
+  return prisma.$transaction(async (tx) => {
+    // Only one plan can be the default
+    if (data.isDefault) {
+      await tx.feePlan.updateMany({
+        where: { isDefault: true },
+        data: { isDefault: false },
+      });
+    }
+
+    return tx.feePlan.create({ data });
+  });
+};
+
+/**
+ * Update a fee plan
+ * @param {string} feePlanId - Fee plan ID
+ * @param {object} data - Validated fee plan data
+ * @returns {Promise<object>} Updated fee plan
+ */
+const updateFeePlanService = async (feePlanId, data) => {
+  return prisma.$transaction(async (tx) => {
+    const existing = await tx.feePlan.findUnique({ where: { id: feePlanId } });
+    if (!existing) {
+      const error = new Error('Fee plan not found');
+      error.statusCode = 404;
+      error.code = 'not-found';
+      throw error;
+    }
+
+    // Min/max must still be consistent once merged with the stored plan
+    validateFeeRules({ ...existing, ...data });
+
+    if (data.isDefault) {
+      await tx.feePlan.updateMany({
+        where: { isDefault: true, id: { not: feePlanId } },
+        data: { isDefault: false },
+      });
+    }
+
+    return tx.feePlan.update({
+      where: { id: feePlanId },
+      data,
+    });
+  });
+};
+
+/**
+ * Delete a fee plan (users on it fall back to the default plan)
+ * @param {string} feePlanId - Fee plan ID
+ */
+const deleteFeePlanService = async (feePlanId) => {
+  const result = await prisma.feePlan.deleteMany({
+    where: { id: feePlanId },
+  });
+
+  if (result.count === 0) {
+    const error = new Error('Fee plan not found');
+    error.statusCode = 404;
+    error.code = 'not-found';
+    throw error;
+  }
+};
+
+/**
+ * Assign a fee plan to a user
+ * @param {string} userId - User ID
+ * @param {string|null} feePlanId - Fee plan ID, or null to use the default plan
+ * @returns {Promise<object>} User ID with the assigned fee plan
+ */
+const assignFeePlanService = async (userId, feePlanId) => {
+  const user = await prisma.user.findUnique({ where: { id: userId } });
+  if (!user) {
+    const error = new Error('User not found');
+    error.statusCode = 404;
+    error.code = 'not-found';
+    throw error;
+  }
+
+  if (feePlanId) {
+    const plan = await prisma.feePlan.findUnique({ where: { id: feePlanId } });
+    if (!plan) {
+      const error = new Error('Fee plan not found');
+      error.statusCode = 404;
+      error.code = 'not-found';
+      throw error;
+    }
+  }
+
+  const updated = await prisma.user.update({
+    where: { id: userId },
+    data: { feePlanId },
+    include: { feePlan: true },
+  });
+
+  return {
+    userId: updated.id,
+    feePlan: updated.feePlan,
+  };
+};
+
+module.exports = {
+  validateFeePlanInput,
+  calculateApplicationFee,
+  getFeePlanForUserService,
+  calculateApplicationFeeService,
+  listFeePlansService,
+  createFeePlanService,
+  updateFeePlanService,
+  deleteFeePlanService,
+  assignFeePlanService,
+};
@@ -0,0 +1,106 @@
+const { successResponse, errorResponse } = require('../../utils/response.js');
+const {
+  listInventoryService,
+  setStockService,
+  adjustStockService,
+  deleteInventoryItemService,
+} = require('./services.js');
+const { validateStripeAccount } = require('../../utils/stripeAccount.js');
+
+/**
+ * List tracked inventory
+ * GET /api/inventory
+ */
+const getInventory = async (req, res, next) => {
+  try {
+    const userId = req.user.userId;
+
+    // Validate Stripe account and get account ID
+    const accountId = await validateStripeAccount(userId, req.user.stripeAccountId);
+
+    const items = await listInventoryService(accountId);
+
+    res.json(successResponse({ items }, 'Inventory retrieved successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Set on-hand stock for a price (starts tracking it if needed)
+ * PUT /api/inventory/:priceId
+ */
+const setStock = async (req, res, next) => {
+  try {
+    const userId = req.user.userId;
+    const { priceId } = req.params;
+    const { quantity } = req.body || {};
+
+    // Input validation
+    if (!Number.isInteger(quantity) || quantity < 0) {
+      return res.status(400).json(errorResponse('quantity must be a non-negative integer', 'invalid-argument'));
+    }
+
+    // Validate Stripe account and get account ID
+    const accountId = await validateStripeAccount(userId, req.user.stripeAccountId);
+
+    const item = await setStockService(accountId, userId, priceId, quantity);
+
+    res.json(successResponse(item, 'Stock updated successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Adjust on-hand stock for a price by a relative amount
+ * POST /api/inventory/:priceId/adjust
+ */
+const adjustStock = async (req, res, next) => {
+  try {
+    const userId = req.user.userId;
+    const { priceId } = req.params;
+    const { delta } = req.body || {};
+
+    // Input validation
+    if (!Number.isInteger(delta) || delta === 0) {
+      return res.status(400).json(errorResponse('delta must be a non-zero integer', 'invalid-argument'));
+    }
+
+    // Validate Stripe account and get account ID
+    const accountId = await validateStripeAccount(userId, req.user.stripeAccountId);
+
+    const item = await adjustStockService(accountId, priceId, delta);
+
+    res.json(successResponse(item, 'Stock adjusted successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Stop tracking inventory for a price
+ * DELETE /api/inventory/:priceId
+ */
+const deleteInventoryItem = async (req, res, next) => {
+  try {
+    const userId = req.user.userId;
+    const { priceId } = req.params;
+
+    // Validate Stripe account and get account ID
+    const accountId = await validateStripeAccount(userId, req.user.stripeAccountId);
+
+    await deleteInventoryItemService(accountId, priceId);
+
+    res.json(successResponse({ priceId }, 'Inventory tracking removed successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getInventory,
+  setStock,
+  adjustStock,
+  deleteInventoryItem,
+};
@@ -0,0 +1,19 @@
+const express = require('express');
+const { authenticate } = require('../../middleware/auth.js');
+const { authorize } = require('../../middleware/authorize.js');
+const {
+  getInventory,
+  setStock,
+  adjustStock,
+  deleteInventoryItem,
+} = require('./controller.js');
+
+const router = express.Router();
+
+// Inventory management - requires authentication
+router.get('/', authenticate, getInventory);
+router.put('/:priceId', authenticate, authorize('catalog:write'), setStock);
+router.post('/:priceId/adjust', authenticate, authorize('catalog:write'), adjustStock);
+router.delete('/:priceId', authenticate, authorize('catalog:write'), deleteInventoryItem);
+
+module.exports = router;
@@ -0,0 +1,371 @@
+const { stripe } = require('../../config/stripe.js');
+const prisma = require('../../config/database.js');
+
+/**
+ * Build an error with a status code
+ * @param {number} statusCode - HTTP status code
+ * @param {string} message - Error message
+ * @param {string} code - Error code
+ * @returns {Error} Error with statusCode and code set
+ */
+const inventoryError = (statusCode, message, code) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.code = code;
+  return error;
+};
+
+/**
+ * Map an inventory item to the API shape
+ * @param {object} item - InventoryItem record
+ * @returns {object} Inventory item with available quantity
+ */
+const formatInventoryItem = (item) => {
+  return {
+    priceId: item.priceId,
+    productId: item.productId,
+    quantityOnHand: item.quantityOnHand,
+    quantityReserved: item.quantityReserved,
+    // On-hand stock can be counted below what pending payments reserved
+    quantityAvailable: Math.max(0, item.quantityOnHand - item.quantityReserved),
+    updatedAt: item.updatedAt,
+  };
+};
+
+/**
+ * Find a tracked inventory item by price
+ * @param {string} accountId - Stripe account ID
+ * @param {string} priceId - Price ID
+ * @returns {Promise<object>} InventoryItem record
+ * @throws {Error} If the price has no inventory tracking (with statusCode 404)
+ */
+const findInventoryItem = async (accountId, priceId) => {
+  const item = await prisma.inventoryItem.findUnique({
+    where: {
+      stripeAccountId_priceId: { stripeAccountId: accountId, priceId },
+    },
+  });
+
+  if (!item) {
+    throw inventoryError(404, `Inventory is not tracked for price ${priceId}`, 'not-found');
+  }
+
+  return item;
+};
+
+/**
+ * List tracked inventory for an account
+ * @param {string} accountId - Stripe account ID
+ * @returns {Promise<Array>} Array of inventory items
+ */
+const listInventoryService = async (accountId) => {
+  try {
+    const items = await prisma.inventoryItem.findMany({
+      where: { stripeAccountId: accountId },
+      orderBy: { createdAt: 'asc' },
+    });
+
+    return items.map(formatInventoryItem);
+  } catch (error) {
+    throw new Error(error.message || 'Error listing inventory');
+  }
+};
+
+/**
+ * Set the on-hand stock for a price, starting to track it if needed
+ * @param {string} accountId - Stripe account ID
+ * @param {string} userId - User ID
+ * @param {string} priceId - Price ID
+ * @param {number} quantity - Units on hand
+ * @returns {Promise<object>} Inventory item
+ * @throws {Error} If the price does not exist or is recurring
+ */
+const setStockService = async (accountId, userId, priceId, quantity) => {
+  let price;
+  try {
+    price = await stripe.prices.retrieve(priceId, {
+      stripeAccount: accountId,
+    });
+  } catch (error) {
+    if (error.code === 'resource_missing') {
+      throw inventoryError(404, `Price ${priceId} not found`, 'not-found');
+    }
+    throw error;
+  }
+
+  if (price.type !== 'one_time') {
+    throw inventoryError(400, `Price ${priceId} is a recurring price. Only one-time prices can track inventory.`, 'invalid-argument');
+  }
+
+  const productId = typeof price.product === 'object' ? price.product.id : price.product;
+
+  const item = await prisma.inventoryItem.upsert({
+    where: {
+      stripeAccountId_priceId: { stripeAccountId: accountId, priceId },
+    },
+    update: {
+      quantityOnHand: quantity,
+    },
+    create: {
+      userId,
+      stripeAccountId: accountId,
+      productId,
+      priceId,
+      quantityOnHand: quantity,
+    },
+  });
+
+  return formatInventoryItem(item);
+};
+
+/**
+ * Adjust the on-hand stock for a price by a relative amount (deliveries, breakage, recounts)
+ * @param {string} accountId - Stripe account ID
+ * @param {string} priceId - Price ID
+ * @param {number} delta - Units to add (positive) or remove (negative)
+ * @returns {Promise<object>} Inventory item
+ * @throws {Error} If the price is not tracked (404) or stock would go negative (409)
+ */
+const adjustStockService = async (accountId, priceId, delta) => {
+  const item = await findInventoryItem(accountId, priceId);
+
+  // Single conditional update so concurrent adjustments can't take stock below zero
+  // (deliveries are always accepted, even onto stock that was oversold below zero)
+  const updated = await prisma.$executeRaw`
+    UPDATE "inventory_items"
+    SET "quantityOnHand" = "quantityOnHand" + ${delta}, "updatedAt" = NOW()
+    WHERE "id" = ${item.id} AND (${delta} >= 0 OR "quantityOnHand" + ${delta} >= 0)
+  `;
+
+  if (updated === 0) {
+    throw inventoryError(409, `Cannot remove ${-delta} units of ${priceId}: only ${item.quantityOnHand} on hand`, 'insufficient-stock');
+  }
+
+  return formatInventoryItem(await findInventoryItem(accountId, priceId));
+};
+
+/**
+ * Stop tracking inventory for a price (pending reservations are dropped with it)
+ * @param {string} accountId - Stripe account ID
+ * @param {string} priceId - Price ID
+ * @throws {Error} If the price is not tracked (with statusCode 404)
+ */
+const deleteInventoryItemService = async (accountId, priceId) => {
+  const result = await prisma.inventoryItem.deleteMany({
+    where: { stripeAccountId: accountId, priceId },
+  });
+
+  if (result.count === 0) {
+    throw inventoryError(404, `Inventory is not tracked for price ${priceId}`, 'not-found');
+  }
+};
+
+/**
+ * Get available stock for a set of prices
+ * @param {string} accountId - Stripe account ID
+ * @param {Array<string>} priceIds - Price IDs
+ * @returns {Promise<Map<string, number>>} Price ID to available quantity (untracked prices are absent)
+ */
+const getStockLevelsService = async (accountId, priceIds) => {
+  if (priceIds.length === 0) {
+    return new Map();
+  }
+
+  const items = await prisma.inventoryItem.findMany({
+    where: {
+      stripeAccountId: accountId,
+      priceId: { in: priceIds },
+    },
+  });
+
+  return new Map(items.map((item) => [item.priceId, formatInventoryItem(item).quantityAvailable]));
+};
+
+/**
+ * Reserve stock for a cart while its invoice is awaiting payment
+ * Untracked prices are not limited. Calling again for the same invoice (idempotent retry)
+ * returns the existing reservations instead of reserving twice.
+ * @param {string} accountId - Stripe account ID
+ * @param {string} invoiceId - Invoice the cart was added to
+ * @param {Array} cartItems - Cart items ({ priceId, quantity })
+ * @returns {Promise<number>} Number of reservations held for the invoice
+ * @throws {Error} If any line exceeds available stock (409 with per-line details)
+ */
+const reserveStockService = async (accountId, invoiceId, cartItems) => {
+  // The same price can appear on several cart lines
+  const requested = new Map();
+  cartItems.forEach((item) => {
+    requested.set(item.priceId, (requested.get(item.priceId) || 0) + item.quantity);
+  });
+
+  return prisma.$transaction(async (tx) => {
+    const existing = await tx.inventoryReservation.count({
+      where: {
+        stripeAccountId: accountId,
+        invoiceId,
+        status: { in: ['reserved', 'committed'] },
+      },
+    });
+    if (existing > 0) {
+      return existing;
+    }
+
+    // Reservations released by an earlier failed attempt are replaced, not committed later
+    await tx.inventoryReservation.deleteMany({
+      where: { stripeAccountId: accountId, invoiceId, status: 'released' },
+    });
+
+    const items = await tx.inventoryItem.findMany({
+      where: {
+        stripeAccountId: accountId,
+        priceId: { in: Array.from(requested.keys()) },
+      },
+    });
+
+    const shortages = new Map();
+
+    for (const item of items) {
+      const quantity = requested.get(item.priceId);
+
+      // Only reserves if enough stock is still available when the row is updated
+      const updated = await tx.$executeRaw`
+        UPDATE "inventory_items"
+        SET "quantityReserved" = "quantityReserved" + ${quantity}, "updatedAt" = NOW()
+        WHERE "id" = ${item.id} AND "quantityOnHand" - "quantityReserved" >= ${quantity}
+      `;
+
+      if (updated === 0) {
+        const current = await tx.inventoryItem.findUnique({ where: { id: item.id } });
+        shortages.set(item.priceId, Math.max(0, current.quantityOnHand - current.quantityReserved));
+        continue;
+      }
+
+      await tx.inventoryReservation.create({
+        data: {
+          inventoryItemId: item.id,
+          stripeAccountId: accountId,
+          invoiceId,
+          quantity,
+        },
+      });
+    }
+
+    if (shortages.size > 0) {
+      const lines = cartItems
+        .map((item, index) => ({ index, priceId: item.priceId }))
+        .filter((line) => shortages.has(line.priceId))
+        .map((line) => ({
+          index: line.index,
+          priceId: line.priceId,
+          requested: requested.get(line.priceId),
+          available: shortages.get(line.priceId),
+          message: `cartItems[${line.index}]: only ${shortages.get(line.priceId)} of ${requested.get(line.priceId)} requested units of ${line.priceId} are in stock`,
+        }));
+
+      // Throwing rolls back the reservations made for the other lines
+      const error = inventoryError(409, 'Not enough stock for one or more cart items', 'insufficient-stock');
+      error.details = lines;
+      throw error;
+    }
+
+    return items.length;
+  });
+};
+
+/**
+ * Commit an invoice's reservations once its payment succeeds (stock leaves the shelf)
+ * Reservations already released (e.g. after a declined card that was later retried) still
+ * take the stock, since the goods were sold anyway. If that stock was sold again in the
+ * meantime, on-hand goes negative so the oversell shows up instead of being hidden
+ * @param {string} accountId - Stripe account ID
+ * @param {string} invoiceId - Invoice ID
+ * @returns {Promise<number>} Number of reservations committed
+ */
+const commitReservationsService = async (accountId, invoiceId) => {
+  return prisma.$transaction(async (tx) => {
+    const reservations = await tx.inventoryReservation.findMany({
+      where: {
+        stripeAccountId: accountId,
+        invoiceId,
+        status: { in: ['reserved', 'released'] },
+      },
+    });
+
+    let committed = 0;
+    for (const reservation of reservations) {
+      // Guard on the previous status so concurrent webhook deliveries commit only once
+      const claimed = await tx.inventoryReservation.updateMany({
+        where: { id: reservation.id, status: reservation.status },
+        data: { status: 'committed' },
+      });
+      if (claimed.count === 0) {
+        continue;
+      }
+
+      const reservedDelta = reservation.status === 'reserved' ? reservation.quantity : 0;
+      await tx.$executeRaw`
+        UPDATE "inventory_items"
+        SET "quantityOnHand" = "quantityOnHand" - ${reservation.quantity},
+            "quantityReserved" = GREATEST("quantityReserved" - ${reservedDelta}, 0),
+            "updatedAt" = NOW()
+        WHERE "id" = ${reservation.inventoryItemId}
+      `;
+      committed += 1;
+
+      const item = await tx.inventoryItem.findUnique({ where: { id: reservation.inventoryItemId } });
+      if (item && item.quantityOnHand < 0) {
+        console.warn(
+          `Oversold ${item.priceId} on ${accountId}: invoice ${invoiceId} left ${item.quantityOnHand} on hand`,
+        );
+      }
+    }
+
+    return committed;
+  });
+};
+
+/**
+ * Release an invoice's reservations when its payment fails or is cancelled
+ * @param {string} accountId - Stripe account ID
+ * @param {string} invoiceId - Invoice ID
+ * @returns {Promise<number>} Number of reservations released
+ */
+const releaseReservationsService = async (accountId, invoiceId) => {
+  return prisma.$transaction(async (tx) => {
+    const reservations = await tx.inventoryReservation.findMany({
+      where: { stripeAccountId: accountId, invoiceId, status: 'reserved' },
+    });
+
+    let released = 0;
+    for (const reservation of reservations) {
+      const claimed = await tx.inventoryReservation.updateMany({
+        where: { id: reservation.id, status: 'reserved' },
+        data: { status: 'released' },
+      });
+      if (claimed.count === 0) {
+        continue;
+      }
+
+      await tx.$executeRaw`
+        UPDATE "inventory_items"
+        SET "quantityReserved" = GREATEST("quantityReserved" - ${reservation.quantity}, 0),
+            "updatedAt" = NOW()
+        WHERE "id" = ${reservation.inventoryItemId}
+      `;
+      released += 1;
+    }
+
+    return released;
+  });
+};
+
+module.exports = {
+  listInventoryService,
+  setStockService,
+  adjustStockService,
+  deleteInventoryItemService,
+  getStockLevelsService,
+  reserveStockService,
+  commitReservationsService,
+  releaseReservationsService,
+};
@@ -0,0 +1,54 @@
+const { sweepAbandonedCartsService } = require('./services.js');
+
+// Product carts left unpaid for longer than this are canceled and their invoices voided
+const ABANDONED_CART_MAX_AGE_MINUTES = parseInt(process.env.ABANDONED_CART_MAX_AGE_MINUTES, 10) || 60;
+
+// How often the sweeper runs; set to 0 to turn it off
+const ABANDONED_CART_SWEEP_INTERVAL_MINUTES = process.env.ABANDONED_CART_SWEEP_INTERVAL_MINUTES === undefined
+  ? 15
+  : parseInt(process.env.ABANDONED_CART_SWEEP_INTERVAL_MINUTES, 10) || 0;
+
+let running = false;
+
+/**
+ * Run one sweep, skipping it if the previous one is still going
+ */
+const runSweep = async () => {
+  if (running) {
+    return;
+  }
+
+  running = true;
+  try {
+    const { canceled, failed } = await sweepAbandonedCartsService(ABANDONED_CART_MAX_AGE_MINUTES);
+    if (canceled > 0 || failed > 0) {
+      console.log(`🧹 Abandoned carts: ${canceled} canceled, ${failed} failed`);
+    }
+  } catch (error) {
+    console.error('Error sweeping abandoned carts:', error);
+  } finally {
+    running = false;
+  }
+};
+
+/**
+ * Start sweeping abandoned product carts on an interval
+ * @returns {NodeJS.Timeout|null} Interval handle, or null if the sweeper is turned off
+ */
+const startAbandonedCartSweeper = () => {
+  if (ABANDONED_CART_SWEEP_INTERVAL_MINUTES <= 0) {
+    return null;
+  }
+
+  console.log(
+    `🧹 Abandoned cart sweeper: every ${ABANDONED_CART_SWEEP_INTERVAL_MINUTES} min, carts older than ${ABANDONED_CART_MAX_AGE_MINUTES} min`,
+  );
+
+  const timer = setInterval(runSweep, ABANDONED_CART_SWEEP_INTERVAL_MINUTES * 60 * 1000);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  startAbandonedCartSweeper,
+};
@@ -1,6 +1,5 @@
 const { successResponse, errorResponse } = require('../../utils/response.js');
 const {
-  validateStripeAccount,
   createPaymentIntentService,
   findOrCreateCustomerService,
   createInvoiceService,
@@ -9,11 +8,39 @@ const {
   attachPaymentIntentToInvoiceService,
   createPaymentIntentFromInvoiceService,
   buildPaymentMetadata,
+  resolveSaleAttributionService,
+  validateAttributionQuery,
   getPaymentStatsService,
   getTransactionsService,
   createRefundService,
   getChargeService,
+  getRefundHistoryService,
+  getRefundableLineItemsService,
+  calculateLineItemRefundService,
+  encodeRefundLineItems,
+  getRefundSummaryService,
+  getPaymentIntentService,
+  capturePaymentIntentService,
+  cancelPaymentIntentService,
+  listAuthorizationsService,
+  voidInvoiceService,
 } = require('./services.js');
+const {
+  reserveStockService,
+  releaseReservationsService,
+} = require('../inventory/services.js');
+const {
+  validateDiscounts,
+  resolveDiscountsService,
+  deleteAdHocCouponsService,
+} = require('../coupons/services.js');
+const { getLocationTaxRatesService } = require('../tax/services.js');
+const { isTippingEnabledService } = require('../tips/services.js');
+const { validateStripeAccount } = require('../../utils/stripeAccount.js');
+const { hasPermission } = require('../../middleware/authorize.js');
+
+// 'manual' authorizes the card now and leaves the capture for later
+const CAPTURE_METHODS = ['automatic', 'manual'];
 
 /**
  * Create payment intent for Terminal payment
@@ -27,6 +54,9 @@ const createPaymentIntent = async (req, res, next) => {
       currency = 'usd',
       metadata = {},
       customerDetails = {},
+      locationId = null,
+      readerId = null,
+      captureMethod = 'automatic',
     } = req.body;
 
     // Validate amount
@@ -38,8 +68,29 @@ const createPaymentIntent = async (req, res, next) => {
         );
     }
 
+    if (locationId !== null && typeof locationId !== 'string') {
+      return res
+        .status(400)
+        .json(errorResponse('locationId must be a string', 'invalid-argument'));
+    }
+
+    if (readerId !== null && typeof readerId !== 'string') {
+      return res
+        .status(400)
+        .json(errorResponse('readerId must be a string', 'invalid-argument'));
+    }
+
+    if (!CAPTURE_METHODS.includes(captureMethod)) {
+      return res
+        .status(400)
+        .json(errorResponse('captureMethod must be one of: automatic, manual', 'invalid-argument'));
+    }
+
     // Validate Stripe account and get account ID
-    const accountId = await validateStripeAccount(userId);
+    const accountId = await validateStripeAccount(userId, req.user.stripeAccountId);
+
+    // Check the reader/location belong to this account (the reader's location is used if none given)
+    const attribution = await resolveSaleAttributionService(accountId, { readerId, locationId });
 
     // Call service to create payment intent
     const result = await createPaymentIntentService(accountId, {
@@ -48,6 +99,11 @@ const createPaymentIntent = async (req, res, next) => {
       metadata,
       customerDetails,
       userId,
+      idempotencyKey: req.idempotencyKey || null,
+      locationId: attribution.locationId,
+      readerId: attribution.readerId,
+      staffId: req.user.staffId || null,
+      captureMethod,
     });
 
     res.json(successResponse(result, 'Payment intent created successfully'));
@@ -59,20 +115,26 @@ const createPaymentIntent = async (req, res, next) => {
 /**
  * Get payment statistics for a date with trend data
  * GET /api/payments/stats?date=2025-12-15&includeTrend=true&days=7
+ *
+ * Optional: readerId and/or locationId filters, groupBy=reader|location for a breakdown.
  */
 const getPaymentStats = async (req, res, next) => {
   try {
     const userId = req.user.userId;
     const { date, includeTrend = 'true', days = '7' } = req.query;
 
+    // Validate reader/location filters and grouping
+    const attribution = validateAttributionQuery(req.query);
+
     // Validate Stripe account and get account ID
-    const accountId = await validateStripeAccount(userId);
+    const accountId = await validateStripeAccount(userId, req.user.stripeAccountId);
 
     // Call service to get payment statistics
     const stats = await getPaymentStatsService(accountId, {
       date,
       includeTrend,
       days,
+      ...attribution,
     });
 
     res.json(
@@ -93,7 +155,14 @@ const getPaymentStats = async (req, res, next) => {
 const createPaymentIntentFromProducts = async (req, res, next) => {
   try {
     const userId = req.user.userId;
-    const { cartItems = [], customerDetails = {} } = req.body;
+    const {
+      cartItems = [],
+      customerDetails = {},
+      discounts,
+      locationId = null,
+      readerId = null,
+      captureMethod = 'automatic',
+    } = req.body;
 
     // Validate cartItems
     if (!Array.isArray(cartItems) || cartItems.length === 0) {
@@ -136,8 +205,33 @@ const createPaymentIntentFromProducts = async (req, res, next) => {
       }
     }
 
+    if (locationId !== null && typeof locationId !== 'string') {
+      return res
+        .status(400)
+        .json(errorResponse('locationId must be a string', 'invalid-argument'));
+    }
+
+    if (readerId !== null && typeof readerId !== 'string') {
+      return res
+        .status(400)
+        .json(errorResponse('readerId must be a string', 'invalid-argument'));
+    }
+
+    if (!CAPTURE_METHODS.includes(captureMethod)) {
+      return res
+        .status(400)
+        .json(errorResponse('captureMethod must be one of: automatic, manual', 'invalid-argument'));
+    }
+
+    // Validate cart-level and line-level discounts
+    const cartDiscounts = validateDiscounts(discounts);
+    const lineDiscounts = cartItems.map((item, i) => validateDiscounts(item.discounts, `cartItems[${i}].discounts`));
+
     // Validate Stripe account and get account ID
-    const accountId = await validateStripeAccount(userId);
+    const accountId = await validateStripeAccount(userId, req.user.stripeAccountId);
+
+    // Check the reader/location belong to this account (the reader's location is used if none given)
+    const attribution = await resolveSaleAttributionService(accountId, { readerId, locationId });
 
     // Step 1: Create or retrieve Stripe Customer if email provided
     const customerId = await findOrCreateCustomerService(
@@ -146,40 +240,100 @@ const createPaymentIntentFromProducts = async (req, res, next) => {
       userId
     );
 
+    // Retries with the same Idempotency-Key reuse the Stripe objects created by the first attempt
+    const idempotencyKey = req.idempotencyKey || null;
+
+    // Resolve coupons/promotion codes (cashier discounts become single-use coupons)
+    const invoiceDiscounts = await resolveDiscountsService(accountId, cartDiscounts, {
+      userId,
+      idempotencyKey,
+      scope: 'cart',
+    });
+    const discountedCartItems = [];
+    for (const [i, item] of cartItems.entries()) {
+      discountedCartItems.push({
+        priceId: item.priceId,
+        quantity: item.quantity,
+        discounts: await resolveDiscountsService(accountId, lineDiscounts[i], {
+          userId,
+          idempotencyKey,
+          scope: `line:${i}`,
+        }),
+      });
+    }
+
+    // Tax rates of the location the sale happens at (none without a location)
+    const locationTaxRates = await getLocationTaxRatesService(accountId, attribution.locationId);
+
     // Step 2: Create invoice
-    const invoice = await createInvoiceService(accountId, customerId, userId);
+    const invoice = await createInvoiceService(accountId, customerId, userId, idempotencyKey, invoiceDiscounts);
 
-    // Step 3: Create invoice items (validates prices and creates items)
-    await createInvoiceItemsService(
-      accountId,
-      invoice.id,
-      customerId,
-      cartItems,
-      userId
-    );
+    // Step 3: Reserve stock for tracked items (rejects carts that exceed available stock)
+    try {
+      await reserveStockService(accountId, invoice.id, cartItems);
+    } catch (error) {
+      // A cart rejected for stock won't be retried as is, so don't leave its draft invoice
+      // and cashier discounts behind (other failures keep them for an idempotent retry)
+      if (error.statusCode === 409) {
+        try {
+          await voidInvoiceService(accountId, invoice.id);
+        } catch (cleanupError) {
+          console.error(`Error deleting draft invoice ${invoice.id}:`, cleanupError);
+        }
+        await deleteAdHocCouponsService(accountId, cartDiscounts, invoiceDiscounts);
+        for (const [i, item] of discountedCartItems.entries()) {
+          await deleteAdHocCouponsService(accountId, lineDiscounts[i], item.discounts);
+        }
+      }
+      throw error;
+    }
 
-    // Step 4: Finalize invoice
-    const finalizedInvoice = await finalizeInvoiceService(accountId, invoice.id);
+    let finalizedInvoice;
+    let paymentIntent;
+    try {
+      // Step 4: Create invoice items (validates prices and creates items)
+      await createInvoiceItemsService(
+        accountId,
+        invoice.id,
+        customerId,
+        discountedCartItems,
+        userId,
+        idempotencyKey,
+        locationTaxRates
+      );
 
-    // Step 5: Build payment metadata
-    const paymentMetadata = buildPaymentMetadata(
-      userId,
-      {
-        invoiceId: invoice.id,
-        paymentType: 'products',
-      },
-      customerDetails
-    );
+      // Step 5: Finalize invoice
+      finalizedInvoice = await finalizeInvoiceService(accountId, invoice.id, idempotencyKey);
 
-    // Step 6: Create PaymentIntent from invoice
-    const paymentIntent = await createPaymentIntentFromInvoiceService(
-      accountId,
-      finalizedInvoice,
-      paymentMetadata,
-      customerId
-    );
+      // Step 6: Build payment metadata
+      const paymentMetadata = buildPaymentMetadata(
+        userId,
+        {
+          invoiceId: invoice.id,
+          paymentType: 'products',
+          ...(attribution.locationId && { locationId: attribution.locationId }),
+          ...(attribution.readerId && { readerId: attribution.readerId }),
+        },
+        customerDetails,
+        req.user.staffId || null
+      );
+
+      // Step 7: Create PaymentIntent from invoice
+      paymentIntent = await createPaymentIntentFromInvoiceService(
+        accountId,
+        finalizedInvoice,
+        paymentMetadata,
+        customerId,
+        idempotencyKey,
+        captureMethod
+      );
+    } catch (error) {
+      // No payment will settle the reservation, so give the stock back
+      await releaseReservationsService(accountId, invoice.id);
+      throw error;
+    }
 
-    // Step 7: Try to attach PaymentIntent to invoice (optional, for receipts)
+    // Step 8: Try to attach PaymentIntent to invoice (optional, for receipts)
     try {
       await attachPaymentIntentToInvoiceService(
         accountId,
@@ -198,6 +352,14 @@ const createPaymentIntentFromProducts = async (req, res, next) => {
           clientSecret: paymentIntent.clientSecret,
           paymentIntentId: paymentIntent.paymentIntentId,
           invoiceId: finalizedInvoice.id, // Invoice ID for receipt reference
+          subtotal: finalizedInvoice.subtotal, // In cents, before discounts
+          discountAmount: (finalizedInvoice.total_discount_amounts || [])
+            .reduce((sum, discount) => sum + discount.amount, 0), // In cents
+          tax: (finalizedInvoice.total_tax_amounts || [])
+            .reduce((sum, tax) => sum + tax.amount, 0), // In cents
+          total: finalizedInvoice.total, // In cents, before any tip added on the reader
+          applicationFeeAmount: paymentIntent.applicationFeeAmount, // Platform fee in cents
+          tippingEnabled: await isTippingEnabledService(accountId, attribution.locationId),
         },
         'Payment intent created from products successfully',
       ),
@@ -210,17 +372,22 @@ const createPaymentIntentFromProducts = async (req, res, next) => {
 /**
  * Get transactions for a specific date
  * GET /api/payments/transactions?date=2025-12-15
+ *
+ * Optional: readerId and/or locationId filters, groupBy=reader|location to return groups.
  */
 const getTransactions = async (req, res, next) => {
   try {
     const userId = req.user.userId;
     const { date } = req.query;
 
+    // Validate reader/location filters and grouping
+    const attribution = validateAttributionQuery(req.query);
+
     // Validate Stripe account and get account ID
-    const accountId = await validateStripeAccount(userId);
+    const accountId = await validateStripeAccount(userId, req.user.stripeAccountId);
                                     
     // Call service to get transactions
-    const transactions = await getTransactionsService(accountId, date || null);
+    const transactions = await getTransactionsService(accountId, date || null, attribution);
 
     res.json(
       successResponse(transactions, 'Transactions retrieved successfully'),
@@ -233,11 +400,14 @@ const getTransactions = async (req, res, next) => {
 /**
  * Create a refund for a transaction
  * POST /api/payments/refund
+ *
+ * Refunds the remaining balance by default. Send either `amount` (in cents) for a partial refund,
+ * or `lineItems` ([{ lineItemId, quantity }]) to refund specific lines of an invoice-backed sale.
  */
 const createRefund = async (req, res, next) => {
   try {
     const userId = req.user.userId;
-    const { chargeId, amount, reason } = req.body;
+    const { chargeId, amount, lineItems, reason } = req.body;
 
     // Input validation
     if (!chargeId || typeof chargeId !== 'string') {
@@ -248,37 +418,58 @@ const createRefund = async (req, res, next) => {
         );
     }
 
-    // Validate Stripe account and get account ID
-    const accountId = await validateStripeAccount(userId);
+    const hasAmount = amount !== undefined && amount !== null;
+    const hasLineItems = lineItems !== undefined && lineItems !== null;
 
-    // Fetch charge from Stripe to get the amount
-    const charge = await getChargeService(accountId, chargeId);
-    const chargeAmount = charge.amount; // Amount in cents
-    const amountRefunded = charge.amount_refunded || 0; // Already refunded amount
-    const availableAmount = chargeAmount - amountRefunded; // Available amount for refund
+    if (hasAmount && hasLineItems) {
+      return res
+        .status(400)
+        .json(
+          errorResponse('Provide either amount or lineItems, not both', 'invalid-argument'),
+        );
+    }
+
+    if (hasAmount && (!Number.isInteger(amount) || amount <= 0)) {
+      return res
+        .status(400)
+        .json(
+          errorResponse('Amount must be a positive integer (in cents)', 'invalid-argument'),
+        );
+    }
 
-    // Validate amount if provided (must be positive and not exceed available amount)
-    // let refundAmount = null;
-    // if (amount !== undefined && amount !== null) {
-    //   if (typeof amount !== 'number' || amount <= 0) {
-    //     return res
-    //       .status(400)
-    //       .json(
-    //         errorResponse('Amount must be a positive number', 'invalid-argument'),
-    //       );
-    //   }
-    //   if (amount > availableAmount) {
-    //     return res
-    //       .status(400)
-    //       .json(
-    //         errorResponse(
-    //           `Amount exceeds available refund amount. Available: ${availableAmount / 100} ${charge.currency.toUpperCase()}`,
-    //           'invalid-argument',
-    //         ),
-    //       );
-    //   }
-    //   refundAmount = Math.round(amount);
-    // }
+    if (hasLineItems) {
+      if (!Array.isArray(lineItems) || lineItems.length === 0) {
+        return res
+          .status(400)
+          .json(
+            errorResponse('lineItems must be a non-empty array', 'invalid-argument'),
+          );
+      }
+
+      for (let i = 0; i < lineItems.length; i++) {
+        const line = lineItems[i];
+        if (!line.lineItemId || typeof line.lineItemId !== 'string') {
+          return res
+            .status(400)
+            .json(
+              errorResponse(
+                `lineItems[${i}].lineItemId is required and must be a string`,
+                'invalid-argument',
+              ),
+            );
+        }
+        if (!Number.isInteger(line.quantity) || line.quantity <= 0) {
+          return res
+            .status(400)
+            .json(
+              errorResponse(
+                `lineItems[${i}].quantity must be a positive integer`,
+                'invalid-argument',
+              ),
+            );
+        }
+      }
+    }
 
     // Validate reason if provided
     if (reason && !['duplicate', 'fraudulent', 'requested_by_customer'].includes(reason)) {
@@ -292,13 +483,250 @@ const createRefund = async (req, res, next) => {
         );
     }
 
+    // Validate Stripe account and get account ID
+    const accountId = await validateStripeAccount(userId, req.user.stripeAccountId);
+
+    // Fetch charge from Stripe to get the amount
+    const charge = await getChargeService(accountId, chargeId);
+    const chargeAmount = charge.amount; // Amount in cents
+    const amountRefunded = charge.amount_refunded || 0; // Already refunded amount
+    const availableAmount = chargeAmount - amountRefunded; // Available amount for refund
+
+    if (availableAmount <= 0) {
+      return res
+        .status(400)
+        .json(
+          errorResponse('Charge has already been fully refunded', 'failed-precondition'),
+        );
+    }
+
+    let refundAmount = availableAmount;
+    // Record who issued the refund alongside who took the payment
+    const refundMetadata = req.user.staffId ? { staffId: req.user.staffId } : {};
+
+    if (hasLineItems) {
+      const invoiceId = charge.metadata?.invoiceId;
+      if (!invoiceId) {
+        return res
+          .status(400)
+          .json(
+            errorResponse(
+              'Line item refunds are only available for product sales',
+              'failed-precondition',
+            ),
+          );
+      }
+
+      // Work out the amount from the selected lines and what was already refunded
+      const refundHistory = await getRefundHistoryService(accountId, chargeId);
+      const refundableLines = await getRefundableLineItemsService(
+        accountId,
+        invoiceId,
+        refundHistory
+      );
+      const lineRefund = calculateLineItemRefundService(refundableLines, lineItems);
+
+      // Earlier amount-only refunds aren't tied to lines, so the selected lines may no longer fit
+      if (lineRefund.amount > availableAmount) {
+        return res
+          .status(400)
+          .json(
+            errorResponse(
+              `Selected line items exceed the available refund amount. Available: ${availableAmount / 100} ${charge.currency.toUpperCase()}`,
+              'invalid-argument',
+            ),
+          );
+      }
+
+      refundAmount = lineRefund.amount;
+      Object.assign(refundMetadata, encodeRefundLineItems(lineRefund.lineItems));
+    } else if (hasAmount) {
+      if (amount > availableAmount) {
+        return res
+          .status(400)
+          .json(
+            errorResponse(
+              `Amount exceeds available refund amount. Available: ${availableAmount / 100} ${charge.currency.toUpperCase()}`,
+              'invalid-argument',
+            ),
+          );
+      }
+      refundAmount = amount;
+    }
+
     // Call service to create refund
     const refund = await createRefundService(accountId, chargeId, {
-      amount: availableAmount,
+      amount: refundAmount,
       reason: reason || null,
+      metadata: refundMetadata,
+      idempotencyKey: req.idempotencyKey || null,
+    });
+
+    // Return updated balance and history alongside the refund
+    const refunds = await getRefundHistoryService(accountId, chargeId);
+    const refundCounts = !['failed', 'canceled'].includes(refund.status);
+    const updatedAmountRefunded = amountRefunded + (refundCounts ? refund.amount : 0);
+
+    res.json(successResponse({
+      ...refund,
+      amountRefunded: updatedAmountRefunded, // In cents
+      refundableAmount: chargeAmount - updatedAmountRefunded, // In cents
+      refunds,
+    }, 'Refund processed successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get refundable balance, refund history and refundable line items for a charge
+ * GET /api/payments/charges/:chargeId/refunds
+ */
+const getChargeRefunds = async (req, res, next) => {
+  try {
+    const userId = req.user.userId;
+    const { chargeId } = req.params;
+
+    // Validate Stripe account and get account ID
+    const accountId = await validateStripeAccount(userId, req.user.stripeAccountId);
+
+    const charge = await getChargeService(accountId, chargeId);
+
+    // Call service to build refund summary
+    const summary = await getRefundSummaryService(accountId, charge);
+
+    res.json(successResponse(summary, 'Refund history retrieved successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Capture an authorized (manual capture) payment
+ * POST /api/payments/:paymentIntentId/capture
+ *
+ * Captures the full authorization by default. Send `amountToCapture` (in cents) to capture less;
+ * the rest of the hold is released.
+ */
+const capturePayment = async (req, res, next) => {
+  try {
+    const userId = req.user.userId;
+    const { paymentIntentId } = req.params;
+    const { amountToCapture } = req.body || {};
+
+    const hasAmount = amountToCapture !== undefined && amountToCapture !== null;
+
+    if (hasAmount && (!Number.isInteger(amountToCapture) || amountToCapture <= 0)) {
+      return res
+        .status(400)
+        .json(
+          errorResponse('amountToCapture must be a positive integer (in cents)', 'invalid-argument'),
+        );
+    }
+
+    // Validate Stripe account and get account ID
+    const accountId = await validateStripeAccount(userId, req.user.stripeAccountId);
+
+    const paymentIntent = await getPaymentIntentService(accountId, paymentIntentId);
+
+    if (paymentIntent.status !== 'requires_capture') {
+      return res
+        .status(400)
+        .json(
+          errorResponse(
+            `Payment intent with status ${paymentIntent.status} cannot be captured`,
+            'failed-precondition',
+          ),
+        );
+    }
+
+    if (hasAmount && amountToCapture > paymentIntent.amount_capturable) {
+      return res
+        .status(400)
+        .json(
+          errorResponse(
+            `amountToCapture exceeds the authorized amount. Authorized: ${paymentIntent.amount_capturable / 100} ${paymentIntent.currency.toUpperCase()}`,
+            'invalid-argument',
+          ),
+        );
+    }
+
+    // Capturing less than was authorized gives the rest back, which only refunders may do
+    if (hasAmount && amountToCapture < paymentIntent.amount_capturable && !hasPermission(req.user.role, 'payments:refund')) {
+      return res
+        .status(403)
+        .json(
+          errorResponse(
+            `Your role (${req.user.role}) is not allowed to capture less than the authorized amount`,
+            'permission-denied',
+          ),
+        );
+    }
+
+    const result = await capturePaymentIntentService(accountId, paymentIntent, {
+      amountToCapture: hasAmount ? amountToCapture : null,
+      userId,
+      idempotencyKey: req.idempotencyKey || null,
+    });
+
+    res.json(successResponse(result, 'Payment captured successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Cancel a payment that hasn't completed (releases an uncaptured authorization)
+ * POST /api/payments/:paymentIntentId/cancel
+ *
+ * For product payments the linked invoice is voided and reserved stock is released.
+ */
+const cancelPayment = async (req, res, next) => {
+  try {
+    const userId = req.user.userId;
+    const { paymentIntentId } = req.params;
+
+    // Validate Stripe account and get account ID
+    const accountId = await validateStripeAccount(userId, req.user.stripeAccountId);
+
+    const paymentIntent = await getPaymentIntentService(accountId, paymentIntentId);
+
+    // Releasing a held authorization gives the money back, which only refunders may do
+    if (paymentIntent.status === 'requires_capture' && !hasPermission(req.user.role, 'payments:refund')) {
+      return res
+        .status(403)
+        .json(
+          errorResponse(
+            `Your role (${req.user.role}) is not allowed to cancel an authorized payment`,
+            'permission-denied',
+          ),
+        );
+    }
+
+    const result = await cancelPaymentIntentService(accountId, paymentIntent, {
+      idempotencyKey: req.idempotencyKey || null,
     });
 
-    res.json(successResponse(refund, 'Refund processed successfully'));
+    res.json(successResponse(result, 'Payment canceled successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * List uncaptured authorizations, soonest to expire first
+ * GET /api/payments/authorizations
+ */
+const getAuthorizations = async (req, res, next) => {
+  try {
+    const userId = req.user.userId;
+
+    // Validate Stripe account and get account ID
+    const accountId = await validateStripeAccount(userId, req.user.stripeAccountId);
+
+    const authorizations = await listAuthorizationsService(accountId);
+
+    res.json(successResponse(authorizations, 'Authorizations retrieved successfully'));
   } catch (error) {
     next(error);
   }
@@ -310,4 +738,8 @@ module.exports = {
   getPaymentStats,
   getTransactions,
   createRefund,
+  getChargeRefunds,
+  capturePayment,
+  cancelPayment,
+  getAuthorizations,
 };
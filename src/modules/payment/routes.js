@@ -1,14 +1,26 @@
 const express = require('express');
 const { authenticate } = require('../../middleware/auth.js');
-const { createPaymentIntent, createPaymentIntentFromProducts, getPaymentStats, getTransactions, createRefund } = require('./controller.js');
+const { authorize } = require('../../middleware/authorize.js');
+const { idempotency } = require('../../middleware/idempotency.js');
+const {
+  createPaymentIntent,
+  createPaymentIntentFromProducts,
+  getPaymentStats,
+  getTransactions,
+  createRefund,
+  getChargeRefunds,
+  capturePayment,
+  cancelPayment,
+  getAuthorizations,
+} = require('./controller.js');
 
 const router = express.Router();
 
 // Create payment intent for custom amount - requires authentication
-router.post('/create-intent', authenticate, createPaymentIntent);
+router.post('/create-intent', authenticate, authorize('payments:charge'), idempotency, createPaymentIntent);
 
 // Create payment intent from products (Invoice-based) - requires authentication
-router.post('/create-intent-from-products', authenticate, createPaymentIntentFromProducts);
+router.post('/create-intent-from-products', authenticate, authorize('payments:charge'), idempotency, createPaymentIntentFromProducts);
 
 // Get payment statistics - requires authentication
 router.get('/stats', authenticate, getPaymentStats);
@@ -16,7 +28,18 @@ router.get('/stats', authenticate, getPaymentStats);
 // Get transactions for a date - requires authentication
 router.get('/transactions', authenticate, getTransactions);
 
-// Create refund for a charge - requires authentication
-router.post('/refund', authenticate, createRefund);
+// Create refund for a charge - requires authentication (cashiers cannot refund)
+router.post('/refund', authenticate, authorize('payments:refund'), idempotency, createRefund);
+
+// Get refundable balance and refund history for a charge - requires authentication
+router.get('/charges/:chargeId/refunds', authenticate, getChargeRefunds);
+
+// List uncaptured authorizations - requires authentication
+router.get('/authorizations', authenticate, getAuthorizations);
+
+// Capture or cancel an authorized payment - requires authentication (partial capture and releasing
+// an authorization also need payments:refund, checked in the controller)
+router.post('/:paymentIntentId/capture', authenticate, authorize('payments:charge'), idempotency, capturePayment);
+router.post('/:paymentIntentId/cancel', authenticate, authorize('payments:charge'), idempotency, cancelPayment);
 
 module.exports = router;
@@ -1,47 +1,63 @@
+const crypto = require('crypto');
 const { stripe } = require('../../config/stripe.js');
 const prisma = require('../../config/database.js');
+const { calculateApplicationFeeService } = require('../fees/services.js');
+const {
+  commitReservationsService,
+  releaseReservationsService,
+} = require('../inventory/services.js');
+const {
+  getLocationTaxRatesService,
+  selectTaxRates,
+  calculateTax,
+} = require('../tax/services.js');
+const { isTippingEnabledService } = require('../tips/services.js');
 
 /**
- * Validate user has an active Stripe account
- * @param {string} userId - User ID
- * @returns {Promise<string>} Stripe account ID
- * @throws {Error} If account is not connected or not active (with statusCode 400)
+ * Build Stripe request options for a connected account
+ * When the client sent an Idempotency-Key, a Stripe idempotency key is derived from it per operation
+ * so retried requests reuse the original Stripe objects instead of creating duplicates
+ * @param {string} accountId - Stripe account ID
+ * @param {string|null} idempotencyKey - Client Idempotency-Key header value
+ * @param {string} scope - Operation name (each Stripe call needs its own key)
+ * @returns {object} Stripe request options
  */
-const validateStripeAccount = async (userId) => {
-  const user = await prisma.user.findUnique({
-    where: { id: userId },
-  });
-
-  if (!user?.stripeAccountId) {
-    const error = new Error('Stripe account not connected. Please connect your Stripe account first.');
-    error.statusCode = 400;
-    error.code = 'failed-precondition';
-    throw error;
+const buildStripeOptions = (accountId, idempotencyKey, scope) => {
+  const options = { stripeAccount: accountId };
+
+  if (idempotencyKey) {
+    options.idempotencyKey = crypto
+      .createHash('sha256')
+      .update(`${accountId}:${idempotencyKey}:${scope}`)
+      .digest('hex');
   }
 
-  if (user.stripeAccountStatus !== 'active') {
-    const error = new Error('Stripe account is not active. Please complete the onboarding process.');
-    error.statusCode = 400;
-    error.code = 'failed-precondition';
-    throw error;
-  }
-
-  return user.stripeAccountId;
+  return options;
 };
 
+// Metadata keys the ledger, cancel and the abandoned cart sweeper trust; set by the server only
+const SERVER_METADATA_KEYS = ['readerId', 'locationId', 'invoiceId', 'paymentType'];
+
 /**
- * Build payment metadata from customer details and user ID
+ * Build payment metadata from customer details, user ID and the staff member taking the payment
  * @param {string} userId - User ID
  * @param {object} metadata - Additional metadata
  * @param {object} customerDetails - Customer details
+ * @param {string|null} staffId - Staff member from the access token (null for the merchant)
  * @returns {object} Payment metadata object
  */
-const buildPaymentMetadata = (userId, metadata = {}, customerDetails = {}) => {
+const buildPaymentMetadata = (userId, metadata = {}, customerDetails = {}, staffId = null) => {
   const paymentMetadata = {
     userId,
     ...metadata,
   };
 
+  // staffId only ever comes from the token, never from client-supplied metadata
+  delete paymentMetadata.staffId;
+  if (staffId) {
+    paymentMetadata.staffId = staffId;
+  }
+
   // Add customer details to metadata if provided
   if (customerDetails.email) {
     paymentMetadata.customerEmail = customerDetails.email;
@@ -59,6 +75,288 @@ const buildPaymentMetadata = (userId, metadata = {}, customerDetails = {}) => {
   return paymentMetadata;
 };
 
+/**
+ * Check that a reader and/or location belong to the merchant's account
+ * The reader's location is used when no location is given
+ * @param {string} accountId - Stripe account ID
+ * @param {object} attribution - Sale attribution
+ * @param {string|null} attribution.readerId - Terminal reader ID (optional)
+ * @param {string|null} attribution.locationId - Terminal location ID (optional)
+ * @returns {Promise<object>} Validated readerId and locationId
+ * @throws {Error} If either doesn't belong to the account or they don't match (with statusCode 400)
+ */
+const resolveSaleAttributionService = async (accountId, attribution) => {
+  let { readerId = null, locationId = null } = attribution;
+
+  const notOnAccount = (message) => {
+    const error = new Error(message);
+    error.statusCode = 400;
+    error.code = 'invalid-argument';
+    return error;
+  };
+
+  // Missing and deleted readers/locations are treated as not on the account
+  const retrieveOwned = async (resource, id, label) => {
+    let object;
+    try {
+      object = await stripe.terminal[resource].retrieve(id, { stripeAccount: accountId });
+    } catch (error) {
+      if (error.code === 'resource_missing') {
+        throw notOnAccount(`${label} ${id} was not found on your Stripe account`);
+      }
+      throw new Error(error.message || `Error retrieving ${label.toLowerCase()}`);
+    }
+
+    if (object.deleted) {
+      throw notOnAccount(`${label} ${id} was not found on your Stripe account`);
+    }
+    return object;
+  };
+
+  let locationVerified = false;
+
+  if (readerId) {
+    const reader = await retrieveOwned('readers', readerId, 'Reader');
+    const readerLocationId = typeof reader.location === 'string' ? reader.location : reader.location?.id;
+
+    if (locationId && readerLocationId && locationId !== readerLocationId) {
+      throw notOnAccount(`Reader ${readerId} is registered to location ${readerLocationId}, not ${locationId}`);
+    }
+
+    locationVerified = Boolean(readerLocationId);
+    locationId = locationId || readerLocationId || null;
+  }
+
+  if (locationId && !locationVerified) {
+    await retrieveOwned('locations', locationId, 'Location');
+  }
+
+  return { readerId, locationId };
+};
+
+/**
+ * Build payment ledger fields from a PaymentIntent
+ * Customer fields are left undefined when missing so updates don't clear values taken from the charge
+ * @param {object} paymentIntent - Stripe PaymentIntent object
+ * @returns {object} Payment ledger fields
+ */
+const mapPaymentIntentToLedger = (paymentIntent) => {
+  const metadata = paymentIntent.metadata || {};
+  const customer = paymentIntent.customer;
+
+  return {
+    // A partial capture only settles amount_received; the rest of the authorization is released
+    amount: paymentIntent.status === 'succeeded' ? paymentIntent.amount_received : paymentIntent.amount,
+    tipAmount: paymentIntent.amount_details?.tip?.amount ?? 0, // Tip collected on the reader, included in amount
+    currency: paymentIntent.currency,
+    status: paymentIntent.status,
+    captureMethod: paymentIntent.capture_method || undefined,
+    amountCapturable: paymentIntent.amount_capturable ?? 0,
+    paymentType: metadata.paymentType || 'custom',
+    applicationFeeAmount: paymentIntent.application_fee_amount ?? undefined,
+    customerId: (typeof customer === 'string' ? customer : customer?.id) || undefined,
+    customerEmail: metadata.customerEmail || paymentIntent.receipt_email || undefined,
+    customerName: metadata.customerName || undefined,
+    customerPhone: metadata.customerPhone || undefined,
+    invoiceId: metadata.invoiceId || undefined,
+    readerId: metadata.readerId || undefined,
+    locationId: metadata.locationId || undefined,
+    staffId: metadata.staffId || undefined,
+    description: paymentIntent.description || undefined,
+    metadata,
+  };
+};
+
+/**
+ * Build payment ledger fields from a Charge
+ * @param {object} charge - Stripe Charge object
+ * @returns {object} Payment ledger fields
+ */
+const mapChargeToLedger = (charge) => {
+  // Uncaptured card_present authorizations expire at capture_before
+  const captureBefore = charge.payment_method_details?.card_present?.capture_before;
+
+  return {
+    chargeId: charge.id,
+    chargeStatus: charge.status,
+    paid: charge.paid || false,
+    amountRefunded: charge.amount_refunded || 0,
+    paymentMethodId: charge.payment_method || undefined,
+    receiptUrl: charge.receipt_url || undefined,
+    customerEmail: charge.billing_details?.email || undefined,
+    customerName: charge.billing_details?.name || undefined,
+    captureBefore: captureBefore ? new Date(captureBefore * 1000) : undefined,
+  };
+};
+
+/**
+ * Derive a PaymentIntent status from a Charge (used when only the charge is known)
+ * @param {object} charge - Stripe Charge object
+ * @returns {string} PaymentIntent status
+ */
+const derivePaymentIntentStatus = (charge) => {
+  if (charge.status === 'succeeded') {
+    return charge.captured === false ? 'requires_capture' : 'succeeded';
+  }
+  if (charge.status === 'pending') {
+    return 'processing';
+  }
+  return 'requires_payment_method';
+};
+
+/**
+ * Find the user that owns a connected Stripe account
+ * @param {string} accountId - Stripe account ID
+ * @returns {Promise<string|null>} User ID or null if no user owns the account
+ */
+const findUserIdByAccountService = async (accountId) => {
+  const details = await prisma.stripeDetails.findUnique({
+    where: { stripeAccountId: accountId },
+    select: { userId: true },
+  });
+
+  return details?.userId || null;
+};
+
+/**
+ * Record a newly created PaymentIntent in the payments ledger
+ * Failures are only logged - the PaymentIntent exists in Stripe and webhook sync will create the row
+ * @param {string} accountId - Stripe account ID
+ * @param {object} paymentIntent - Stripe PaymentIntent object
+ * @param {string} userId - User ID
+ */
+const recordPaymentService = async (accountId, paymentIntent, userId) => {
+  try {
+    const fields = mapPaymentIntentToLedger(paymentIntent);
+
+    await prisma.payment.upsert({
+      where: { paymentIntentId: paymentIntent.id },
+      create: {
+        ...fields,
+        userId,
+        stripeAccountId: accountId,
+        paymentIntentId: paymentIntent.id,
+      },
+      update: fields,
+    });
+  } catch (error) {
+    console.error(`Error recording payment ${paymentIntent.id} in ledger:`, error);
+  }
+};
+
+/**
+ * Sync a PaymentIntent and its latest charge into the payments ledger
+ * @param {string} accountId - Stripe account ID
+ * @param {object} paymentIntent - Stripe PaymentIntent object
+ * @returns {Promise<object|null>} Ledger payment or null if no user owns the account
+ */
+const syncPaymentIntentService = async (accountId, paymentIntent) => {
+  let chargeFields = {};
+  if (paymentIntent.latest_charge) {
+    const charge = typeof paymentIntent.latest_charge === 'string'
+      ? await getChargeService(accountId, paymentIntent.latest_charge)
+      : paymentIntent.latest_charge;
+    chargeFields = mapChargeToLedger(charge);
+  }
+
+  const fields = {
+    ...mapPaymentIntentToLedger(paymentIntent),
+    ...chargeFields,
+  };
+
+  const existing = await prisma.payment.findUnique({
+    where: { paymentIntentId: paymentIntent.id },
+    select: { id: true },
+  });
+
+  if (existing) {
+    return prisma.payment.update({
+      where: { paymentIntentId: paymentIntent.id },
+      data: fields,
+    });
+  }
+
+  const userId = await findUserIdByAccountService(accountId);
+  if (!userId) {
+    console.warn(`No user found for account ${accountId}, skipping ledger sync for ${paymentIntent.id}`);
+    return null;
+  }
+
+  return prisma.payment.create({
+    data: {
+      ...fields,
+      userId,
+      stripeAccountId: accountId,
+      paymentIntentId: paymentIntent.id,
+    },
+  });
+};
+
+/**
+ * Sync a Charge into the payments ledger
+ * Creates the ledger row from the charge alone if its PaymentIntent was never recorded (e.g. backfill)
+ * @param {string} accountId - Stripe account ID
+ * @param {object} charge - Stripe Charge object
+ * @param {string|null} userId - User ID (looked up from the account if not provided)
+ * @returns {Promise<object|null>} Ledger payment or null if the charge can't be recorded
+ */
+const syncChargeService = async (accountId, charge, userId = null) => {
+  const paymentIntentId = typeof charge.payment_intent === 'string'
+    ? charge.payment_intent
+    : charge.payment_intent?.id;
+
+  // Charges without a PaymentIntent predate Terminal payments and aren't tracked
+  if (!paymentIntentId) {
+    return null;
+  }
+
+  const fields = mapChargeToLedger(charge);
+
+  const existing = await prisma.payment.findUnique({
+    where: { paymentIntentId },
+    select: { id: true },
+  });
+
+  if (existing) {
+    return prisma.payment.update({
+      where: { paymentIntentId },
+      data: fields,
+    });
+  }
+
+  const ownerId = userId || (await findUserIdByAccountService(accountId));
+  if (!ownerId) {
+    console.warn(`No user found for account ${accountId}, skipping ledger sync for ${charge.id}`);
+    return null;
+  }
+
+  const metadata = charge.metadata || {};
+
+  return prisma.payment.create({
+    data: {
+      ...fields,
+      userId: ownerId,
+      stripeAccountId: accountId,
+      paymentIntentId,
+      amount: charge.amount,
+      currency: charge.currency,
+      status: derivePaymentIntentStatus(charge),
+      paymentType: metadata.paymentType || 'custom',
+      customerId: charge.customer || null,
+      customerEmail: fields.customerEmail || metadata.customerEmail || null,
+      customerName: fields.customerName || metadata.customerName || null,
+      customerPhone: metadata.customerPhone || null,
+      invoiceId: metadata.invoiceId || null,
+      readerId: metadata.readerId || null,
+      locationId: metadata.locationId || null,
+      staffId: metadata.staffId || null,
+      description: charge.description || null,
+      metadata,
+      createdAt: new Date(charge.created * 1000),
+    },
+  });
+};
+
 /**
  * Create payment intent for Terminal payment
  * @param {string} accountId - Stripe account ID
@@ -67,26 +365,64 @@ const buildPaymentMetadata = (userId, metadata = {}, customerDetails = {}) => {
  * @param {string} paymentData.currency - Currency code
  * @param {object} paymentData.metadata - Additional metadata
  * @param {object} paymentData.customerDetails - Customer details
+ * @param {string|null} paymentData.idempotencyKey - Client Idempotency-Key (optional)
+ * @param {string|null} paymentData.locationId - Terminal location ID for tax rates and tipping (optional)
+ * @param {string|null} paymentData.readerId - Terminal reader ID the sale is taken on (optional)
+ * @param {string|null} paymentData.staffId - Staff member taking the payment (optional)
+ * @param {string} paymentData.captureMethod - 'automatic' or 'manual' (authorize now, capture later)
  * @returns {Promise<object>} Payment intent with clientSecret and id
  */
 const createPaymentIntentService = async (accountId, paymentData) => {
   try {
-    const { amount, currency = 'usd', metadata = {}, customerDetails = {} } = paymentData;
+    const {
+      amount,
+      currency = 'usd',
+      metadata = {},
+      customerDetails = {},
+      idempotencyKey = null,
+      locationId = null,
+      readerId = null,
+      staffId = null,
+      captureMethod = 'automatic',
+    } = paymentData;
+
+    const amountInCents = Math.round(amount * 100); // Convert to cents
+
+    // Sales tax from the location's default tax rates
+    const taxRates = selectTaxRates(await getLocationTaxRatesService(accountId, locationId));
+    const taxResult = calculateTax(amountInCents, taxRates);
+
+    // Attribution and cart links are only ever stamped from validated values, never from client metadata
+    const clientMetadata = { ...metadata };
+    SERVER_METADATA_KEYS.forEach((key) => delete clientMetadata[key]);
 
     // Build metadata with customer details
     const paymentMetadata = buildPaymentMetadata(
       paymentData.userId,
-      metadata,
-      customerDetails
+      {
+        ...clientMetadata,
+        ...(locationId && { locationId }),
+        ...(readerId && { readerId }),
+        ...(taxResult.tax > 0 && { subtotal: taxResult.subtotal, taxAmount: taxResult.tax }),
+      },
+      customerDetails,
+      staffId
+    );
+
+    // Platform fee from the merchant's fee plan
+    const applicationFee = await calculateApplicationFeeService(
+      paymentData.userId,
+      taxResult.total,
+      currency
     );
 
     const intentData = {
-      amount: Math.round(amount * 100), // Convert to cents
+      amount: taxResult.total,
       currency,
       payment_method_types: ['card_present'],
-      capture_method: 'automatic',
+      capture_method: captureMethod,
       metadata: paymentMetadata,
-      application_fee_amount: 5,
+      application_fee_amount: applicationFee.amount,
     };
 
     if (customerDetails.email) {
@@ -94,9 +430,10 @@ const createPaymentIntentService = async (accountId, paymentData) => {
     }
 
     // Create payment intent
-    const paymentIntent = await stripe.paymentIntents.create(intentData, {
-      stripeAccount: accountId,
-    });
+    const paymentIntent = await stripe.paymentIntents.create(
+      intentData,
+      buildStripeOptions(accountId, idempotencyKey, 'payment-intent')
+    );
 
     if (!paymentIntent.client_secret) {
       const error = new Error('Failed to create payment intent: missing client secret');
@@ -104,9 +441,18 @@ const createPaymentIntentService = async (accountId, paymentData) => {
       throw error;
     }
 
+    // Record payment in local ledger
+    await recordPaymentService(accountId, paymentIntent, paymentData.userId);
+
     return {
       clientSecret: paymentIntent.client_secret,
       paymentIntentId: paymentIntent.id,
+      applicationFeeAmount: applicationFee.amount, // In cents
+      subtotal: taxResult.subtotal, // In cents
+      tax: taxResult.tax, // In cents
+      total: taxResult.total, // In cents, before any tip added on the reader
+      taxBreakdown: taxResult.taxBreakdown,
+      tippingEnabled: await isTippingEnabledService(accountId, locationId),
     };
   } catch (error) {
     throw new Error(error.message || 'Error creating payment intent');
@@ -174,13 +520,16 @@ const findOrCreateCustomerService = async (accountId, customerDetails, userId) =
  * @param {string} accountId - Stripe account ID
  * @param {string|null} customerId - Customer ID (optional)
  * @param {string} userId - User ID for metadata
+ * @param {string|null} idempotencyKey - Client Idempotency-Key (optional)
+ * @param {Array} discounts - Cart-level Stripe discounts (see coupons resolveDiscountsService)
  * @returns {Promise<object>} Created invoice object
  */
-const createInvoiceService = async (accountId, customerId, userId) => {
+const createInvoiceService = async (accountId, customerId, userId, idempotencyKey = null, discounts = []) => {
   try {
     const invoice = await stripe.invoices.create(
       {
         customer: customerId,
+        ...(discounts.length > 0 && { discounts }),
         pending_invoice_items_behavior: 'include',
         auto_advance: false,
         collection_method: 'send_invoice',
@@ -190,7 +539,7 @@ const createInvoiceService = async (accountId, customerId, userId) => {
           paymentType: 'products',
         },
       },
-      { stripeAccount: accountId }
+      buildStripeOptions(accountId, idempotencyKey, 'invoice')
     );
 
     return invoice;
@@ -200,17 +549,38 @@ const createInvoiceService = async (accountId, customerId, userId) => {
 };
 
 /**
- * Retrieve and validate price is one-time
+ * Retrieve and validate price is one-time, active and belongs to an active product
+ * Any variant of a product can be sold, not just its default price
  * @param {string} accountId - Stripe account ID
  * @param {string} priceId - Price ID to validate
- * @returns {Promise<object>} Price object
- * @throws {Error} If price is not one-time
+ * @returns {Promise<object>} Price object (with product expanded)
+ * @throws {Error} If price is not one-time or is no longer sellable
  */
 const validatePriceIsOneTime = async (accountId, priceId) => {
   try {
-    const price = await stripe.prices.retrieve(priceId, {
-      stripeAccount: accountId,
-    });
+    const price = await stripe.prices.retrieve(
+      priceId,
+      {
+        expand: ['product'],
+      },
+      {
+        stripeAccount: accountId,
+      }
+    );
+
+    if (!price.active) {
+      const error = new Error(`Price ${priceId} is no longer active.`);
+      error.statusCode = 400;
+      error.code = 'invalid-argument';
+      throw error;
+    }
+
+    if (!price.product?.active || price.product.deleted) {
+      const error = new Error(`Price ${priceId} belongs to a product that is archived or deleted.`);
+      error.statusCode = 400;
+      error.code = 'invalid-argument';
+      throw error;
+    }
 
     if (price.type !== 'one_time') {
       const error = new Error(
@@ -239,11 +609,25 @@ const validatePriceIsOneTime = async (accountId, priceId) => {
  * @param {number} itemData.quantity - Quantity
  * @param {string} itemData.invoiceId - Invoice ID
  * @param {string} itemData.userId - User ID for metadata
+ * @param {string|null} itemData.idempotencyKey - Client Idempotency-Key (optional)
+ * @param {number} itemData.index - Position in the cart (scopes the idempotency key)
+ * @param {Array} itemData.discounts - Line-level Stripe discounts (optional)
+ * @param {Array<string>} itemData.taxRates - Stripe tax rate IDs for the line (optional)
  * @returns {Promise<object>} Created invoice item
  */
 const createInvoiceItemService = async (accountId, itemData) => {
   try {
-    const { customerId, priceId, quantity, invoiceId, userId } = itemData;
+    const {
+      customerId,
+      priceId,
+      quantity,
+      invoiceId,
+      userId,
+      idempotencyKey = null,
+      index = 0,
+      discounts = [],
+      taxRates = [],
+    } = itemData;
 
     const invoiceItem = await stripe.invoiceItems.create(
       {
@@ -251,11 +635,13 @@ const createInvoiceItemService = async (accountId, itemData) => {
         price: priceId,
         quantity: quantity,
         invoice: invoiceId,
+        ...(discounts.length > 0 && { discounts }),
+        ...(taxRates.length > 0 && { tax_rates: taxRates }),
         metadata: {
           userId,
         },
       },
-      { stripeAccount: accountId }
+      buildStripeOptions(accountId, idempotencyKey, `invoice-item:${index}`)
     );
 
     return invoiceItem;
@@ -283,17 +669,31 @@ const deleteInvoiceItemService = async (accountId, itemId) => {
  * @param {string} accountId - Stripe account ID
  * @param {string} invoiceId - Invoice ID
  * @param {string|null} customerId - Customer ID
- * @param {Array} cartItems - Cart items array
+ * @param {Array} cartItems - Cart items array ({ priceId, quantity, discounts? } with resolved Stripe discounts)
  * @param {string} userId - User ID
+ * @param {string|null} idempotencyKey - Client Idempotency-Key (optional)
+ * @param {Array} locationTaxRates - Tax rates of the selling location (see tax getLocationTaxRatesService)
  * @returns {Promise<Array>} Array of invoice item IDs
  */
-const createInvoiceItemsService = async (accountId, invoiceId, customerId, cartItems, userId) => {
+const createInvoiceItemsService = async (
+  accountId,
+  invoiceId,
+  customerId,
+  cartItems,
+  userId,
+  idempotencyKey = null,
+  locationTaxRates = []
+) => {
   const invoiceItemIds = [];
 
-  for (const item of cartItems) {
+  for (const [index, item] of cartItems.entries()) {
     try {
       // Validate price is one-time
-      await validatePriceIsOneTime(accountId, item.priceId);
+      const price = await validatePriceIsOneTime(accountId, item.priceId);
+
+      // Products can opt into code-specific tax rates via metadata.tax_code
+      const taxRates = selectTaxRates(locationTaxRates, price.product.metadata?.tax_code)
+        .map((rate) => rate.taxRateId);
 
       // Create invoice item
       const invoiceItem = await createInvoiceItemService(accountId, {
@@ -302,6 +702,10 @@ const createInvoiceItemsService = async (accountId, invoiceId, customerId, cartI
         quantity: item.quantity,
         invoiceId,
         userId,
+        idempotencyKey,
+        index,
+        discounts: item.discounts,
+        taxRates,
       });
 
       invoiceItemIds.push(invoiceItem.id);
@@ -331,13 +735,16 @@ const createInvoiceItemsService = async (accountId, invoiceId, customerId, cartI
  * Finalize Stripe invoice
  * @param {string} accountId - Stripe account ID
  * @param {string} invoiceId - Invoice ID
+ * @param {string|null} idempotencyKey - Client Idempotency-Key (optional)
  * @returns {Promise<object>} Finalized invoice object
  */
-const finalizeInvoiceService = async (accountId, invoiceId) => {
+const finalizeInvoiceService = async (accountId, invoiceId, idempotencyKey = null) => {
   try {
-    const finalizedInvoice = await stripe.invoices.finalizeInvoice(invoiceId, {
-      stripeAccount: accountId,
-    });
+    const finalizedInvoice = await stripe.invoices.finalizeInvoice(
+      invoiceId,
+      {},
+      buildStripeOptions(accountId, idempotencyKey, 'invoice-finalize')
+    );
 
     if (!finalizedInvoice.lines.data || finalizedInvoice.lines.data.length === 0) {
       const error = new Error(
@@ -404,30 +811,42 @@ const attachPaymentIntentToInvoiceService = async (accountId, invoiceId, payment
  * @param {string} invoiceData.id - Invoice ID
  * @param {object} paymentMetadata - Payment metadata
  * @param {string|null} customerId - Customer ID
+ * @param {string|null} idempotencyKey - Client Idempotency-Key (optional)
+ * @param {string} captureMethod - 'automatic' or 'manual' (authorize now, capture later)
  * @returns {Promise<object>} Payment intent with clientSecret and id
  */
 const createPaymentIntentFromInvoiceService = async (
   accountId,
   invoiceData,
   paymentMetadata,
-  customerId
+  customerId,
+  idempotencyKey = null,
+  captureMethod = 'automatic'
 ) => {
   try {
-    const { total, currency } = invoiceData;
+    const { total, currency = 'usd' } = invoiceData;
+
+    // Platform fee from the merchant's fee plan
+    const applicationFee = await calculateApplicationFeeService(
+      paymentMetadata.userId,
+      total,
+      currency
+    );
 
     const intentData = {
       amount: total, // Already in cents from invoice
-      currency: currency || 'usd',
+      currency,
       payment_method_types: ['card_present'], // Required for Terminal
-      capture_method: 'automatic',
+      capture_method: captureMethod,
       metadata: paymentMetadata,
-      application_fee_amount: 5,
+      application_fee_amount: applicationFee.amount,
       customer: customerId,
     };
 
-    const paymentIntent = await stripe.paymentIntents.create(intentData, {
-      stripeAccount: accountId,
-    });
+    const paymentIntent = await stripe.paymentIntents.create(
+      intentData,
+      buildStripeOptions(accountId, idempotencyKey, 'payment-intent')
+    );
 
     if (!paymentIntent.client_secret) {
       const error = new Error('PaymentIntent created but missing client_secret');
@@ -435,9 +854,13 @@ const createPaymentIntentFromInvoiceService = async (
       throw error;
     }
 
+    // Record payment in local ledger
+    await recordPaymentService(accountId, paymentIntent, paymentMetadata.userId);
+
     return {
       clientSecret: paymentIntent.client_secret,
       paymentIntentId: paymentIntent.id,
+      applicationFeeAmount: applicationFee.amount, // In cents
     };
   } catch (error) {
     if (error.statusCode) {
@@ -496,52 +919,161 @@ const fetchChargesFromStripeService = async (accountId, startTimestamp, endTimes
 };
 
 /**
- * Group charges by date
- * @param {Array} charges - Array of charge objects
+ * Fetch charged payments from the local ledger for a date range
+ * @param {string} accountId - Stripe account ID
+ * @param {Date} startDate - Start of range (inclusive)
+ * @param {Date} endDate - End of range (inclusive)
+ * @param {object} filters - Only payments taken on this reader and/or at this location (optional)
+ * @param {string|null} filters.readerId - Terminal reader ID
+ * @param {string|null} filters.locationId - Terminal location ID
+ * @returns {Promise<Array>} Array of ledger payments, newest first
+ */
+const fetchLedgerPaymentsService = async (accountId, startDate, endDate, filters = {}) => {
+  try {
+    return await prisma.payment.findMany({
+      where: {
+        stripeAccountId: accountId,
+        chargeId: { not: null },
+        ...(filters.readerId && { readerId: filters.readerId }),
+        ...(filters.locationId && { locationId: filters.locationId }),
+        createdAt: {
+          gte: startDate,
+          lte: endDate,
+        },
+      },
+      orderBy: { createdAt: 'desc' },
+    });
+  } catch (error) {
+    throw new Error(error.message || 'Error fetching payments from ledger');
+  }
+};
+
+/**
+ * Group ledger payments by date
+ * @param {Array} payments - Array of ledger payments
  * @returns {object} Object with date keys and stats objects
  */
-const groupChargesByDateService = (charges) => {
+const groupPaymentsByDateService = (payments) => {
   const statsByDate = {};
 
-  charges.forEach((charge) => {
-    const chargeDate = new Date(charge.created * 1000)
-      .toISOString()
-      .split('T')[0];
-    if (!statsByDate[chargeDate]) {
-      statsByDate[chargeDate] = {
-        date: chargeDate,
+  payments.forEach((payment) => {
+    const paymentDate = payment.createdAt.toISOString().split('T')[0];
+    if (!statsByDate[paymentDate]) {
+      statsByDate[paymentDate] = {
+        date: paymentDate,
         count: 0,
-        totalAmount: 0, // In cents
+        totalAmount: 0, // In cents, including tips
+        tipAmount: 0, // In cents
         successful: 0,
         failed: 0,
       };
     }
-    statsByDate[chargeDate].count += 1;
-    statsByDate[chargeDate].totalAmount += charge.amount; // Keep in cents
-    if (charge.status === 'succeeded' && charge.paid) {
-      statsByDate[chargeDate].successful += 1;
+    statsByDate[paymentDate].count += 1;
+    statsByDate[paymentDate].totalAmount += payment.amount; // Keep in cents
+    statsByDate[paymentDate].tipAmount += payment.tipAmount || 0;
+    if (payment.chargeStatus === 'succeeded' && payment.paid) {
+      statsByDate[paymentDate].successful += 1;
     } else {
-      statsByDate[chargeDate].failed += 1;
+      statsByDate[paymentDate].failed += 1;
     }
   });
 
   return statsByDate;
 };
 
+// Fields ledger payments can be grouped by in stats and transactions
+const ATTRIBUTION_FIELDS = {
+  reader: 'readerId',
+  location: 'locationId',
+};
+
+/**
+ * Validate reader/location filters and grouping from a query string
+ * @param {object} query - Query parameters
+ * @returns {object} readerId, locationId and groupBy (each null when not given)
+ * @throws {Error} If a value is invalid (with statusCode 400)
+ */
+const validateAttributionQuery = (query) => {
+  const { readerId, locationId, groupBy } = query;
+
+  for (const [name, value] of Object.entries({ readerId, locationId, groupBy })) {
+    if (value !== undefined && typeof value !== 'string') {
+      const error = new Error(`${name} must be a single value`);
+      error.statusCode = 400;
+      error.code = 'invalid-argument';
+      throw error;
+    }
+  }
+
+  if (groupBy !== undefined && !ATTRIBUTION_FIELDS[groupBy]) {
+    const error = new Error(`groupBy must be one of: ${Object.keys(ATTRIBUTION_FIELDS).join(', ')}`);
+    error.statusCode = 400;
+    error.code = 'invalid-argument';
+    throw error;
+  }
+
+  return {
+    readerId: readerId || null,
+    locationId: locationId || null,
+    groupBy: groupBy || null,
+  };
+};
+
+/**
+ * Group ledger payments by reader or location
+ * Payments without a reader/location are grouped under null
+ * @param {Array} payments - Array of ledger payments
+ * @param {string} groupBy - 'reader' or 'location'
+ * @returns {Array} Stats per reader/location, highest total first
+ */
+const groupPaymentsByAttributionService = (payments, groupBy) => {
+  const field = ATTRIBUTION_FIELDS[groupBy];
+  const groups = new Map();
+
+  payments.forEach((payment) => {
+    const key = payment[field] || null;
+    if (!groups.has(key)) {
+      groups.set(key, {
+        [field]: key,
+        count: 0,
+        totalAmount: 0, // In cents, including tips
+        tipAmount: 0, // In cents
+        successful: 0,
+        failed: 0,
+      });
+    }
+
+    const group = groups.get(key);
+    group.count += 1;
+    group.totalAmount += payment.amount;
+    group.tipAmount += payment.tipAmount || 0;
+    if (payment.chargeStatus === 'succeeded' && payment.paid) {
+      group.successful += 1;
+    } else {
+      group.failed += 1;
+    }
+  });
+
+  return Array.from(groups.values()).sort((a, b) => b.totalAmount - a.totalAmount);
+};
+
 /**
  * Calculate summary from stats array
  * @param {Array} stats - Array of stats objects
- * @returns {object} Summary object with totalPayments, totalAmount, averageAmount
+ * @returns {object} Summary object with totalPayments, totalAmount, salesAmount, totalTips, averageAmount
  */
 const calculateSummaryService = (stats) => {
   const totalPayments = stats.reduce((sum, stat) => sum + stat.count, 0);
   const totalAmount = stats.reduce((sum, stat) => sum + stat.totalAmount, 0); // In cents
+  const totalTips = stats.reduce((sum, stat) => sum + (stat.tipAmount || 0), 0); // In cents
   const averageAmount =
     totalPayments > 0 ? Math.round(totalAmount / totalPayments) : 0; // In cents
 
   return {
     totalPayments,
     totalAmount, // In cents
+    salesAmount: totalAmount - totalTips, // In cents, excluding tips
+    totalTips, // In cents
     averageAmount, // In cents
   };
 };
@@ -568,6 +1100,7 @@ const fillMissingDaysService = (statsByDate, startDate, endDate) => {
         date: dateKey,
         count: 0,
         totalAmount: 0,
+        tipAmount: 0,
         successful: 0,
         failed: 0,
       });
@@ -607,11 +1140,22 @@ const parseDateToUTC = (dateString) => {
  * @param {string|null} queryParams.date - Date string (YYYY-MM-DD)
  * @param {string|boolean} queryParams.includeTrend - Whether to include trend data
  * @param {string|number} queryParams.days - Number of days for trend
+ * @param {string|null} queryParams.readerId - Only payments taken on this reader (optional)
+ * @param {string|null} queryParams.locationId - Only payments taken at this location (optional)
+ * @param {string|null} queryParams.groupBy - Add a breakdown by 'reader' or 'location' (optional)
  * @returns {Promise<object>} Payment statistics object
  */
 const getPaymentStatsService = async (accountId, queryParams) => {
   try {
-    const { date, includeTrend = 'true', days = '7' } = queryParams;
+    const {
+      date,
+      includeTrend = 'true',
+      days = '7',
+      readerId = null,
+      locationId = null,
+      groupBy = null,
+    } = queryParams;
+    const filters = { readerId, locationId };
 
     // Parse date
     const selectedDate = parseDateToUTC(date);
@@ -640,32 +1184,28 @@ const getPaymentStatsService = async (accountId, queryParams) => {
     const trendEnd = new Date(selectedDate);
     trendEnd.setUTCHours(23, 59, 59, 999);
 
-    // Convert to Unix timestamps (seconds)
-    const singleDayStartTimestamp = Math.floor(singleDayStart.getTime() / 1000);
-    const singleDayEndTimestamp = Math.floor(singleDayEnd.getTime() / 1000);
-    const trendStartTimestamp = Math.floor(trendStart.getTime() / 1000);
-    const trendEndTimestamp = Math.floor(trendEnd.getTime() / 1000);
-
-    // Fetch charges
-    const singleDayCharges = await fetchChargesFromStripeService(
+    // Fetch payments from ledger
+    const singleDayPayments = await fetchLedgerPaymentsService(
       accountId,
-      singleDayStartTimestamp,
-      singleDayEndTimestamp
+      singleDayStart,
+      singleDayEnd,
+      filters
     );
 
-    let trendCharges = [];
+    let trendPayments = [];
     if (shouldIncludeTrend) {
-      trendCharges = await fetchChargesFromStripeService(
+      trendPayments = await fetchLedgerPaymentsService(
         accountId,
-        trendStartTimestamp,
-        trendEndTimestamp
+        trendStart,
+        trendEnd,
+        filters
       );
     }
 
-    // Group charges by date
-    const singleDayStatsByDate = groupChargesByDateService(singleDayCharges);
+    // Group payments by date
+    const singleDayStatsByDate = groupPaymentsByDateService(singleDayPayments);
     const trendStatsByDate = shouldIncludeTrend
-      ? groupChargesByDateService(trendCharges)
+      ? groupPaymentsByDateService(trendPayments)
       : {};
 
     // Format stats
@@ -690,6 +1230,7 @@ const getPaymentStatsService = async (accountId, queryParams) => {
         days: trendDays,
         stats: trendStats,
         summary: trendSummary,
+        ...(groupBy && { breakdown: groupPaymentsByAttributionService(trendPayments, groupBy) }),
       };
     }
 
@@ -698,6 +1239,7 @@ const getPaymentStatsService = async (accountId, queryParams) => {
       singleDay: {
         stats: singleDayStats,
         summary: singleDaySummary,
+        ...(groupBy && { breakdown: groupPaymentsByAttributionService(singleDayPayments, groupBy) }),
       },
       trendData,
     };
@@ -713,9 +1255,10 @@ const getPaymentStatsService = async (accountId, queryParams) => {
  * Get transactions (charges) for a specific date
  * @param {string} accountId - Stripe account ID
  * @param {string|null} date - Date string in YYYY-MM-DD format (optional, defaults to today)
- * @returns {Promise<Array>} Array of charge/transaction objects
+ * @param {object} attribution - Reader/location filters and grouping from validateAttributionQuery (optional)
+ * @returns {Promise<Array>} Array of charge/transaction objects, or of groups when groupBy is set
  */
-const getTransactionsService = async (accountId, date = null) => {
+const getTransactionsService = async (accountId, date = null, attribution = {}) => {
   try {
     // Parse date to UTC
     const selectedDate = parseDateToUTC(date);
@@ -734,37 +1277,48 @@ const getTransactionsService = async (accountId, date = null) => {
     const dayEnd = new Date(selectedDate);
     dayEnd.setUTCHours(23, 59, 59, 999);
 
-    // Convert to Unix timestamps (seconds)
-    const startTimestamp = Math.floor(dayStart.getTime() / 1000);
-    const endTimestamp = Math.floor(dayEnd.getTime() / 1000);
+    // Fetch payments for the day from ledger (newest first)
+    const { readerId = null, locationId = null, groupBy = null } = attribution;
+    const payments = await fetchLedgerPaymentsService(accountId, dayStart, dayEnd, {
+      readerId,
+      locationId,
+    });
 
-    // Fetch charges for the day
-    const charges = await fetchChargesFromStripeService(
-      accountId,
-      startTimestamp,
-      endTimestamp
-    );
+    // Map payments to transaction format with refunded status
+    const transactions = payments.map(payment => ({
+      id: payment.chargeId,
+      paymentIntentId: payment.paymentIntentId,
+      amount: payment.amount, // Already in cents
+      saleAmount: payment.amount - payment.tipAmount, // In cents, excluding tip
+      tipAmount: payment.tipAmount, // In cents
+      currency: payment.currency,
+      status: payment.chargeStatus,
+      created: Math.floor(payment.createdAt.getTime() / 1000),
+      customer: payment.customerId,
+      payment_method: payment.paymentMethodId,
+      receipt_url: payment.receiptUrl,
+      description: payment.description,
+      receipt_email: payment.customerEmail,
+      customerEmail: payment.customerEmail,
+      customerName: payment.customerName,
+      paid: payment.paid,
+      refunded: payment.amountRefunded > 0,
+      amountRefunded: payment.amountRefunded,
+      readerId: payment.readerId,
+      locationId: payment.locationId,
+      staffId: payment.staffId,
+      metadata: payment.metadata || {},
+    }));
 
-    // Sort charges by created time (newest first)
-    const sortedCharges = charges.sort((a, b) => b.created - a.created);
+    if (!groupBy) {
+      return transactions;
+    }
 
-    // Map charges to transaction format with refunded status
-    return sortedCharges.map(charge => ({
-      id: charge.id,
-      amount: charge.amount, // Already in cents
-      currency: charge.currency,
-      status: charge.status,
-      created: charge.created,
-      customer: charge.customer,
-      payment_method: charge.payment_method,
-      receipt_url: charge.receipt_url,
-      description: charge.description,
-      receipt_email: charge.receipt_email || charge.billing_details?.email || charge.metadata?.customerEmail || null,
-      customerEmail: charge.billing_details?.email || charge.metadata?.customerEmail || null,
-      customerName: charge.billing_details?.name || charge.metadata?.customerName || null,
-      paid: charge.paid || false,
-      refunded: charge.refunded || charge.amount_refunded > 0 || false,
-      metadata: charge.metadata || {},
+    // Group with the same totals as the stats breakdown
+    const field = ATTRIBUTION_FIELDS[groupBy];
+    return groupPaymentsByAttributionService(payments, groupBy).map((group) => ({
+      ...group,
+      transactions: transactions.filter((transaction) => (transaction[field] || null) === group[field]),
     }));
   } catch (error) {
     if (error.statusCode) {
@@ -798,15 +1352,18 @@ const getChargeService = async (accountId, chargeId) => {
  * @param {object} refundData - Refund data
  * @param {number|null} refundData.amount - Amount to refund in cents (optional, null for full refund)
  * @param {string} refundData.reason - Refund reason (optional: 'duplicate', 'fraudulent', 'requested_by_customer')
+ * @param {object} refundData.metadata - Refund metadata (optional)
+ * @param {string|null} refundData.idempotencyKey - Client Idempotency-Key (optional)
  * @returns {Promise<object>} Refund object
  */
 const createRefundService = async (accountId, chargeId, refundData = {}) => {
   try {
-    const { amount = null, reason = null } = refundData;
+    const { amount = null, reason = null, metadata = {}, idempotencyKey = null } = refundData;
 
     // Build refund parameters
     const refundParams = {
       charge: chargeId,
+      metadata,
     };
 
     // Add amount if specified (partial refund)
@@ -820,9 +1377,21 @@ const createRefundService = async (accountId, chargeId, refundData = {}) => {
     }
 
     // Create refund
-    const refund = await stripe.refunds.create(refundParams, {
-      stripeAccount: accountId,
-    });
+    const refund = await stripe.refunds.create(
+      refundParams,
+      buildStripeOptions(accountId, idempotencyKey, 'refund')
+    );
+
+    // Keep ledger in step without waiting for the charge.refunded webhook; the charge's
+    // absolute refunded total is used so a webhook that got there first isn't counted twice
+    try {
+      const charge = await stripe.charges.retrieve(chargeId, {
+        stripeAccount: accountId,
+      });
+      await syncChargeService(accountId, charge);
+    } catch (ledgerError) {
+      console.error(`Error updating ledger for refund ${refund.id}:`, ledgerError);
+    }
 
     return {
       id: refund.id,
@@ -838,9 +1407,534 @@ const createRefundService = async (accountId, chargeId, refundData = {}) => {
   }
 };
 
+// Refunds in these statuses count against the charge (failed/canceled ones don't)
+const ACTIVE_REFUND_STATUSES = ['succeeded', 'pending', 'requires_action'];
+
+// Stripe caps metadata values at 500 characters and a refund at 50 keys; leave room for staffId
+const METADATA_VALUE_LIMIT = 500;
+const MAX_LINE_ITEM_METADATA_KEYS = 40;
+
+/**
+ * Encode refunded line-item quantities as refund metadata
+ * Fits in `lineItems` when short, otherwise split across `lineItems_0`, `lineItems_1`, ...
+ * @param {object} lineItems - Map of invoice line item ID to refunded quantity
+ * @returns {object} Metadata fields
+ * @throws {Error} If too many lines are refunded at once (with statusCode 400)
+ */
+const encodeRefundLineItems = (lineItems) => {
+  const encoded = JSON.stringify(lineItems);
+  if (encoded.length <= METADATA_VALUE_LIMIT) {
+    return { lineItems: encoded };
+  }
+
+  const chunks = [];
+  for (let i = 0; i < encoded.length; i += METADATA_VALUE_LIMIT) {
+    chunks.push(encoded.slice(i, i + METADATA_VALUE_LIMIT));
+  }
+
+  if (chunks.length > MAX_LINE_ITEM_METADATA_KEYS) {
+    const error = new Error('Too many line items in one refund. Refund them in smaller batches.');
+    error.statusCode = 400;
+    error.code = 'invalid-argument';
+    throw error;
+  }
+
+  return Object.fromEntries(chunks.map((chunk, index) => [`lineItems_${index}`, chunk]));
+};
+
+/**
+ * Parse line-item quantities stored on a refund's metadata
+ * @param {object} refund - Stripe Refund object
+ * @returns {object} Map of invoice line item ID to refunded quantity
+ */
+const parseRefundLineItems = (refund) => {
+  const metadata = refund.metadata || {};
+  let encoded = metadata.lineItems || '';
+
+  for (let index = 0; metadata[`lineItems_${index}`] !== undefined; index++) {
+    encoded += metadata[`lineItems_${index}`];
+  }
+
+  try {
+    return JSON.parse(encoded || '{}');
+  } catch (error) {
+    return {};
+  }
+};
+
+/**
+ * Get refund history for a charge
+ * @param {string} accountId - Stripe account ID
+ * @param {string} chargeId - Charge ID
+ * @returns {Promise<Array>} Array of refunds, newest first
+ */
+const getRefundHistoryService = async (accountId, chargeId) => {
+  try {
+    const refunds = await stripe.refunds
+      .list(
+        {
+          charge: chargeId,
+          limit: 100,
+        },
+        { stripeAccount: accountId }
+      )
+      .autoPagingToArray({ limit: 10000 });
+
+    return refunds.map((refund) => ({
+      id: refund.id,
+      amount: refund.amount,
+      currency: refund.currency,
+      status: refund.status,
+      created: refund.created,
+      reason: refund.reason,
+      lineItems: parseRefundLineItems(refund),
+    }));
+  } catch (error) {
+    throw new Error(error.message || 'Error fetching refund history');
+  }
+};
+
+/**
+ * Calculate what the customer actually paid for an invoice line (after discounts, with exclusive tax)
+ * @param {object} line - Stripe invoice line item
+ * @returns {number} Amount in cents
+ */
+const calculateLineNetAmount = (line) => {
+  const discounts = (line.discount_amounts || []).reduce((sum, discount) => sum + discount.amount, 0);
+  const exclusiveTax = (line.tax_amounts || [])
+    .filter((tax) => !tax.inclusive)
+    .reduce((sum, tax) => sum + tax.amount, 0);
+
+  return line.amount - discounts + exclusiveTax;
+};
+
+/**
+ * Get invoice lines with the quantities still available for refund
+ * @param {string} accountId - Stripe account ID
+ * @param {string} invoiceId - Invoice ID
+ * @param {Array} refundHistory - Refunds from getRefundHistoryService
+ * @returns {Promise<Array>} Array of refundable line items
+ */
+const getRefundableLineItemsService = async (accountId, invoiceId, refundHistory) => {
+  try {
+    const lines = await stripe.invoices
+      .listLineItems(invoiceId, { limit: 100 }, { stripeAccount: accountId })
+      .autoPagingToArray({ limit: 10000 });
+
+    // Sum quantities already refunded per line
+    const refundedQuantities = {};
+    refundHistory
+      .filter((refund) => ACTIVE_REFUND_STATUSES.includes(refund.status))
+      .forEach((refund) => {
+        Object.entries(refund.lineItems).forEach(([lineItemId, quantity]) => {
+          refundedQuantities[lineItemId] = (refundedQuantities[lineItemId] || 0) + quantity;
+        });
+      });
+
+    return lines.map((line) => {
+      const quantity = line.quantity || 1;
+      const refundedQuantity = refundedQuantities[line.id] || 0;
+
+      return {
+        lineItemId: line.id,
+        description: line.description,
+        priceId: line.price?.id || null,
+        quantity,
+        refundedQuantity,
+        refundableQuantity: Math.max(0, quantity - refundedQuantity),
+        netAmount: calculateLineNetAmount(line), // In cents, for the full quantity
+      };
+    });
+  } catch (error) {
+    throw new Error(error.message || 'Error fetching invoice line items');
+  }
+};
+
+/**
+ * Calculate the refund amount for selected invoice lines
+ * @param {Array} refundableLines - Lines from getRefundableLineItemsService
+ * @param {Array} requestedLines - Requested lines: [{ lineItemId, quantity }]
+ * @returns {object} Refund amount in cents and map of line item ID to quantity
+ * @throws {Error} If a line doesn't exist or its quantity exceeds what is refundable (with statusCode 400)
+ */
+const calculateLineItemRefundService = (refundableLines, requestedLines) => {
+  const linesById = Object.fromEntries(refundableLines.map((line) => [line.lineItemId, line]));
+  const lineItems = {};
+  const errors = [];
+  let amount = 0;
+
+  requestedLines.forEach((requested, index) => {
+    const line = linesById[requested.lineItemId];
+    const alreadyRequested = lineItems[requested.lineItemId] || 0;
+
+    if (!line) {
+      errors.push({ index, lineItemId: requested.lineItemId, message: 'Line item not found on invoice' });
+      return;
+    }
+
+    if (alreadyRequested + requested.quantity > line.refundableQuantity) {
+      errors.push({
+        index,
+        lineItemId: requested.lineItemId,
+        message: `Only ${line.refundableQuantity} of ${line.quantity} can be refunded`,
+        refundableQuantity: line.refundableQuantity,
+      });
+      return;
+    }
+
+    lineItems[requested.lineItemId] = alreadyRequested + requested.quantity;
+    amount += Math.round((line.netAmount * requested.quantity) / line.quantity);
+  });
+
+  if (errors.length > 0) {
+    const error = new Error('One or more line items cannot be refunded');
+    error.statusCode = 400;
+    error.code = 'invalid-argument';
+    error.details = errors;
+    throw error;
+  }
+
+  return { amount, lineItems };
+};
+
+/**
+ * Get refund summary for a charge: refundable balance, refund history and refundable invoice lines
+ * @param {string} accountId - Stripe account ID
+ * @param {object} charge - Stripe Charge object
+ * @returns {Promise<object>} Refund summary
+ */
+const getRefundSummaryService = async (accountId, charge) => {
+  const refunds = await getRefundHistoryService(accountId, charge.id);
+  const invoiceId = charge.metadata?.invoiceId || null;
+  const amountRefunded = charge.amount_refunded || 0;
+
+  const lineItems = invoiceId
+    ? await getRefundableLineItemsService(accountId, invoiceId, refunds)
+    : null;
+
+  return {
+    chargeId: charge.id,
+    currency: charge.currency,
+    amount: charge.amount, // In cents
+    amountRefunded, // In cents
+    refundableAmount: charge.amount - amountRefunded, // In cents
+    invoiceId,
+    lineItems,
+    refunds,
+  };
+};
+
+// PaymentIntents in these statuses can still be canceled
+const CANCELABLE_STATUSES = [
+  'requires_payment_method',
+  'requires_confirmation',
+  'requires_action',
+  'requires_capture',
+  'processing',
+];
+
+/**
+ * Fetch a PaymentIntent from Stripe
+ * @param {string} accountId - Stripe account ID
+ * @param {string} paymentIntentId - PaymentIntent ID
+ * @returns {Promise<object>} PaymentIntent object
+ * @throws {Error} If the PaymentIntent doesn't exist (with statusCode 404)
+ */
+const getPaymentIntentService = async (accountId, paymentIntentId) => {
+  try {
+    return await stripe.paymentIntents.retrieve(paymentIntentId, {
+      stripeAccount: accountId,
+    });
+  } catch (error) {
+    if (error.code === 'resource_missing') {
+      const notFound = new Error(`Payment intent ${paymentIntentId} not found`);
+      notFound.statusCode = 404;
+      notFound.code = 'not-found';
+      throw notFound;
+    }
+    throw new Error(error.message || 'Error fetching payment intent from Stripe');
+  }
+};
+
+/**
+ * Update the ledger after changing a PaymentIntent from the API
+ * Failures are only logged - the payment_intent.* webhook syncs the same data
+ * @param {string} accountId - Stripe account ID
+ * @param {object} paymentIntent - Stripe PaymentIntent object
+ */
+const refreshLedgerPayment = async (accountId, paymentIntent) => {
+  try {
+    await syncPaymentIntentService(accountId, paymentIntent);
+  } catch (error) {
+    console.error(`Error syncing payment ${paymentIntent.id} to ledger:`, error);
+  }
+};
+
+/**
+ * Capture an authorized (manual capture) PaymentIntent
+ * @param {string} accountId - Stripe account ID
+ * @param {object} paymentIntent - Stripe PaymentIntent in requires_capture status
+ * @param {object} captureData - Capture data
+ * @param {number|null} captureData.amountToCapture - Amount to capture in cents (optional, defaults to the full authorization)
+ * @param {string} captureData.userId - User ID (for the platform fee)
+ * @param {string|null} captureData.idempotencyKey - Client Idempotency-Key (optional)
+ * @returns {Promise<object>} Captured payment
+ */
+const capturePaymentIntentService = async (accountId, paymentIntent, captureData) => {
+  try {
+    const { amountToCapture = null, userId, idempotencyKey = null } = captureData;
+
+    const captureParams = {};
+
+    // Partial capture - the platform fee follows the captured amount, the rest of the hold is released
+    if (amountToCapture && amountToCapture < paymentIntent.amount_capturable) {
+      const applicationFee = await calculateApplicationFeeService(
+        userId,
+        amountToCapture,
+        paymentIntent.currency
+      );
+      captureParams.amount_to_capture = amountToCapture;
+      captureParams.application_fee_amount = applicationFee.amount;
+    }
+
+    const captured = await stripe.paymentIntents.capture(
+      paymentIntent.id,
+      captureParams,
+      buildStripeOptions(accountId, idempotencyKey, 'capture')
+    );
+
+    await refreshLedgerPayment(accountId, captured);
+
+    return {
+      paymentIntentId: captured.id,
+      status: captured.status,
+      amountAuthorized: paymentIntent.amount_capturable, // In cents
+      amountCaptured: captured.amount_received, // In cents
+      applicationFeeAmount: captured.application_fee_amount, // In cents
+      currency: captured.currency,
+    };
+  } catch (error) {
+    throw new Error(error.message || 'Error capturing payment intent');
+  }
+};
+
+/**
+ * Void the invoice behind a product payment so it doesn't stay open on the account
+ * Draft invoices are deleted; paid, void and uncollectible invoices are left as they are
+ * @param {string} accountId - Stripe account ID
+ * @param {string} invoiceId - Invoice ID
+ * @returns {Promise<string>} Invoice status afterwards ('deleted' for drafts)
+ */
+const voidInvoiceService = async (accountId, invoiceId) => {
+  try {
+    const invoice = await stripe.invoices.retrieve(invoiceId, {
+      stripeAccount: accountId,
+    });
+
+    if (invoice.status === 'draft') {
+      await stripe.invoices.del(invoiceId, { stripeAccount: accountId });
+      return 'deleted';
+    }
+
+    if (invoice.status === 'open') {
+      const voided = await stripe.invoices.voidInvoice(invoiceId, {}, { stripeAccount: accountId });
+      return voided.status;
+    }
+
+    return invoice.status;
+  } catch (error) {
+    throw new Error(error.message || 'Error voiding invoice');
+  }
+};
+
+/**
+ * Cancel a PaymentIntent (releases the hold on an uncaptured authorization)
+ * For product payments the linked invoice (metadata.invoiceId) is voided and reserved stock released
+ * @param {string} accountId - Stripe account ID
+ * @param {object} paymentIntent - Stripe PaymentIntent object
+ * @param {object} options - Cancel options
+ * @param {string|null} options.idempotencyKey - Client Idempotency-Key (optional)
+ * @param {string|null} options.cancellationReason - Stripe cancellation_reason (optional, e.g. 'abandoned')
+ * @returns {Promise<object>} Canceled payment
+ * @throws {Error} If the PaymentIntent can no longer be canceled (with statusCode 400)
+ */
+const cancelPaymentIntentService = async (accountId, paymentIntent, options = {}) => {
+  const { idempotencyKey = null, cancellationReason = null } = options;
+
+  if (!CANCELABLE_STATUSES.includes(paymentIntent.status)) {
+    const error = new Error(`Payment intent with status ${paymentIntent.status} cannot be canceled`);
+    error.statusCode = 400;
+    error.code = 'failed-precondition';
+    throw error;
+  }
+
+  try {
+    const canceled = await stripe.paymentIntents.cancel(
+      paymentIntent.id,
+      cancellationReason ? { cancellation_reason: cancellationReason } : {},
+      buildStripeOptions(accountId, idempotencyKey, 'cancel')
+    );
+
+    await refreshLedgerPayment(accountId, canceled);
+
+    const invoiceId = canceled.metadata?.invoiceId || null;
+    let invoiceStatus = null;
+    if (invoiceId) {
+      invoiceStatus = await voidInvoiceService(accountId, invoiceId);
+      await releaseReservationsService(accountId, invoiceId);
+    }
+
+    return {
+      paymentIntentId: canceled.id,
+      status: canceled.status,
+      amount: canceled.amount, // In cents
+      currency: canceled.currency,
+      canceledAt: canceled.canceled_at,
+      invoiceId,
+      invoiceStatus,
+    };
+  } catch (error) {
+    throw new Error(error.message || 'Error canceling payment intent');
+  }
+};
+
+/**
+ * List uncaptured authorizations from the ledger, soonest to expire first
+ * @param {string} accountId - Stripe account ID
+ * @returns {Promise<Array>} Array of authorizations
+ */
+const listAuthorizationsService = async (accountId) => {
+  try {
+    const payments = await prisma.payment.findMany({
+      where: {
+        stripeAccountId: accountId,
+        status: 'requires_capture',
+      },
+      orderBy: [{ captureBefore: { sort: 'asc', nulls: 'last' } }, { createdAt: 'asc' }],
+    });
+
+    const now = Date.now();
+
+    return payments.map((payment) => ({
+      paymentIntentId: payment.paymentIntentId,
+      chargeId: payment.chargeId,
+      amount: payment.amount, // In cents
+      amountCapturable: payment.amountCapturable, // In cents
+      currency: payment.currency,
+      paymentType: payment.paymentType,
+      invoiceId: payment.invoiceId,
+      customerName: payment.customerName,
+      customerEmail: payment.customerEmail,
+      description: payment.description,
+      createdAt: payment.createdAt,
+      captureBefore: payment.captureBefore,
+      expired: payment.captureBefore ? payment.captureBefore.getTime() <= now : false,
+    }));
+  } catch (error) {
+    throw new Error(error.message || 'Error listing authorizations');
+  }
+};
+
+// Product payments in these statuses are waiting on the customer and can be swept
+// (authorizations in requires_capture are deliberate holds and are left alone)
+const ABANDONED_CART_STATUSES = ['requires_payment_method', 'requires_confirmation', 'requires_action'];
+
+/**
+ * Cancel product payments (and void their invoices) that were never paid
+ * @param {number} maxAgeMinutes - Carts created longer ago than this are treated as abandoned
+ * @returns {Promise<object>} Number of carts canceled and failed
+ */
+const sweepAbandonedCartsService = async (maxAgeMinutes) => {
+  const cutoff = new Date(Date.now() - maxAgeMinutes * 60 * 1000);
+
+  // Only accounts we can still act on (a user may have several, some disconnected)
+  const activeAccounts = await prisma.stripeDetails.findMany({
+    where: { stripeAccountStatus: 'active' },
+    select: { stripeAccountId: true },
+  });
+
+  const payments = await prisma.payment.findMany({
+    where: {
+      paymentType: 'products',
+      invoiceId: { not: null },
+      status: { in: ABANDONED_CART_STATUSES },
+      createdAt: { lt: cutoff },
+      stripeAccountId: { in: activeAccounts.map((account) => account.stripeAccountId) },
+    },
+    select: { stripeAccountId: true, paymentIntentId: true },
+    orderBy: { createdAt: 'asc' },
+  });
+
+  let canceled = 0;
+  let failed = 0;
+
+  for (const payment of payments) {
+    try {
+      // The ledger can lag behind Stripe, so check the live status before canceling
+      const paymentIntent = await getPaymentIntentService(payment.stripeAccountId, payment.paymentIntentId);
+
+      if (!ABANDONED_CART_STATUSES.includes(paymentIntent.status)) {
+        await refreshLedgerPayment(payment.stripeAccountId, paymentIntent);
+        continue;
+      }
+
+      await cancelPaymentIntentService(payment.stripeAccountId, paymentIntent, {
+        cancellationReason: 'abandoned',
+      });
+      canceled += 1;
+    } catch (error) {
+      console.error(`Error sweeping abandoned cart ${payment.paymentIntentId}:`, error.message);
+      failed += 1;
+    }
+  }
+
+  return { canceled, failed };
+};
+
+/**
+ * Handle payment_intent.* webhook events
+ * @param {string} accountId - Connected Stripe account ID
+ * @param {object} paymentIntent - PaymentIntent object from the event
+ * @param {string} eventType - Stripe event type (e.g. payment_intent.succeeded)
+ */
+const handlePaymentIntentEventService = async (accountId, paymentIntent, eventType) => {
+  console.log(
+    `💳 ${eventType}: ${paymentIntent.id} (${paymentIntent.status}) on ${accountId}`,
+  );
+
+  await syncPaymentIntentService(accountId, paymentIntent);
+
+  // Settle stock reserved for product payments
+  const invoiceId = paymentIntent.metadata?.invoiceId;
+  if (invoiceId) {
+    if (eventType === 'payment_intent.succeeded') {
+      await commitReservationsService(accountId, invoiceId);
+    } else if (eventType === 'payment_intent.payment_failed' || eventType === 'payment_intent.canceled') {
+      await releaseReservationsService(accountId, invoiceId);
+    }
+  }
+};
+
+/**
+ * Handle charge.refunded webhook events
+ * @param {string} accountId - Connected Stripe account ID
+ * @param {object} charge - Charge object from the event
+ */
+const handleChargeRefundedService = async (accountId, charge) => {
+  console.log(
+    `↩️  charge.refunded: ${charge.id} refunded ${charge.amount_refunded}/${charge.amount} on ${accountId}`,
+  );
+
+  await syncChargeService(accountId, charge);
+};
+
 module.exports = {
-  validateStripeAccount,
+  buildStripeOptions,
   buildPaymentMetadata,
+  resolveSaleAttributionService,
+  recordPaymentService,
+  syncPaymentIntentService,
+  syncChargeService,
   createPaymentIntentService,
   findOrCreateCustomerService,
   createInvoiceService,
@@ -852,12 +1946,28 @@ module.exports = {
   attachPaymentIntentToInvoiceService,
   createPaymentIntentFromInvoiceService,
   fetchChargesFromStripeService,
-  groupChargesByDateService,
+  fetchLedgerPaymentsService,
+  groupPaymentsByDateService,
+  validateAttributionQuery,
+  groupPaymentsByAttributionService,
   calculateSummaryService,
   fillMissingDaysService,
   getPaymentStatsService,
   getTransactionsService,
   createRefundService,
   getChargeService,
+  getRefundHistoryService,
+  getRefundableLineItemsService,
+  calculateLineItemRefundService,
+  encodeRefundLineItems,
+  getRefundSummaryService,
+  getPaymentIntentService,
+  capturePaymentIntentService,
+  voidInvoiceService,
+  cancelPaymentIntentService,
+  listAuthorizationsService,
+  sweepAbandonedCartsService,
+  handlePaymentIntentEventService,
+  handleChargeRefundedService,
 };
 
@@ -0,0 +1,100 @@
+const crypto = require('crypto');
+const { createMemoryStore } = require('../../utils/cache.js');
+
+const PRODUCT_CACHE_TTL_SECONDS = parseInt(process.env.PRODUCT_CACHE_TTL_SECONDS, 10) || 300;
+
+let store = createMemoryStore();
+
+// Catalog loads in progress, so concurrent misses for an account share one Stripe round trip
+const pendingLoads = new Map();
+
+/**
+ * Build the cache key for an account's catalog
+ * @param {string} stripeAccountId - Stripe account ID
+ * @returns {string} Cache key
+ */
+const catalogKey = (stripeAccountId) => `product-catalog:${stripeAccountId}`;
+
+/**
+ * Replace the catalog cache store (e.g. with a Redis-backed store)
+ * @param {object} newStore - Store implementing get, set and delete (see utils/cache.js)
+ */
+const setCatalogStore = (newStore) => {
+  store = newStore;
+};
+
+/**
+ * Get an account's catalog from the cache, loading it on a miss
+ * @param {string} stripeAccountId - Stripe account ID
+ * @param {Function} loader - Async function that loads the catalog from Stripe
+ * @returns {Promise<Array>} Cached catalog
+ */
+const getCachedCatalog = async (stripeAccountId, loader) => {
+  const key = catalogKey(stripeAccountId);
+
+  const cached = await store.get(key);
+  if (cached !== undefined) {
+    return cached;
+  }
+
+  if (pendingLoads.has(key)) {
+    return pendingLoads.get(key);
+  }
+
+  const load = (async () => {
+    const catalog = await loader();
+
+    // Skip caching if the catalog was invalidated while it was loading
+    if (pendingLoads.get(key) === load) {
+      await store.set(key, catalog, PRODUCT_CACHE_TTL_SECONDS);
+    }
+    return catalog;
+  })();
+
+  pendingLoads.set(key, load);
+  try {
+    return await load;
+  } finally {
+    if (pendingLoads.get(key) === load) {
+      pendingLoads.delete(key);
+    }
+  }
+};
+
+/**
+ * Drop an account's cached catalog
+ * Called after product/price changes made through the API or reported by Stripe webhooks
+ * @param {string} stripeAccountId - Stripe account ID
+ */
+const invalidateCatalog = async (stripeAccountId) => {
+  if (!stripeAccountId) {
+    return;
+  }
+
+  const key = catalogKey(stripeAccountId);
+  pendingLoads.delete(key);
+
+  try {
+    await store.delete(key);
+  } catch (error) {
+    // A failed invalidation only means the catalog stays stale until the TTL expires
+    console.error(`Failed to invalidate product catalog cache for ${stripeAccountId}:`, error);
+  }
+};
+
+/**
+ * Build an ETag for a catalog response
+ * @param {object} data - Response data
+ * @returns {string} Strong ETag (quoted)
+ */
+const buildCatalogETag = (data) => {
+  const hash = crypto.createHash('sha256').update(JSON.stringify(data)).digest('base64url');
+  return `"${hash}"`;
+};
+
+module.exports = {
+  setCatalogStore,
+  getCachedCatalog,
+  invalidateCatalog,
+  buildCatalogETag,
+};
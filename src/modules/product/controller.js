@@ -1,23 +1,66 @@
 const { successResponse, errorResponse } = require('../../utils/response.js');
-const { fetchStripeProducts } = require('./services.js');
+const {
+  validateProductInput,
+  validateImageUrl,
+  fetchStripeProducts,
+  createProductService,
+  updateProductService,
+  updateProductImageService,
+  archiveProductService,
+} = require('./services.js');
+const { buildCatalogETag } = require('./cache.js');
+const { validateStripeAccount } = require('../../utils/stripeAccount.js');
 
 /**
  * Get Stripe products with one-time prices
- * GET /api/products
+ * GET /api/products?cursor=prod_x&limit=50&q=latte&category=drinks&active=true
+ * active accepts true (default), false or all
  */
 const getProducts = async (req, res, next) => {
   try {
-    const stripeAccountId = req.user.stripeAccountId;
+    const userId = req.user.userId;
+    const { cursor, q, category } = req.query;
 
-    if (!stripeAccountId) {
-      return res.status(400).json(errorResponse(
-        'Stripe account not connected. Please connect your Stripe account first.',
-        'failed-precondition'
-      ));
+    // Input validation
+    if ([cursor, q, category].some((value) => value !== undefined && typeof value !== 'string')) {
+      return res.status(400).json(errorResponse('cursor, q and category must be single values', 'invalid-argument'));
     }
 
+    let limit;
+    if (req.query.limit !== undefined) {
+      limit = Number(req.query.limit);
+      if (!Number.isInteger(limit) || limit < 1 || limit > 100) {
+        return res.status(400).json(errorResponse('limit must be an integer between 1 and 100', 'invalid-argument'));
+      }
+    }
+
+    const activeParam = req.query.active ?? 'true';
+    if (!['true', 'false', 'all'].includes(activeParam)) {
+      return res.status(400).json(errorResponse('active must be true, false or all', 'invalid-argument'));
+    }
+    const active = activeParam === 'all' ? null : activeParam === 'true';
+
+    // Validate Stripe account and get account ID
+    const accountId = await validateStripeAccount(userId, req.user.stripeAccountId);
+
     // Call service to fetch products
-    const products = await fetchStripeProducts(stripeAccountId);
+    const products = await fetchStripeProducts(accountId, {
+      cursor,
+      limit,
+      q,
+      category,
+      active,
+    });
+
+    // Let the app revalidate with If-None-Match instead of re-downloading an unchanged catalog
+    const etag = buildCatalogETag(products);
+    res.set('ETag', etag);
+    res.set('Cache-Control', 'private, no-cache');
+
+    const ifNoneMatch = req.headers['if-none-match'];
+    if (ifNoneMatch && ifNoneMatch.split(',').map((tag) => tag.trim().replace(/^W\//, '')).includes(etag)) {
+      return res.status(304).end();
+    }
 
     res.json(successResponse(products, 'Stripe products fetched successfully'));
   } catch (error) {
@@ -25,6 +68,104 @@ const getProducts = async (req, res, next) => {
   }
 };
 
+/**
+ * Create a product with a one-time price
+ * POST /api/products
+ */
+const createProduct = async (req, res, next) => {
+  try {
+    const userId = req.user.userId;
+
+    // Validate and normalize input
+    const data = validateProductInput(req.body || {});
+
+    // Validate Stripe account and get account ID
+    const accountId = await validateStripeAccount(userId, req.user.stripeAccountId);
+
+    const product = await createProductService(accountId, data);
+
+    res.status(201).json(successResponse(product, 'Product created successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update a product's details and/or price
+ * PATCH /api/products/:productId
+ */
+const updateProduct = async (req, res, next) => {
+  try {
+    const userId = req.user.userId;
+    const { productId } = req.params;
+
+    // Validate and normalize input
+    const data = validateProductInput(req.body || {}, true);
+
+    // Validate Stripe account and get account ID
+    const accountId = await validateStripeAccount(userId, req.user.stripeAccountId);
+
+    const product = await updateProductService(accountId, productId, data);
+
+    res.json(successResponse(product, 'Product updated successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Set or remove a product's image URL
+ * PUT /api/products/:productId/image
+ */
+const updateProductImage = async (req, res, next) => {
+  try {
+    const userId = req.user.userId;
+    const { productId } = req.params;
+    const { image } = req.body || {};
+
+    // Input validation (null removes the image)
+    if (image === undefined) {
+      return res.status(400).json(errorResponse('image is required (use null to remove the image)', 'invalid-argument'));
+    }
+    if (image !== null) {
+      validateImageUrl(image);
+    }
+
+    // Validate Stripe account and get account ID
+    const accountId = await validateStripeAccount(userId, req.user.stripeAccountId);
+
+    const product = await updateProductImageService(accountId, productId, image);
+
+    res.json(successResponse(product, 'Product image updated successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Archive a product
+ * DELETE /api/products/:productId
+ */
+const archiveProduct = async (req, res, next) => {
+  try {
+    const userId = req.user.userId;
+    const { productId } = req.params;
+
+    // Validate Stripe account and get account ID
+    const accountId = await validateStripeAccount(userId, req.user.stripeAccountId);
+
+    const product = await archiveProductService(accountId, productId);
+
+    res.json(successResponse(product, 'Product archived successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
 module.exports = {
   getProducts,
+  createProduct,
+  updateProduct,
+  updateProductImage,
+  archiveProduct,
 };
@@ -1,9 +1,24 @@
 const express = require('express');
 const { authenticate } = require('../../middleware/auth.js');
-const { getProducts } = require('./controller.js');
+const { authorize } = require('../../middleware/authorize.js');
+const {
+  getProducts,
+  createProduct,
+  updateProduct,
+  updateProductImage,
+  archiveProduct,
+} = require('./controller.js');
 
 const router = express.Router();
 
 router.get('/', authenticate, getProducts);
 
-module.exports = router;
\ No newline at end of file
+// Catalog management - requires authentication (owners only)
+router.post('/', authenticate, authorize('catalog:write'), createProduct);
+router.patch('/:productId', authenticate, authorize('catalog:write'), updateProduct);
+router.put('/:productId/image', authenticate, authorize('catalog:write'), updateProductImage);
+
+// Archive product (Stripe products with prices can't be deleted)
+router.delete('/:productId', authenticate, authorize('catalog:write'), archiveProduct);
+
+module.exports = router;
@@ -1,70 +1,538 @@
 const { stripe } = require('../../config/stripe.js');
+const { getCachedCatalog, invalidateCatalog } = require('./cache.js');
+const { getStockLevelsService } = require('../inventory/services.js');
+
+// Stripe limits
+const MAX_NAME_LENGTH = 250;
+const MAX_IMAGE_URL_LENGTH = 2048;
+const MAX_UNIT_AMOUNT = 99999999;
+
+// Upper bound on products loaded per catalog fetch (Stripe's auto-pagination limit)
+const MAX_CATALOG_SIZE = 10000;
+
+/**
+ * Build a 400 validation error
+ * @param {string} message - Error message
+ * @returns {Error} Error with statusCode and code set
+ */
+const invalidArgument = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  error.code = 'invalid-argument';
+  return error;
+};
+
+/**
+ * Validate an image URL
+ * @param {string} image - Image URL
+ * @throws {Error} If the URL is not an http(s) URL (with statusCode 400)
+ */
+const validateImageUrl = (image) => {
+  if (typeof image !== 'string' || image.length > MAX_IMAGE_URL_LENGTH) {
+    throw invalidArgument(`image must be a URL of at most ${MAX_IMAGE_URL_LENGTH} characters`);
+  }
+
+  let url;
+  try {
+    url = new URL(image);
+  } catch (error) {
+    throw invalidArgument('image must be a valid URL');
+  }
+
+  if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+    throw invalidArgument('image must be an http or https URL');
+  }
+};
+
+/**
+ * Validate product input from a create/update request
+ * @param {object} input - Product fields (name, description, price, currency, image)
+ * @param {boolean} partial - True for updates (name and price not required)
+ * @returns {object} Normalized product fields (price converted to unitAmount in cents)
+ * @throws {Error} If input is invalid (with statusCode 400)
+ */
+const validateProductInput = (input, partial = false) => {
+  const data = {};
+
+  if (input.name !== undefined || !partial) {
+    if (typeof input.name !== 'string' || !input.name.trim()) {
+      throw invalidArgument('name is required and must be a string');
+    }
+    if (input.name.trim().length > MAX_NAME_LENGTH) {
+      throw invalidArgument(`name cannot exceed ${MAX_NAME_LENGTH} characters`);
+    }
+    data.name = input.name.trim();
+  }
+
+  if (input.description !== undefined) {
+    if (input.description !== null && typeof input.description !== 'string') {
+      throw invalidArgument('description must be a string or null');
+    }
+    data.description = input.description ? input.description.trim() : null;
+  }
+
+  if (input.price !== undefined || !partial) {
+    // Price is in dollars, matching the product response shape
+    if (typeof input.price !== 'number' || !Number.isFinite(input.price) || input.price <= 0) {
+      throw invalidArgument('price is required and must be a positive number');
+    }
+
+    const unitAmount = Math.round(input.price * 100);
+    if (unitAmount > MAX_UNIT_AMOUNT) {
+      throw invalidArgument(`price cannot exceed ${MAX_UNIT_AMOUNT / 100}`);
+    }
+    data.unitAmount = unitAmount;
+  }
+
+  if (input.currency !== undefined) {
+    if (typeof input.currency !== 'string' || !/^[a-zA-Z]{3}$/.test(input.currency)) {
+      throw invalidArgument('currency must be a 3-letter currency code');
+    }
+    data.currency = input.currency.toLowerCase();
+  }
+
+  if (input.image !== undefined) {
+    if (input.image !== null) {
+      validateImageUrl(input.image);
+    }
+    data.image = input.image;
+  }
+
+  if (partial && Object.keys(data).length === 0) {
+    throw invalidArgument('At least one of name, description, price, currency or image is required');
+  }
+
+  return data;
+};
+
+/**
+ * Map a Stripe price to a product variant
+ * Labels come from the price nickname, then metadata.label, falling back to the amount
+ * @param {object} price - Stripe price
+ * @param {string|null} defaultPriceId - Product's default price ID
+ * @returns {object} Variant with priceId, label, price, currency and isDefault flag
+ */
+const formatVariant = (price, defaultPriceId) => {
+  const amount = price.unit_amount / 100;
+
+  return {
+    priceId: price.id,
+    label: price.nickname || price.metadata?.label || `${amount.toFixed(2)} ${price.currency.toUpperCase()}`,
+    price: amount,
+    currency: price.currency,
+    isDefault: price.id === defaultPriceId,
+  };
+};
+
+/**
+ * Check whether a price can be sold at the terminal (active and one-time)
+ * InvoiceItems only accept one-time prices
+ * @param {object} price - Stripe price
+ * @returns {boolean} True if the price is usable as a variant
+ */
+const isSellablePrice = (price) => {
+  return price.active !== false && price.type === 'one_time' && price.unit_amount !== null;
+};
+
+/**
+ * Map a Stripe product to the API product shape
+ * price/currency/priceId describe the default variant; prices lists every variant
+ * @param {object} product - Stripe product (default_price may be expanded)
+ * @param {Array} prices - Active one-time prices of the product (optional, defaults to the expanded default price)
+ * @returns {object} Product with id, name, description, price, currency, priceId, prices, image, category and active
+ */
+const formatProduct = (product, prices = null) => {
+  const defaultPrice = product.default_price;
+  const defaultPriceId = typeof defaultPrice === 'object' ? defaultPrice?.id : defaultPrice;
+
+  const sellablePrices = (prices || (defaultPrice && typeof defaultPrice === 'object' ? [defaultPrice] : []))
+    .filter(isSellablePrice);
+
+  // Default price first, then cheapest first
+  const variants = sellablePrices
+    .map((price) => formatVariant(price, defaultPriceId || null))
+    .sort((a, b) => (b.isDefault - a.isDefault) || (a.price - b.price));
+
+  const primary = variants[0] || null;
+
+  return {
+    id: product.id,
+    name: product.name,
+    description: product.description,
+    price: primary ? primary.price : 0,
+    currency: primary ? primary.currency : 'usd',
+    priceId: primary ? primary.priceId : null,
+    prices: variants,
+    image: product.images?.[0] || '',
+    category: product.metadata?.category || null,
+    active: product.active,
+  };
+};
+
+/**
+ * Fetch all active one-time prices for an account, grouped by product
+ * @param {string} stripeAccountId - Stripe account ID
+ * @returns {Promise<Map<string, Array>>} Product ID to prices
+ */
+const fetchPricesByProduct = async (stripeAccountId) => {
+  const prices = await stripe.prices
+    .list(
+      {
+        limit: 100,
+        active: true,
+        type: 'one_time',
+      },
+      {
+        stripeAccount: stripeAccountId,
+      }
+    )
+    .autoPagingToArray({ limit: MAX_CATALOG_SIZE });
+
+  const pricesByProduct = new Map();
+  prices.forEach((price) => {
+    const productId = typeof price.product === 'object' ? price.product.id : price.product;
+    if (!pricesByProduct.has(productId)) {
+      pricesByProduct.set(productId, []);
+    }
+    pricesByProduct.get(productId).push(price);
+  });
+
+  return pricesByProduct;
+};
+
+/**
+ * Load an account's full catalog from Stripe (active and archived products)
+ * Only products with at least one active one-time price are included
+ * @param {string} stripeAccountId - Stripe account ID
+ * @returns {Promise<Array>} Array of formatted products
+ */
+const loadCatalog = async (stripeAccountId) => {
+  try {
+    const products = await stripe.products
+      .list(
+        {
+          limit: 100,
+          expand: ['data.default_price'],
+        },
+        {
+          stripeAccount: stripeAccountId,
+        }
+      )
+      .autoPagingToArray({ limit: MAX_CATALOG_SIZE });
+
+    const pricesByProduct = await fetchPricesByProduct(stripeAccountId);
+
+    return products
+      .map((product) => formatProduct(product, pricesByProduct.get(product.id) || []))
+      .filter((product) => product.prices.length > 0);
+  } catch (error) {
+    throw new Error(error.message || 'Error fetching Stripe products');
+  }
+};
 
 /**
  * Fetch Stripe products with one-time prices
+ * Works on the whole (cached) catalog, then filters and paginates it, because products without
+ * a one-time price are filtered out after fetching and Stripe pages would come back short
  * @param {string} stripeAccountId - Stripe account ID
- * @returns {Promise<Array>} Array of products with one-time prices
+ * @param {object} options - Catalog options
+ * @param {string} options.cursor - Return products after this product ID (optional)
+ * @param {number} options.limit - Page size (optional, returns the whole catalog if omitted)
+ * @param {string} options.q - Case-insensitive name search (optional)
+ * @param {string} options.category - Category from product metadata.category (optional)
+ * @param {boolean|null} options.active - Filter by active flag (default true, null for all)
+ * @returns {Promise<object>} Products page (with stockQuantity), all categories, next cursor and hasMore flag
  */
-const fetchStripeProducts = async (stripeAccountId) => {
+const fetchStripeProducts = async (stripeAccountId, options = {}) => {
+  const { cursor, limit, q, category, active = true } = options;
+
+  const catalog = await getCachedCatalog(stripeAccountId, () => loadCatalog(stripeAccountId));
+
+  const oneTimeProducts = active === null
+    ? catalog
+    : catalog.filter((product) => product.active === active);
+
+  // Categories cover the whole catalog so the app can build its menu tabs from any page
+  // (deduplicated case-insensitively, since category filtering is case-insensitive too)
+  const categoriesByKey = new Map();
+  oneTimeProducts.forEach((product) => {
+    if (product.category && !categoriesByKey.has(product.category.toLowerCase())) {
+      categoriesByKey.set(product.category.toLowerCase(), product.category);
+    }
+  });
+  const categories = Array.from(categoriesByKey.values()).sort((a, b) => a.localeCompare(b));
+
+  const search = q?.trim().toLowerCase();
+  const categoryFilter = category?.trim().toLowerCase();
+
+  const filtered = oneTimeProducts.filter((product) => {
+    if (search && !product.name.toLowerCase().includes(search)) {
+      return false;
+    }
+    if (categoryFilter && product.category?.toLowerCase() !== categoryFilter) {
+      return false;
+    }
+    return true;
+  });
+
+  let start = 0;
+  if (cursor) {
+    const index = filtered.findIndex((product) => product.id === cursor);
+    if (index === -1) {
+      const error = new Error('Invalid cursor. Start again without a cursor.');
+      error.statusCode = 400;
+      error.code = 'invalid-argument';
+      throw error;
+    }
+    start = index + 1;
+  }
+
+  const page = limit ? filtered.slice(start, start + limit) : filtered.slice(start);
+  const hasMore = start + page.length < filtered.length;
+
+  // Stock changes with every sale, so it is merged in after the (cached) catalog
+  // stockQuantity is null for prices without inventory tracking
+  const stockLevels = await getStockLevelsService(
+    stripeAccountId,
+    page.flatMap((product) => product.prices.map((variant) => variant.priceId))
+  );
+  const stockOf = (priceId) => (stockLevels.has(priceId) ? stockLevels.get(priceId) : null);
+
+  const products = page.map((product) => ({
+    ...product,
+    stockQuantity: stockOf(product.priceId),
+    prices: product.prices.map((variant) => ({
+      ...variant,
+      stockQuantity: stockOf(variant.priceId),
+    })),
+  }));
+
+  return {
+    products,
+    categories,
+    nextCursor: hasMore ? page[page.length - 1].id : null,
+    hasMore,
+  };
+};
+
+/**
+ * Fetch the active one-time prices of a single product
+ * @param {string} stripeAccountId - Stripe account ID
+ * @param {string} productId - Product ID
+ * @returns {Promise<Array>} Array of Stripe prices
+ */
+const fetchProductPrices = async (stripeAccountId, productId) => {
+  const prices = await stripe.prices.list(
+    {
+      product: productId,
+      active: true,
+      type: 'one_time',
+      limit: 100,
+    },
+    {
+      stripeAccount: stripeAccountId,
+    }
+  );
+
+  return prices.data;
+};
+
+/**
+ * Retrieve a product from the connected account with its default price expanded
+ * @param {string} stripeAccountId - Stripe account ID
+ * @param {string} productId - Product ID
+ * @returns {Promise<object>} Stripe product
+ * @throws {Error} If the product does not exist (with statusCode 404)
+ */
+const retrieveProduct = async (stripeAccountId, productId) => {
   try {
-    const products = await stripe.products.list(
+    return await stripe.products.retrieve(
+      productId,
       {
-        limit: 100,
-        expand: ['data.default_price'],
+        expand: ['default_price'],
       },
       {
         stripeAccount: stripeAccountId,
       }
     );
+  } catch (error) {
+    if (error.code === 'resource_missing') {
+      const notFound = new Error('Product not found');
+      notFound.statusCode = 404;
+      notFound.code = 'not-found';
+      throw notFound;
+    }
+    throw error;
+  }
+};
+
+/**
+ * Create a product with a one-time default price
+ * @param {string} stripeAccountId - Stripe account ID
+ * @param {object} data - Validated product fields from validateProductInput
+ * @returns {Promise<object>} Created product
+ */
+const createProductService = async (stripeAccountId, data) => {
+  try {
+    const product = await stripe.products.create(
+      {
+        name: data.name,
+        ...(data.description && { description: data.description }),
+        ...(data.image && { images: [data.image] }),
+        default_price_data: {
+          unit_amount: data.unitAmount,
+          currency: data.currency || 'usd',
+        },
+        expand: ['default_price'],
+      },
+      {
+        stripeAccount: stripeAccountId,
+      }
+    );
+
+    await invalidateCatalog(stripeAccountId);
 
-    // Filter to only include products with one-time prices (not recurring)
-    // InvoiceItems only accept one-time prices
-    const oneTimeProducts = products.data
-      .filter((product) => {
-        // Only include products with a default_price that is one-time
-        if (!product.default_price) return false;
+    return formatProduct(product);
+  } catch (error) {
+    throw new Error(error.message || 'Error creating product');
+  }
+};
 
-        // If default_price is expanded, check type directly
-        if (typeof product.default_price === 'object') {
-          return product.default_price.type === 'one_time';
+/**
+ * Update a product
+ * Stripe prices are immutable, so a new price/currency creates a new Price,
+ * makes it the product's default_price and archives the old one
+ * @param {string} stripeAccountId - Stripe account ID
+ * @param {string} productId - Product ID
+ * @param {object} data - Validated product fields from validateProductInput (partial)
+ * @returns {Promise<object>} Updated product
+ */
+const updateProductService = async (stripeAccountId, productId, data) => {
+  const existing = await retrieveProduct(stripeAccountId, productId);
+  const currentPrice = typeof existing.default_price === 'object' ? existing.default_price : null;
+
+  try {
+    const params = {};
+
+    if (data.name !== undefined) {
+      params.name = data.name;
+    }
+    if (data.description !== undefined) {
+      // Stripe clears a field when it is set to an empty string
+      params.description = data.description || '';
+    }
+    if (data.image !== undefined) {
+      params.images = data.image ? [data.image] : [];
+    }
+
+    const unitAmount = data.unitAmount ?? currentPrice?.unit_amount;
+    const currency = data.currency || currentPrice?.currency || 'usd';
+    const priceChanged = (data.unitAmount !== undefined || data.currency !== undefined) && (
+      !currentPrice ||
+      currentPrice.unit_amount !== unitAmount ||
+      currentPrice.currency !== currency
+    );
+
+    if (priceChanged) {
+      if (!unitAmount) {
+        throw invalidArgument('price is required when changing the currency of a product without a price');
+      }
+
+      const newPrice = await stripe.prices.create(
+        {
+          product: productId,
+          unit_amount: unitAmount,
+          currency,
+        },
+        {
+          stripeAccount: stripeAccountId,
         }
+      );
+      params.default_price = newPrice.id;
+    }
 
-        // If it's just an ID, we'll need to fetch it, but for now assume it's valid
-        // We'll filter it out if it's recurring when we try to use it
-        return true;
-      })
-      .map((product) => {
-        const defaultPrice = product.default_price;
+    const product = await stripe.products.update(
+      productId,
+      {
+        ...params,
+        expand: ['default_price'],
+      },
+      {
+        stripeAccount: stripeAccountId,
+      }
+    );
 
-        // Double-check price type if it's an object
-        if (typeof defaultPrice === 'object' && defaultPrice.type !== 'one_time') {
-          return null;
+    // The old price can only be archived once it is no longer the default price
+    if (priceChanged && currentPrice) {
+      await stripe.prices.update(
+        currentPrice.id,
+        {
+          active: false,
+        },
+        {
+          stripeAccount: stripeAccountId,
         }
+      );
+    }
 
-        return {
-          id: product.id,
-          name: product.name,
-          description: product.description,
-          price: defaultPrice && typeof defaultPrice === 'object'
-            ? defaultPrice.unit_amount / 100
-            : 0,
-          currency: defaultPrice && typeof defaultPrice === 'object'
-            ? defaultPrice.currency
-            : 'usd',
-          priceId: defaultPrice && typeof defaultPrice === 'object'
-            ? defaultPrice.id
-            : (typeof defaultPrice === 'string' ? defaultPrice : null),
-          image: product.images?.[0] || '',
-        };
-      })
-      .filter((product) => product !== null && product.priceId !== null); // Remove null entries
-
-    return oneTimeProducts;
+    await invalidateCatalog(stripeAccountId);
+
+    return formatProduct(product, await fetchProductPrices(stripeAccountId, productId));
   } catch (error) {
-    throw new Error(error.message || 'Error fetching Stripe products');
+    if (error.statusCode) {
+      throw error;
+    }
+    throw new Error(error.message || 'Error updating product');
+  }
+};
+
+/**
+ * Set or clear a product's image
+ * @param {string} stripeAccountId - Stripe account ID
+ * @param {string} productId - Product ID
+ * @param {string|null} image - Image URL, or null to remove the image
+ * @returns {Promise<object>} Updated product
+ */
+const updateProductImageService = async (stripeAccountId, productId, image) => {
+  return updateProductService(stripeAccountId, productId, { image });
+};
+
+/**
+ * Archive a product so it no longer appears in the catalog
+ * Stripe doesn't allow deleting products that have prices, so archiving is the "delete"
+ * @param {string} stripeAccountId - Stripe account ID
+ * @param {string} productId - Product ID
+ * @returns {Promise<object>} Archived product
+ */
+const archiveProductService = async (stripeAccountId, productId) => {
+  await retrieveProduct(stripeAccountId, productId);
+
+  try {
+    const product = await stripe.products.update(
+      productId,
+      {
+        active: false,
+        expand: ['default_price'],
+      },
+      {
+        stripeAccount: stripeAccountId,
+      }
+    );
+
+    await invalidateCatalog(stripeAccountId);
+
+    return formatProduct(product, await fetchProductPrices(stripeAccountId, productId));
+  } catch (error) {
+    throw new Error(error.message || 'Error archiving product');
   }
 };
 
 module.exports = {
+  validateProductInput,
+  validateImageUrl,
   fetchStripeProducts,
+  createProductService,
+  updateProductService,
+  updateProductImageService,
+  archiveProductService,
 };
@@ -1,11 +1,33 @@
 const { successResponse, errorResponse } = require('../../utils/response.js');
+const { hasPermission } = require('../../middleware/authorize.js');
 const {
-  validateStripeAccount,
   listLocationsService,
   createLocationService,
+  updateLocationService,
+  deleteLocationService,
   getOrCreateLocationService,
   registerReaderService,
+  validateConfigurationInput,
+  listConfigurationsService,
+  createConfigurationService,
+  updateConfigurationService,
+  assignConfigurationService,
+  uploadSplashscreenService,
+  setLocationSplashscreenService,
+  validateReaderFilters,
+  listReadersService,
+  getReaderService,
+  validateReaderUpdateInput,
+  updateReaderService,
+  deleteReaderService,
+  processPaymentService,
+  cancelReaderActionService,
+  validateReaderCart,
+  setReaderDisplayService,
+  refundPaymentService,
+  getReaderActionService,
 } = require('./services.js');
+const { validateStripeAccount } = require('../../utils/stripeAccount.js');
 
 /**
  * List all locations for the user's Stripe account
@@ -16,7 +38,7 @@ const listLocations = async (req, res, next) => {
     const userId = req.user.userId;
 
     // Validate Stripe account and get account ID
-    const accountId = await validateStripeAccount(userId);
+    const accountId = await validateStripeAccount(userId, req.user.stripeAccountId);
 
     // Call service to list locations
     const locations = await listLocationsService(accountId);
@@ -38,20 +60,13 @@ const createLocation = async (req, res, next) => {
     const userId = req.user.userId;
     const { displayName, address } = req.body;
 
-    // Input validation
+    // Input validation (the address is validated per country by the service)
     if (!displayName) {
       return res.status(400).json(errorResponse('Display name is required', 'invalid-argument'));
     }
 
-    if (!address?.line1 || !address?.city || !address?.state || !address?.country || !address?.postal_code) {
-      return res.status(400).json(errorResponse(
-        'Complete address is required (line1, city, state, country, postal_code)',
-        'invalid-argument'
-      ));
-    }
-
     // Validate Stripe account and get account ID
-    const accountId = await validateStripeAccount(userId);
+    const accountId = await validateStripeAccount(userId, req.user.stripeAccountId);
 
     // Call service to create location
     const newLocation = await createLocationService(accountId, { displayName, address });
@@ -63,7 +78,66 @@ const createLocation = async (req, res, next) => {
 };
 
 /**
- * Get or create a location for the user's Stripe account
+ * Update a location's name, address or default flag
+ * PATCH /api/readers/locations/:locationId
+ */
+const updateLocation = async (req, res, next) => {
+  try {
+    const userId = req.user.userId;
+    const { locationId } = req.params;
+    const { displayName, address, isDefault } = req.body || {};
+
+    // Input validation (the address is validated per country by the service)
+    if (displayName === undefined && address === undefined && isDefault === undefined) {
+      return res.status(400).json(errorResponse('Provide displayName, address and/or isDefault to update', 'invalid-argument'));
+    }
+
+    if (displayName !== undefined && (typeof displayName !== 'string' || !displayName.trim())) {
+      return res.status(400).json(errorResponse('Display name must be a non-empty string', 'invalid-argument'));
+    }
+
+    if (isDefault !== undefined && typeof isDefault !== 'boolean') {
+      return res.status(400).json(errorResponse('isDefault must be a boolean', 'invalid-argument'));
+    }
+
+    // Validate Stripe account and get account ID
+    const accountId = await validateStripeAccount(userId, req.user.stripeAccountId);
+
+    const location = await updateLocationService(userId, accountId, locationId, {
+      displayName: displayName?.trim(),
+      address,
+      isDefault,
+    });
+
+    res.json(successResponse(location, 'Location updated successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete a location
+ * DELETE /api/readers/locations/:locationId
+ */
+const deleteLocation = async (req, res, next) => {
+  try {
+    const userId = req.user.userId;
+    const { locationId } = req.params;
+
+    // Validate Stripe account and get account ID
+    const accountId = await validateStripeAccount(userId, req.user.stripeAccountId);
+
+    const result = await deleteLocationService(accountId, locationId);
+
+    res.json(successResponse(result, 'Location deleted successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the default location for the user's Stripe account, creating one from the
+ * account's business address if there are none
  * GET /api/readers/locations/get-or-create
  */
 const getOrCreateLocation = async (req, res, next) => {
@@ -71,10 +145,12 @@ const getOrCreateLocation = async (req, res, next) => {
     const userId = req.user.userId;
 
     // Validate Stripe account and get account ID
-    const accountId = await validateStripeAccount(userId);
+    const accountId = await validateStripeAccount(userId, req.user.stripeAccountId);
 
-    // Call service to get or create location
-    const location = await getOrCreateLocationService(accountId);
+    // Call service to get or create location (only owners may create one)
+    const location = await getOrCreateLocationService(userId, accountId, {
+      canCreate: hasPermission(req.user.role, 'locations:write'),
+    });
 
     res.json(successResponse(location, 'Location retrieved successfully'));
   } catch (error) {
@@ -101,7 +177,7 @@ const registerReader = async (req, res, next) => {
     }
 
     // Validate Stripe account and get account ID
-    const accountId = await validateStripeAccount(userId);
+    const accountId = await validateStripeAccount(userId, req.user.stripeAccountId);
 
     // Call service to register reader
     const reader = await registerReaderService(accountId, {
@@ -116,9 +192,385 @@ const registerReader = async (req, res, next) => {
   }
 };
 
+/**
+ * List Terminal configurations and the locations they're assigned to
+ * GET /api/readers/configurations
+ */
+const listConfigurations = async (req, res, next) => {
+  try {
+    const userId = req.user.userId;
+
+    // Validate Stripe account and get account ID
+    const accountId = await validateStripeAccount(userId, req.user.stripeAccountId);
+
+    const configurations = await listConfigurationsService(accountId);
+
+    res.json(successResponse({ configurations }, 'Configurations retrieved successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create a Terminal configuration
+ * POST /api/readers/configurations
+ */
+const createConfiguration = async (req, res, next) => {
+  try {
+    const userId = req.user.userId;
+
+    // Validate input and build Stripe params
+    const params = validateConfigurationInput(req.body || {});
+
+    // Validate Stripe account and get account ID
+    const accountId = await validateStripeAccount(userId, req.user.stripeAccountId);
+
+    const configuration = await createConfigurationService(accountId, params);
+
+    res.status(201).json(successResponse(configuration, 'Configuration created successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update a Terminal configuration
+ * PATCH /api/readers/configurations/:configurationId
+ */
+const updateConfiguration = async (req, res, next) => {
+  try {
+    const userId = req.user.userId;
+    const { configurationId } = req.params;
+
+    // Validate input and build Stripe params
+    const params = validateConfigurationInput(req.body || {});
+
+    // Validate Stripe account and get account ID
+    const accountId = await validateStripeAccount(userId, req.user.stripeAccountId);
+
+    const configuration = await updateConfigurationService(accountId, configurationId, params);
+
+    res.json(successResponse(configuration, 'Configuration updated successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Upload a splash screen image for use in a configuration
+ * POST /api/readers/configurations/splashscreens
+ *
+ * Send the image as the raw request body with Content-Type image/png, image/jpeg or image/gif.
+ */
+const uploadSplashscreen = async (req, res, next) => {
+  try {
+    const userId = req.user.userId;
+    const contentType = (req.get('content-type') || '').split(';')[0].trim().toLowerCase();
+
+    // Validate Stripe account and get account ID
+    const accountId = await validateStripeAccount(userId, req.user.stripeAccountId);
+
+    const file = await uploadSplashscreenService(accountId, req.body, contentType);
+
+    res.status(201).json(successResponse(file, 'Splash screen uploaded successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Assign a Terminal configuration to a location (null goes back to the account default)
+ * PUT /api/readers/locations/:locationId/configuration
+ */
+const assignConfiguration = async (req, res, next) => {
+  try {
+    const userId = req.user.userId;
+    const { locationId } = req.params;
+    const { configurationId } = req.body || {};
+
+    // Input validation
+    if (configurationId === undefined || (configurationId !== null && typeof configurationId !== 'string')) {
+      return res.status(400).json(errorResponse('configurationId must be a string, or null to unassign', 'invalid-argument'));
+    }
+
+    // Validate Stripe account and get account ID
+    const accountId = await validateStripeAccount(userId, req.user.stripeAccountId);
+
+    const result = await assignConfigurationService(userId, accountId, locationId, configurationId);
+
+    res.json(successResponse(result, 'Location configuration updated successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Upload and apply a splash screen for a location
+ * PUT /api/readers/locations/:locationId/splashscreen
+ *
+ * Send the image as the raw request body with Content-Type image/png, image/jpeg or image/gif.
+ */
+const setLocationSplashscreen = async (req, res, next) => {
+  try {
+    const userId = req.user.userId;
+    const { locationId } = req.params;
+    const contentType = (req.get('content-type') || '').split(';')[0].trim().toLowerCase();
+
+    // Validate Stripe account and get account ID
+    const accountId = await validateStripeAccount(userId, req.user.stripeAccountId);
+
+    const file = await uploadSplashscreenService(accountId, req.body, contentType);
+    const result = await setLocationSplashscreenService(userId, accountId, locationId, file.fileId);
+
+    res.json(successResponse(result, 'Location splash screen updated successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * List Terminal readers, optionally filtered by location, status and device type
+ * GET /api/readers?locationId=tml_123&status=online&deviceType=bbpos_wisepos_e
+ */
+const listReaders = async (req, res, next) => {
+  try {
+    const userId = req.user.userId;
+
+    // Validate filters
+    const filters = validateReaderFilters(req.query);
+
+    // Validate Stripe account and get account ID
+    const accountId = await validateStripeAccount(userId, req.user.stripeAccountId);
+
+    const readers = await listReadersService(accountId, filters);
+
+    res.json(successResponse({ readers }, 'Readers retrieved successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a Terminal reader
+ * GET /api/readers/:readerId
+ */
+const getReader = async (req, res, next) => {
+  try {
+    const userId = req.user.userId;
+    const { readerId } = req.params;
+
+    // Validate Stripe account and get account ID
+    const accountId = await validateStripeAccount(userId, req.user.stripeAccountId);
+
+    const reader = await getReaderService(accountId, readerId);
+
+    res.json(successResponse(reader, 'Reader retrieved successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update a Terminal reader's label and metadata
+ * PATCH /api/readers/:readerId
+ */
+const updateReader = async (req, res, next) => {
+  try {
+    const userId = req.user.userId;
+    const { readerId } = req.params;
+
+    // Validate and normalize input
+    const data = validateReaderUpdateInput(req.body || {});
+
+    // Validate Stripe account and get account ID
+    const accountId = await validateStripeAccount(userId, req.user.stripeAccountId);
+
+    const reader = await updateReaderService(accountId, readerId, data);
+
+    res.json(successResponse(reader, 'Reader updated successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete a Terminal reader
+ * DELETE /api/readers/:readerId
+ */
+const deleteReader = async (req, res, next) => {
+  try {
+    const userId = req.user.userId;
+    const { readerId } = req.params;
+
+    // Validate Stripe account and get account ID
+    const accountId = await validateStripeAccount(userId, req.user.stripeAccountId);
+
+    const result = await deleteReaderService(accountId, readerId);
+
+    res.json(successResponse(result, 'Reader deleted successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Send a payment to a smart reader
+ * POST /api/readers/:readerId/process-payment
+ *
+ * Takes a paymentIntentId from the create-intent endpoints. The reader collects and confirms
+ * the payment; poll GET /api/readers/:readerId/action for the result.
+ */
+const processPayment = async (req, res, next) => {
+  try {
+    const userId = req.user.userId;
+    const { readerId } = req.params;
+    const { paymentIntentId, skipTipping = false } = req.body || {};
+
+    // Input validation
+    if (!paymentIntentId || typeof paymentIntentId !== 'string') {
+      return res.status(400).json(errorResponse('paymentIntentId is required and must be a string', 'invalid-argument'));
+    }
+
+    if (typeof skipTipping !== 'boolean') {
+      return res.status(400).json(errorResponse('skipTipping must be a boolean', 'invalid-argument'));
+    }
+
+    // Validate Stripe account and get account ID
+    const accountId = await validateStripeAccount(userId, req.user.stripeAccountId);
+
+    const reader = await processPaymentService(accountId, readerId, {
+      paymentIntentId,
+      skipTipping,
+    });
+
+    res.json(successResponse(reader, 'Payment sent to reader'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Cancel the reader's current action
+ * POST /api/readers/:readerId/cancel-action
+ */
+const cancelReaderAction = async (req, res, next) => {
+  try {
+    const userId = req.user.userId;
+    const { readerId } = req.params;
+
+    // Validate Stripe account and get account ID
+    const accountId = await validateStripeAccount(userId, req.user.stripeAccountId);
+
+    const reader = await cancelReaderActionService(accountId, readerId);
+
+    res.json(successResponse(reader, 'Reader action canceled'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Show a cart on the reader display
+ * POST /api/readers/:readerId/display
+ */
+const setReaderDisplay = async (req, res, next) => {
+  try {
+    const userId = req.user.userId;
+    const { readerId } = req.params;
+
+    // Validate and normalize the cart
+    const cart = validateReaderCart((req.body || {}).cart);
+
+    // Validate Stripe account and get account ID
+    const accountId = await validateStripeAccount(userId, req.user.stripeAccountId);
+
+    const reader = await setReaderDisplayService(accountId, readerId, cart);
+
+    res.json(successResponse(reader, 'Reader display updated'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Refund a payment with the card present on the reader
+ * POST /api/readers/:readerId/refund
+ */
+const refundPayment = async (req, res, next) => {
+  try {
+    const userId = req.user.userId;
+    const { readerId } = req.params;
+    const { chargeId, paymentIntentId, amount } = req.body || {};
+
+    // Input validation
+    if (Boolean(chargeId) === Boolean(paymentIntentId)) {
+      return res.status(400).json(errorResponse('Provide either chargeId or paymentIntentId', 'invalid-argument'));
+    }
+
+    if ((chargeId && typeof chargeId !== 'string') || (paymentIntentId && typeof paymentIntentId !== 'string')) {
+      return res.status(400).json(errorResponse('chargeId and paymentIntentId must be strings', 'invalid-argument'));
+    }
+
+    if (amount !== undefined && amount !== null && (!Number.isInteger(amount) || amount <= 0)) {
+      return res.status(400).json(errorResponse('Amount must be a positive integer (in cents)', 'invalid-argument'));
+    }
+
+    // Validate Stripe account and get account ID
+    const accountId = await validateStripeAccount(userId, req.user.stripeAccountId);
+
+    const reader = await refundPaymentService(accountId, readerId, {
+      chargeId: chargeId || null,
+      paymentIntentId: paymentIntentId || null,
+      amount: amount || null,
+      staffId: req.user.staffId || null,
+    });
+
+    res.json(successResponse(reader, 'Refund sent to reader'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the reader's current action (poll after process-payment or refund)
+ * GET /api/readers/:readerId/action
+ */
+const getReaderAction = async (req, res, next) => {
+  try {
+    const userId = req.user.userId;
+    const { readerId } = req.params;
+
+    // Validate Stripe account and get account ID
+    const accountId = await validateStripeAccount(userId, req.user.stripeAccountId);
+
+    const result = await getReaderActionService(accountId, readerId);
+
+    res.json(successResponse(result, 'Reader action retrieved successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
 module.exports = {
   registerReader,
   listLocations,
   createLocation,
+  updateLocation,
+  deleteLocation,
   getOrCreateLocation,
+  listConfigurations,
+  createConfiguration,
+  updateConfiguration,
+  uploadSplashscreen,
+  assignConfiguration,
+  setLocationSplashscreen,
+  listReaders,
+  getReader,
+  updateReader,
+  deleteReader,
+  processPayment,
+  cancelReaderAction,
+  setReaderDisplay,
+  refundPayment,
+  getReaderAction,
 };
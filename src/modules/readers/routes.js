@@ -1,20 +1,65 @@
 const express = require('express');
 const { authenticate } = require('../../middleware/auth.js');
+const { authorize } = require('../../middleware/authorize.js');
+const { idempotency } = require('../../middleware/idempotency.js');
 const {
   registerReader,
   listLocations,
   createLocation,
+  updateLocation,
+  deleteLocation,
   getOrCreateLocation,
+  listConfigurations,
+  createConfiguration,
+  updateConfiguration,
+  uploadSplashscreen,
+  assignConfiguration,
+  setLocationSplashscreen,
+  listReaders,
+  getReader,
+  updateReader,
+  deleteReader,
+  processPayment,
+  cancelReaderAction,
+  setReaderDisplay,
+  refundPayment,
+  getReaderAction,
 } = require('./controller.js');
 
 const router = express.Router();
 
+// Splash screens are uploaded as the raw image body
+const splashscreenBody = express.raw({ type: 'image/*', limit: '5mb' });
+
 // Reader routes
-router.post('/register', authenticate, registerReader);
+router.post('/register', authenticate, authorize('locations:write'), registerReader);
 
-// Location routes
+// Location routes (get-or-create only creates a location for owners)
 router.get('/locations', authenticate, listLocations);
-router.post('/locations', authenticate, createLocation);
+router.post('/locations', authenticate, authorize('locations:write'), createLocation);
 router.get('/locations/get-or-create', authenticate, getOrCreateLocation);
+router.patch('/locations/:locationId', authenticate, authorize('locations:write'), updateLocation);
+router.delete('/locations/:locationId', authenticate, authorize('locations:write'), deleteLocation);
+router.put('/locations/:locationId/configuration', authenticate, authorize('locations:write'), assignConfiguration);
+router.put('/locations/:locationId/splashscreen', authenticate, authorize('locations:write'), splashscreenBody, setLocationSplashscreen);
+
+// Terminal configuration routes
+router.get('/configurations', authenticate, listConfigurations);
+router.post('/configurations', authenticate, authorize('locations:write'), createConfiguration);
+router.patch('/configurations/:configurationId', authenticate, authorize('locations:write'), updateConfiguration);
+router.post('/configurations/splashscreens', authenticate, authorize('locations:write'), splashscreenBody, uploadSplashscreen);
+
+// Reader fleet - requires authentication
+router.get('/', authenticate, listReaders);
+router.get('/:readerId', authenticate, getReader);
+router.patch('/:readerId', authenticate, authorize('locations:write'), updateReader);
+router.delete('/:readerId', authenticate, authorize('locations:write'), deleteReader);
+
+// Server-driven reader actions (smart readers) - requires authentication
+router.post('/:readerId/process-payment', authenticate, authorize('payments:charge'), idempotency, processPayment);
+router.post('/:readerId/cancel-action', authenticate, cancelReaderAction);
+router.post('/:readerId/display', authenticate, setReaderDisplay);
+router.post('/:readerId/refund', authenticate, authorize('payments:refund'), idempotency, refundPayment);
+router.get('/:readerId/action', authenticate, getReaderAction);
 
 module.exports = router;
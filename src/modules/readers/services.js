@@ -1,32 +1,268 @@
 const { stripe } = require('../../config/stripe.js');
 const prisma = require('../../config/database.js');
+const {
+  validateTipSettingsInput,
+  getTippingConfigurationIdService,
+  syncLocationTippingService,
+} = require('../tips/services.js');
+
+const READER_STATUSES = ['online', 'offline'];
+
+const READER_DEVICE_TYPES = [
+  'bbpos_chipper2x',
+  'bbpos_wisepad3',
+  'bbpos_wisepos_e',
+  'mobile_phone_reader',
+  'simulated_wisepos_e',
+  'stripe_m2',
+  'stripe_s700',
+  'verifone_P400',
+];
+
+// Stripe errors for reader actions that the client can act on
+const READER_ERRORS = {
+  terminal_reader_busy: { statusCode: 409, code: 'reader-busy' },
+  terminal_reader_offline: { statusCode: 409, code: 'reader-offline' },
+  terminal_reader_timeout: { statusCode: 504, code: 'reader-timeout' },
+  resource_missing: { statusCode: 404, code: 'not-found' },
+};
+
+// Reader models that show a splash screen, keyed by their Terminal configuration field
+const SPLASHSCREEN_DEVICES = ['bbpos_wisepos_e', 'stripe_s700', 'verifone_p400'];
+
+// Image types Stripe accepts for reader splash screens
+const SPLASHSCREEN_TYPES = {
+  'image/png': 'png',
+  'image/jpeg': 'jpg',
+  'image/gif': 'gif',
+};
 
 /**
- * Validate user has an active Stripe account
- * @param {string} userId - User ID
- * @returns {Promise<string>} Stripe account ID
- * @throws {Error} If account is not connected or not active (with statusCode 400)
+ * Build a 400 validation error
+ * @param {string} message - Error message
+ * @returns {Error} Error with statusCode and code set
+ */
+const invalidArgument = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  error.code = 'invalid-argument';
+  return error;
+};
+
+/**
+ * Convert a Stripe error from a reader call, keeping reader-specific failures distinguishable
+ * @param {Error} error - Stripe error
+ * @param {string} fallbackMessage - Message if the error has none
+ * @returns {Error} Error with statusCode and code set for known reader failures
+ */
+const toReaderError = (error, fallbackMessage) => {
+  const known = READER_ERRORS[error.code];
+  const readerError = new Error(error.message || fallbackMessage);
+
+  if (known) {
+    readerError.statusCode = known.statusCode;
+    readerError.code = known.code;
+  }
+
+  return readerError;
+};
+
+/**
+ * Map a reader's current action to the API shape
+ * @param {object|null} action - Stripe reader action
+ * @returns {object|null} Action summary or null when the reader is idle
  */
-const validateStripeAccount = async (userId) => {
-  const user = await prisma.user.findUnique({
-    where: { id: userId },
+const formatReaderAction = (action) => {
+  if (!action) {
+    return null;
+  }
+
+  const paymentIntent = action.process_payment_intent?.payment_intent;
+  const refund = action.refund_payment;
+
+  return {
+    type: action.type,
+    status: action.status, // in_progress, succeeded or failed
+    failureCode: action.failure_code || null,
+    failureMessage: action.failure_message || null,
+    paymentIntentId: (typeof paymentIntent === 'string' ? paymentIntent : paymentIntent?.id) || null,
+    ...(refund && {
+      refund: {
+        chargeId: refund.charge || null,
+        paymentIntentId: refund.payment_intent || null,
+        amount: refund.amount ?? null, // In cents
+        refundId: typeof refund.refund === 'string' ? refund.refund : refund.refund?.id || null,
+      },
+    }),
+  };
+};
+
+/**
+ * Map a Stripe reader to the API shape
+ * @param {object} reader - Stripe reader object
+ * @returns {object} Reader
+ */
+const formatReader = (reader) => ({
+  readerId: reader.id,
+  serialNumber: reader.serial_number,
+  label: reader.label,
+  deviceType: reader.device_type,
+  locationId: typeof reader.location === 'string' ? reader.location : reader.location?.id || null,
+  status: reader.status || 'offline',
+  lastSeenAt: reader.last_seen_at ? new Date(reader.last_seen_at).toISOString() : null,
+  ipAddress: reader.ip_address || null,
+  softwareVersion: reader.device_sw_version || null,
+  metadata: reader.metadata || {},
+  action: formatReaderAction(reader.action),
+});
+
+/**
+ * Address rules per country: whether a state/province is required and the postal code format
+ * Countries not listed only need line1, city and country
+ */
+const ADDRESS_RULES = {
+  US: { state: true, postalCode: /^\d{5}(-\d{4})?$/ },
+  CA: { state: true, postalCode: /^[A-Z]\d[A-Z] ?\d[A-Z]\d$/i },
+  AU: { state: true, postalCode: /^\d{4}$/ },
+  NZ: { postalCode: /^\d{4}$/ },
+  GB: { postalCode: /^[A-Z]{1,2}\d[A-Z\d]? ?\d[A-Z]{2}$/i },
+  DE: { postalCode: /^\d{5}$/ },
+  FR: { postalCode: /^\d{5}$/ },
+  ES: { postalCode: /^\d{5}$/ },
+  IT: { postalCode: /^\d{5}$/ },
+  NL: { postalCode: /^\d{4} ?[A-Z]{2}$/i },
+};
+
+/**
+ * Validate a location address for its country
+ * @param {object} address - Address (line1, line2, city, state, country, postal_code)
+ * @returns {object} Normalized address for Stripe
+ * @throws {Error} If the address is incomplete or invalid for its country (with statusCode 400)
+ */
+const validateLocationAddress = (address) => {
+  if (!address || typeof address !== 'object') {
+    throw invalidArgument('address is required');
+  }
+
+  const fields = ['line1', 'line2', 'city', 'state', 'country', 'postal_code'];
+  for (const field of fields) {
+    if (address[field] !== undefined && address[field] !== null && typeof address[field] !== 'string') {
+      throw invalidArgument(`address.${field} must be a string`);
+    }
+  }
+
+  const country = (address.country || '').trim().toUpperCase();
+  if (!/^[A-Z]{2}$/.test(country)) {
+    throw invalidArgument('address.country must be a 2-letter country code (e.g. US)');
+  }
+
+  const line1 = (address.line1 || '').trim();
+  const city = (address.city || '').trim();
+  const state = (address.state || '').trim();
+  const postalCode = (address.postal_code || '').trim();
+
+  if (!line1 || !city) {
+    throw invalidArgument('address.line1 and address.city are required');
+  }
+
+  const rules = ADDRESS_RULES[country] || {};
+
+  if (rules.state && !state) {
+    throw invalidArgument(`address.state is required for ${country} addresses`);
+  }
+
+  if (rules.postalCode && !rules.postalCode.test(postalCode)) {
+    throw invalidArgument(`address.postal_code is not a valid ${country} postal code`);
+  }
+
+  return {
+    line1,
+    ...(address.line2 && { line2: address.line2.trim() }),
+    city,
+    ...(state && { state }),
+    country,
+    ...(postalCode && { postal_code: postalCode }),
+  };
+};
+
+/**
+ * Map a Stripe location to the API shape
+ * @param {object} location - Stripe location object
+ * @param {string|null} defaultLocationId - ID of the merchant's default location
+ * @returns {object} Location
+ */
+const formatLocation = (location, defaultLocationId) => ({
+  locationId: location.id,
+  displayName: location.display_name,
+  address: location.address,
+  isDefault: location.id === defaultLocationId,
+  configurationId: location.configuration_overrides || null,
+});
+
+/**
+ * Get the ID of the merchant's default location from our DB
+ * @param {string} accountId - Stripe account ID
+ * @returns {Promise<string|null>} Location ID or null if none is set
+ */
+const findDefaultLocationId = async (accountId) => {
+  const location = await prisma.terminalLocation.findFirst({
+    where: { stripeAccountId: accountId, isDefault: true },
+    select: { locationId: true },
   });
 
-  if (!user?.stripeAccountId) {
-    const error = new Error('Stripe account not connected. Please connect your Stripe account first.');
-    error.statusCode = 400;
-    error.code = 'failed-precondition';
-    throw error;
+  return location?.locationId || null;
+};
+
+/**
+ * Mark a location as the merchant's default (unsets any previous default)
+ * @param {string} userId - User ID
+ * @param {string} accountId - Stripe account ID
+ * @param {string} locationId - Location ID
+ */
+const saveDefaultLocation = async (userId, accountId, locationId) => {
+  await prisma.$transaction([
+    prisma.terminalLocation.updateMany({
+      where: { stripeAccountId: accountId, isDefault: true, locationId: { not: locationId } },
+      data: { isDefault: false },
+    }),
+    prisma.terminalLocation.upsert({
+      where: { locationId },
+      update: { isDefault: true },
+      create: {
+        userId,
+        stripeAccountId: accountId,
+        locationId,
+        isDefault: true,
+      },
+    }),
+  ]);
+};
+
+/**
+ * Fetch a location from Stripe
+ * @param {string} accountId - Stripe account ID
+ * @param {string} locationId - Location ID
+ * @returns {Promise<object>} Stripe location object
+ * @throws {Error} If the location doesn't exist or was deleted (with statusCode 404)
+ */
+const retrieveLocation = async (accountId, locationId) => {
+  let location;
+  try {
+    location = await stripe.terminal.locations.retrieve(locationId, {
+      stripeAccount: accountId,
+    });
+  } catch (error) {
+    throw toReaderError(error, 'Error retrieving location');
   }
 
-  if (user.stripeAccountStatus !== 'active') {
-    const error = new Error('Stripe account is not active. Please complete the onboarding process.');
-    error.statusCode = 400;
-    error.code = 'failed-precondition';
+  if (location.deleted) {
+    const error = new Error(`Location ${locationId} not found`);
+    error.statusCode = 404;
+    error.code = 'not-found';
     throw error;
   }
 
-  return user.stripeAccountId;
+  return location;
 };
 
 /**
@@ -36,15 +272,25 @@ const validateStripeAccount = async (userId) => {
  */
 const listLocationsService = async (accountId) => {
   try {
-    const locations = await stripe.terminal.locations.list(
-      {},
-      { stripeAccount: accountId }
-    );
+    const [locations, records] = await Promise.all([
+      stripe.terminal.locations.list(
+        {},
+        { stripeAccount: accountId }
+      ),
+      prisma.terminalLocation.findMany({
+        where: { stripeAccountId: accountId },
+      }),
+    ]);
+
+    const recordsById = new Map(records.map((record) => [record.locationId, record]));
 
     return locations.data.map(loc => ({
       id: loc.id,
       displayName: loc.display_name,
       address: loc.address,
+      isDefault: recordsById.get(loc.id)?.isDefault || false,
+      configurationId: loc.configuration_overrides || null,
+      splashscreenFileId: recordsById.get(loc.id)?.splashscreenFileId || null,
     }));
   } catch (error) {
     throw new Error(error.message || 'Error listing locations');
@@ -58,43 +304,138 @@ const listLocationsService = async (accountId) => {
  * @param {string} locationData.displayName - Display name for the location
  * @param {object} locationData.address - Address object
  * @returns {Promise<object>} Created location object
+ * @throws {Error} If the address is invalid for its country (with statusCode 400)
  */
 const createLocationService = async (accountId, locationData) => {
-  try {
-    const { displayName, address } = locationData;
+  const { displayName } = locationData;
+  const address = validateLocationAddress(locationData.address);
 
+  try {
     const newLocation = await stripe.terminal.locations.create(
       {
         display_name: displayName,
-        address: {
-          line1: address.line1,
-          line2: address.line2,
-          city: address.city,
-          state: address.state,
-          country: address.country,
-          postal_code: address.postal_code,
-        },
+        address,
       },
       { stripeAccount: accountId }
     );
 
-    return {
-      locationId: newLocation.id,
-      displayName: newLocation.display_name,
-      address: newLocation.address,
-    };
+    return formatLocation(newLocation, null);
   } catch (error) {
     throw new Error(error.message || 'Error creating location');
   }
 };
 
 /**
- * Get or create a location for a Stripe account
- * Returns first existing location, or creates a default one
+ * Update a location's name, address and/or default flag
+ * @param {string} userId - User ID
  * @param {string} accountId - Stripe account ID
+ * @param {string} locationId - Location ID
+ * @param {object} locationData - Fields to update
+ * @param {string} locationData.displayName - Display name (optional)
+ * @param {object} locationData.address - Full address (optional)
+ * @param {boolean} locationData.isDefault - Make this the default location, or clear it (optional)
+ * @returns {Promise<object>} Updated location
+ */
+const updateLocationService = async (userId, accountId, locationId, locationData) => {
+  const { displayName, address, isDefault } = locationData;
+
+  const params = {
+    ...(displayName !== undefined && { display_name: displayName }),
+    ...(address !== undefined && { address: validateLocationAddress(address) }),
+  };
+
+  let location;
+  if (Object.keys(params).length > 0) {
+    try {
+      location = await stripe.terminal.locations.update(locationId, params, {
+        stripeAccount: accountId,
+      });
+    } catch (error) {
+      throw toReaderError(error, 'Error updating location');
+    }
+  } else {
+    location = await retrieveLocation(accountId, locationId);
+  }
+
+  if (isDefault === true) {
+    await saveDefaultLocation(userId, accountId, locationId);
+  } else if (isDefault === false) {
+    await prisma.terminalLocation.updateMany({
+      where: { locationId },
+      data: { isDefault: false },
+    });
+  }
+
+  return formatLocation(location, await findDefaultLocationId(accountId));
+};
+
+/**
+ * Delete a location and everything we store against it
+ * @param {string} accountId - Stripe account ID
+ * @param {string} locationId - Location ID
+ * @returns {Promise<object>} Deleted location ID
+ */
+const deleteLocationService = async (accountId, locationId) => {
+  try {
+    const deleted = await stripe.terminal.locations.del(locationId, {
+      stripeAccount: accountId,
+    });
+
+    await prisma.$transaction([
+      prisma.terminalLocation.deleteMany({ where: { locationId } }),
+      prisma.locationTaxRate.deleteMany({ where: { stripeAccountId: accountId, locationId } }),
+    ]);
+
+    return { locationId: deleted.id, deleted: true };
+  } catch (error) {
+    throw toReaderError(error, 'Error deleting location');
+  }
+};
+
+/**
+ * Build a location address from the connected account's business details
+ * @param {object} account - Stripe account object
+ * @returns {object|null} Address, or null if the account has none
+ */
+const getBusinessAddress = (account) => {
+  const address = account.company?.address
+    || account.individual?.address
+    || account.business_profile?.support_address;
+
+  if (!address) {
+    return null;
+  }
+
+  // Stripe returns null for empty fields; drop them so validation reports what's missing
+  return Object.fromEntries(Object.entries(address).filter(([, value]) => value));
+};
+
+/**
+ * Get the merchant's default location, creating one from their business address if they have none
+ * Falls back to the first existing location when no default is set
+ * @param {string} userId - User ID
+ * @param {string} accountId - Stripe account ID
+ * @param {object} options - Options
+ * @param {boolean} options.canCreate - Whether the caller may create a location (owners only)
  * @returns {Promise<object>} Location object
+ * @throws {Error} If a location is needed but the caller may not create one (403) or the account has no
+ *   usable business address (400)
  */
-const getOrCreateLocationService = async (accountId) => {
+const getOrCreateLocationService = async (userId, accountId, { canCreate = true } = {}) => {
+  const defaultLocationId = await findDefaultLocationId(accountId);
+
+  if (defaultLocationId) {
+    try {
+      return formatLocation(await retrieveLocation(accountId, defaultLocationId), defaultLocationId);
+    } catch (error) {
+      if (error.statusCode !== 404) {
+        throw error;
+      }
+      // Deleted outside our app - forget it and fall through
+      await prisma.terminalLocation.deleteMany({ where: { locationId: defaultLocationId } });
+    }
+  }
+
   try {
     // List existing locations
     const locations = await stripe.terminal.locations.list(
@@ -104,40 +445,369 @@ const getOrCreateLocationService = async (accountId) => {
 
     // If location exists, return it
     if (locations.data.length > 0) {
-      const location = locations.data[0];
-      return {
-        locationId: location.id,
-        displayName: location.display_name,
-        address: location.address,
-      };
+      return formatLocation(locations.data[0], null);
     }
+  } catch (error) {
+    throw new Error(error.message || 'Error getting or creating location');
+  }
+
+  if (!canCreate) {
+    const error = new Error('No Terminal location has been set up yet. Ask an owner to create one.');
+    error.statusCode = 403;
+    error.code = 'permission-denied';
+    throw error;
+  }
 
-    // Create a new location if none exists
-    // NOTE: Hardcoded default address values (should be configurable)
+  // Create the first location from the account's business address
+  const account = await stripe.accounts.retrieve(accountId);
+  const businessAddress = getBusinessAddress(account);
+
+  let address;
+  try {
+    address = validateLocationAddress(businessAddress);
+  } catch (validationError) {
+    const error = new Error(
+      'Your Stripe account has no complete business address to create a location from. '
+        + `Please create a location with an address (${validationError.message}).`,
+    );
+    error.statusCode = 400;
+    error.code = 'location-address-required';
+    throw error;
+  }
+
+  try {
     const newLocation = await stripe.terminal.locations.create(
       {
-        display_name: 'Default Location',
-        address: {
-          line1: '123 Main St',
-          city: 'San Francisco',
-          state: 'CA',
-          country: 'US',
-          postal_code: '94102',
+        display_name: account.business_profile?.name
+          || account.settings?.dashboard?.display_name
+          || 'Default Location',
+        address,
+      },
+      { stripeAccount: accountId }
+    );
+
+    await saveDefaultLocation(userId, accountId, newLocation.id);
+
+    return formatLocation(newLocation, newLocation.id);
+  } catch (error) {
+    throw new Error(error.message || 'Error getting or creating location');
+  }
+};
+
+/**
+ * Map a Stripe Terminal configuration to the API shape
+ * @param {object} configuration - Stripe Terminal configuration object
+ * @returns {object} Configuration
+ */
+const formatConfiguration = (configuration) => {
+  const splashscreenDevice = SPLASHSCREEN_DEVICES.find((device) => configuration[device]?.splashscreen);
+  const splashscreen = splashscreenDevice ? configuration[splashscreenDevice].splashscreen : null;
+
+  return {
+    configurationId: configuration.id,
+    name: configuration.name || null,
+    isAccountDefault: configuration.is_account_default || false,
+    splashscreenFileId: (typeof splashscreen === 'string' ? splashscreen : splashscreen?.id) || null,
+    offlineEnabled: configuration.offline?.enabled ?? null,
+    rebootWindow: configuration.reboot_window
+      ? { startHour: configuration.reboot_window.start_hour, endHour: configuration.reboot_window.end_hour }
+      : null,
+    tipping: Object.entries(configuration.tipping || {})
+      .filter(([, options]) => options && typeof options === 'object')
+      .map(([currency, options]) => ({
+        currency,
+        percentages: options.percentages || [],
+        fixedAmounts: options.fixed_amounts || [], // In cents
+        smartTipThreshold: options.smart_tip_threshold ?? null, // In cents
+      })),
+  };
+};
+
+/**
+ * Validate Terminal configuration input and build Stripe params (only provided fields)
+ * @param {object} input - Fields from the request body
+ * @returns {object} Stripe configuration params
+ * @throws {Error} If input is invalid (with statusCode 400)
+ */
+const validateConfigurationInput = (input) => {
+  const params = {};
+
+  if (input.name !== undefined) {
+    if (typeof input.name !== 'string' || !input.name.trim()) {
+      throw invalidArgument('name must be a non-empty string');
+    }
+    params.name = input.name.trim();
+  }
+
+  if (input.splashscreenFileId !== undefined) {
+    if (input.splashscreenFileId !== null && (typeof input.splashscreenFileId !== 'string' || !input.splashscreenFileId.startsWith('file_'))) {
+      throw invalidArgument('splashscreenFileId must be a file ID from the splash screen upload, or null to remove it');
+    }
+    // An empty string removes the splash screen
+    SPLASHSCREEN_DEVICES.forEach((device) => {
+      params[device] = { splashscreen: input.splashscreenFileId || '' };
+    });
+  }
+
+  if (input.offlineEnabled !== undefined) {
+    if (typeof input.offlineEnabled !== 'boolean') {
+      throw invalidArgument('offlineEnabled must be a boolean');
+    }
+    params.offline = { enabled: input.offlineEnabled };
+  }
+
+  if (input.rebootWindow !== undefined) {
+    const { startHour, endHour } = input.rebootWindow || {};
+    const isHour = (value) => Number.isInteger(value) && value >= 0 && value <= 23;
+    if (!isHour(startHour) || !isHour(endHour)) {
+      throw invalidArgument('rebootWindow.startHour and rebootWindow.endHour must be hours from 0 to 23');
+    }
+    params.reboot_window = { start_hour: startHour, end_hour: endHour };
+  }
+
+  if (input.tipping !== undefined) {
+    if (input.tipping === null) {
+      params.tipping = '';
+    } else {
+      const { currency = 'usd', percentages = [], fixedAmounts = [], smartTipThreshold = null } = validateTipSettingsInput({
+        currency: 'usd',
+        ...input.tipping,
+      });
+      if (percentages.length === 0 && fixedAmounts.length === 0) {
+        throw invalidArgument('tipping needs at least one percentage or fixed amount');
+      }
+      params.tipping = {
+        [currency]: {
+          ...(percentages.length > 0 && { percentages }),
+          ...(fixedAmounts.length > 0 && { fixed_amounts: fixedAmounts }),
+          ...(smartTipThreshold && { smart_tip_threshold: smartTipThreshold }),
+        },
+      };
+    }
+  }
+
+  if (Object.keys(params).length === 0) {
+    throw invalidArgument('Provide at least one of name, splashscreenFileId, offlineEnabled, rebootWindow or tipping');
+  }
+
+  return params;
+};
+
+/**
+ * List Terminal configurations, with the locations each one is assigned to
+ * @param {string} accountId - Stripe account ID
+ * @returns {Promise<Array>} Array of configurations
+ */
+const listConfigurationsService = async (accountId) => {
+  try {
+    const [configurations, locations] = await Promise.all([
+      stripe.terminal.configurations
+        .list({ limit: 100 }, { stripeAccount: accountId })
+        .autoPagingToArray({ limit: 10000 }),
+      stripe.terminal.locations
+        .list({ limit: 100 }, { stripeAccount: accountId })
+        .autoPagingToArray({ limit: 10000 }),
+    ]);
+
+    return configurations.map((configuration) => ({
+      ...formatConfiguration(configuration),
+      locationIds: locations
+        .filter((location) => location.configuration_overrides === configuration.id)
+        .map((location) => location.id),
+    }));
+  } catch (error) {
+    throw new Error(error.message || 'Error listing configurations');
+  }
+};
+
+/**
+ * Create a Terminal configuration
+ * @param {string} accountId - Stripe account ID
+ * @param {object} params - Stripe params from validateConfigurationInput
+ * @returns {Promise<object>} Created configuration
+ */
+const createConfigurationService = async (accountId, params) => {
+  try {
+    const configuration = await stripe.terminal.configurations.create(params, {
+      stripeAccount: accountId,
+    });
+
+    return formatConfiguration(configuration);
+  } catch (error) {
+    throw new Error(error.message || 'Error creating configuration');
+  }
+};
+
+/**
+ * Update a Terminal configuration
+ * @param {string} accountId - Stripe account ID
+ * @param {string} configurationId - Configuration ID
+ * @param {object} params - Stripe params from validateConfigurationInput
+ * @returns {Promise<object>} Updated configuration
+ */
+const updateConfigurationService = async (accountId, configurationId, params) => {
+  try {
+    const configuration = await stripe.terminal.configurations.update(configurationId, params, {
+      stripeAccount: accountId,
+    });
+
+    return formatConfiguration(configuration);
+  } catch (error) {
+    throw toReaderError(error, 'Error updating configuration');
+  }
+};
+
+/**
+ * Save configuration details against our record of a location
+ * @param {string} userId - User ID
+ * @param {string} accountId - Stripe account ID
+ * @param {string} locationId - Location ID
+ * @param {object} data - Fields to store (configurationId, splashscreenFileId)
+ */
+const saveLocationRecord = async (userId, accountId, locationId, data) => {
+  await prisma.terminalLocation.upsert({
+    where: { locationId },
+    update: data,
+    create: {
+      ...data,
+      userId,
+      stripeAccountId: accountId,
+      locationId,
+    },
+  });
+};
+
+/**
+ * Assign a Terminal configuration to a location, or go back to the account default
+ * @param {string} userId - User ID
+ * @param {string} accountId - Stripe account ID
+ * @param {string} locationId - Location ID
+ * @param {string|null} configurationId - Configuration ID, or null to unassign
+ * @returns {Promise<object>} Location with its configuration
+ */
+const assignConfigurationService = async (userId, accountId, locationId, configurationId) => {
+  let configuration = null;
+
+  try {
+    if (configurationId) {
+      configuration = await stripe.terminal.configurations.retrieve(configurationId, {
+        stripeAccount: accountId,
+      });
+    }
+
+    await stripe.terminal.locations.update(
+      locationId,
+      { configuration_overrides: configurationId || '' },
+      { stripeAccount: accountId }
+    );
+  } catch (error) {
+    throw toReaderError(error, 'Error assigning configuration');
+  }
+
+  const formatted = configuration ? formatConfiguration(configuration) : null;
+
+  await saveLocationRecord(userId, accountId, locationId, {
+    configurationId: configurationId || null,
+    splashscreenFileId: formatted?.splashscreenFileId || null,
+  });
+
+  // Bring the location's tipping in line with the merchant's tip settings, whether it now
+  // uses its own configuration or falls back to the tipping configuration
+  await syncLocationTippingService(accountId, locationId);
+
+  return {
+    locationId,
+    configuration: formatted,
+  };
+};
+
+/**
+ * Upload a splash screen image to the connected account
+ * @param {string} accountId - Stripe account ID
+ * @param {Buffer} image - Image data
+ * @param {string} contentType - Image MIME type
+ * @returns {Promise<object>} Uploaded file
+ * @throws {Error} If the image type isn't supported (with statusCode 400)
+ */
+const uploadSplashscreenService = async (accountId, image, contentType) => {
+  const extension = SPLASHSCREEN_TYPES[contentType];
+  if (!extension) {
+    throw invalidArgument(`Splash screen must be one of: ${Object.keys(SPLASHSCREEN_TYPES).join(', ')}`);
+  }
+
+  if (!Buffer.isBuffer(image) || image.length === 0) {
+    throw invalidArgument('Splash screen image is required as the request body');
+  }
+
+  try {
+    const file = await stripe.files.create(
+      {
+        purpose: 'terminal_reader_splashscreen',
+        file: {
+          data: image,
+          name: `splashscreen.${extension}`,
+          type: 'application/octet-stream',
         },
       },
       { stripeAccount: accountId }
     );
 
     return {
-      locationId: newLocation.id,
-      displayName: newLocation.display_name,
-      address: newLocation.address,
+      fileId: file.id,
+      size: file.size,
+      type: file.type,
     };
   } catch (error) {
-    throw new Error(error.message || 'Error getting or creating location');
+    throw new Error(error.message || 'Error uploading splash screen');
   }
 };
 
+/**
+ * Set a location's splash screen
+ * Updates the location's assigned configuration, or creates one for the location if it has none
+ * @param {string} userId - User ID
+ * @param {string} accountId - Stripe account ID
+ * @param {string} locationId - Location ID
+ * @param {string} fileId - Splash screen file ID from uploadSplashscreenService
+ * @returns {Promise<object>} Location with its configuration
+ */
+const setLocationSplashscreenService = async (userId, accountId, locationId, fileId) => {
+  const location = await retrieveLocation(accountId, locationId);
+  const params = validateConfigurationInput({ splashscreenFileId: fileId });
+
+  const tippingConfigurationId = await getTippingConfigurationIdService(accountId);
+  const currentId = location.configuration_overrides || null;
+
+  if (currentId && currentId !== tippingConfigurationId) {
+    await updateConfigurationService(accountId, currentId, params);
+    return assignConfigurationService(userId, accountId, locationId, currentId);
+  }
+
+  // The shared tipping configuration is used by other locations, so give this one its own
+  // configuration and carry the tip options over
+  const tipping = {};
+  if (currentId) {
+    const shared = await stripe.terminal.configurations.retrieve(currentId, { stripeAccount: accountId });
+    Object.entries(shared.tipping || {})
+      .filter(([, options]) => options && typeof options === 'object')
+      .forEach(([currency, options]) => {
+        tipping[currency] = {
+          ...(options.percentages && { percentages: options.percentages }),
+          ...(options.fixed_amounts && { fixed_amounts: options.fixed_amounts }),
+          ...(options.smart_tip_threshold && { smart_tip_threshold: options.smart_tip_threshold }),
+        };
+      });
+  }
+
+  const configuration = await createConfigurationService(accountId, {
+    name: `${location.display_name} settings`.slice(0, 100),
+    ...(Object.keys(tipping).length > 0 && { tipping }),
+    ...params,
+  });
+
+  return assignConfigurationService(userId, accountId, locationId, configuration.configurationId);
+};
+
 /**
  * Register a Terminal reader
  * @param {string} accountId - Stripe account ID
@@ -160,23 +830,382 @@ const registerReaderService = async (accountId, readerData) => {
       { stripeAccount: accountId }
     );
 
-    return {
-      readerId: reader.id,
-      serialNumber: reader.serial_number,
-      label: reader.label,
-      deviceType: reader.device_type,
-      locationId: reader.location,
-    };
+    return formatReader(reader);
   } catch (error) {
     throw new Error(error.message || 'Error registering reader');
   }
 };
 
+/**
+ * Validate reader list filters
+ * @param {object} filters - Filters from the query string
+ * @returns {object} Validated filters
+ * @throws {Error} If a filter is invalid (with statusCode 400)
+ */
+const validateReaderFilters = (filters) => {
+  const { locationId, status, deviceType } = filters;
+
+  for (const [name, value] of Object.entries({ locationId, status, deviceType })) {
+    if (value !== undefined && typeof value !== 'string') {
+      throw invalidArgument(`${name} must be a single value`);
+    }
+  }
+
+  if (status !== undefined && !READER_STATUSES.includes(status)) {
+    throw invalidArgument(`status must be one of: ${READER_STATUSES.join(', ')}`);
+  }
+
+  if (deviceType !== undefined && !READER_DEVICE_TYPES.includes(deviceType)) {
+    throw invalidArgument(`deviceType must be one of: ${READER_DEVICE_TYPES.join(', ')}`);
+  }
+
+  return {
+    locationId: locationId || null,
+    status: status || null,
+    deviceType: deviceType || null,
+  };
+};
+
+/**
+ * List Terminal readers for a Stripe account
+ * @param {string} accountId - Stripe account ID
+ * @param {object} filters - Filters from validateReaderFilters
+ * @returns {Promise<Array>} Array of readers
+ */
+const listReadersService = async (accountId, filters = {}) => {
+  try {
+    const { locationId = null, status = null, deviceType = null } = filters;
+
+    const readers = await stripe.terminal.readers
+      .list(
+        {
+          limit: 100,
+          ...(locationId && { location: locationId }),
+          ...(status && { status }),
+          ...(deviceType && { device_type: deviceType }),
+        },
+        { stripeAccount: accountId }
+      )
+      .autoPagingToArray({ limit: 10000 });
+
+    return readers.map(formatReader);
+  } catch (error) {
+    throw new Error(error.message || 'Error listing readers');
+  }
+};
+
+/**
+ * Fetch a Terminal reader from Stripe
+ * @param {string} accountId - Stripe account ID
+ * @param {string} readerId - Reader ID
+ * @returns {Promise<object>} Stripe reader object
+ * @throws {Error} If the reader doesn't exist or was deleted (with statusCode 404)
+ */
+const retrieveReader = async (accountId, readerId) => {
+  let reader;
+  try {
+    reader = await stripe.terminal.readers.retrieve(readerId, {
+      stripeAccount: accountId,
+    });
+  } catch (error) {
+    throw toReaderError(error, 'Error retrieving reader');
+  }
+
+  if (reader.deleted) {
+    const error = new Error(`Reader ${readerId} not found`);
+    error.statusCode = 404;
+    error.code = 'not-found';
+    throw error;
+  }
+
+  return reader;
+};
+
+/**
+ * Get a Terminal reader
+ * @param {string} accountId - Stripe account ID
+ * @param {string} readerId - Reader ID
+ * @returns {Promise<object>} Reader
+ */
+const getReaderService = async (accountId, readerId) => {
+  return formatReader(await retrieveReader(accountId, readerId));
+};
+
+/**
+ * Validate reader update input
+ * @param {object} input - Fields from the request body
+ * @returns {object} Validated fields (label and/or metadata)
+ * @throws {Error} If input is invalid (with statusCode 400)
+ */
+const validateReaderUpdateInput = (input) => {
+  const data = {};
+
+  if (input.label !== undefined) {
+    if (typeof input.label !== 'string' || input.label.trim().length === 0) {
+      throw invalidArgument('label must be a non-empty string');
+    }
+    data.label = input.label.trim();
+  }
+
+  if (input.metadata !== undefined) {
+    if (!input.metadata || typeof input.metadata !== 'object' || Array.isArray(input.metadata)) {
+      throw invalidArgument('metadata must be an object');
+    }
+    // Stripe metadata values are strings; an empty string removes the key
+    for (const [key, value] of Object.entries(input.metadata)) {
+      if (typeof value !== 'string') {
+        throw invalidArgument(`metadata.${key} must be a string`);
+      }
+    }
+    data.metadata = input.metadata;
+  }
+
+  if (Object.keys(data).length === 0) {
+    throw invalidArgument('Provide label and/or metadata to update');
+  }
+
+  return data;
+};
+
+/**
+ * Update a Terminal reader's label and metadata
+ * @param {string} accountId - Stripe account ID
+ * @param {string} readerId - Reader ID
+ * @param {object} data - Fields from validateReaderUpdateInput
+ * @returns {Promise<object>} Updated reader
+ */
+const updateReaderService = async (accountId, readerId, data) => {
+  try {
+    const reader = await stripe.terminal.readers.update(readerId, data, {
+      stripeAccount: accountId,
+    });
+
+    return formatReader(reader);
+  } catch (error) {
+    throw toReaderError(error, 'Error updating reader');
+  }
+};
+
+/**
+ * Delete a Terminal reader
+ * @param {string} accountId - Stripe account ID
+ * @param {string} readerId - Reader ID
+ * @returns {Promise<object>} Deleted reader ID
+ */
+const deleteReaderService = async (accountId, readerId) => {
+  try {
+    const deleted = await stripe.terminal.readers.del(readerId, {
+      stripeAccount: accountId,
+    });
+
+    return { readerId: deleted.id, deleted: true };
+  } catch (error) {
+    throw toReaderError(error, 'Error deleting reader');
+  }
+};
+
+/**
+ * Hand a PaymentIntent to a smart reader to collect and confirm the payment
+ * Poll getReaderActionService (or listen for terminal.reader.action_* webhooks) for the result
+ * @param {string} accountId - Stripe account ID
+ * @param {string} readerId - Reader ID
+ * @param {object} paymentData - Payment data
+ * @param {string} paymentData.paymentIntentId - PaymentIntent from the create-intent endpoints
+ * @param {boolean} paymentData.skipTipping - Skip on-reader tipping for this payment (optional)
+ * @returns {Promise<object>} Reader with its current action
+ */
+const processPaymentService = async (accountId, readerId, paymentData) => {
+  const { paymentIntentId, skipTipping = false } = paymentData;
+
+  try {
+    // Record which reader took the payment (synced to the ledger's readerId)
+    await stripe.paymentIntents.update(
+      paymentIntentId,
+      { metadata: { readerId } },
+      { stripeAccount: accountId }
+    );
+
+    const reader = await stripe.terminal.readers.processPaymentIntent(
+      readerId,
+      {
+        payment_intent: paymentIntentId,
+        ...(skipTipping && { process_config: { skip_tipping: true } }),
+      },
+      { stripeAccount: accountId }
+    );
+
+    return formatReader(reader);
+  } catch (error) {
+    throw toReaderError(error, 'Error processing payment on reader');
+  }
+};
+
+/**
+ * Cancel the reader's current action (also clears a cart display)
+ * @param {string} accountId - Stripe account ID
+ * @param {string} readerId - Reader ID
+ * @returns {Promise<object>} Reader
+ */
+const cancelReaderActionService = async (accountId, readerId) => {
+  try {
+    const reader = await stripe.terminal.readers.cancelAction(readerId, {}, {
+      stripeAccount: accountId,
+    });
+
+    return formatReader(reader);
+  } catch (error) {
+    throw toReaderError(error, 'Error canceling reader action');
+  }
+};
+
+/**
+ * Validate a cart to show on the reader display
+ * @param {object} cart - Cart from the request body
+ * @returns {object} Validated cart (amounts in cents)
+ * @throws {Error} If the cart is invalid (with statusCode 400)
+ */
+const validateReaderCart = (cart) => {
+  if (!cart || typeof cart !== 'object') {
+    throw invalidArgument('cart is required');
+  }
+
+  const { lineItems, tax = 0, total, currency = 'usd' } = cart;
+
+  if (!Array.isArray(lineItems) || lineItems.length === 0) {
+    throw invalidArgument('cart.lineItems must be a non-empty array');
+  }
+
+  lineItems.forEach((item, i) => {
+    if (!item.description || typeof item.description !== 'string') {
+      throw invalidArgument(`cart.lineItems[${i}].description is required and must be a string`);
+    }
+    if (!Number.isInteger(item.amount)) {
+      throw invalidArgument(`cart.lineItems[${i}].amount must be an integer (in cents)`);
+    }
+    if (!Number.isInteger(item.quantity) || item.quantity <= 0) {
+      throw invalidArgument(`cart.lineItems[${i}].quantity must be a positive integer`);
+    }
+  });
+
+  if (!Number.isInteger(tax) || tax < 0) {
+    throw invalidArgument('cart.tax must be a non-negative integer (in cents)');
+  }
+
+  if (!Number.isInteger(total) || total < 0) {
+    throw invalidArgument('cart.total is required and must be a non-negative integer (in cents)');
+  }
+
+  if (typeof currency !== 'string' || !/^[a-zA-Z]{3}$/.test(currency)) {
+    throw invalidArgument('cart.currency must be a 3-letter currency code');
+  }
+
+  return {
+    currency: currency.toLowerCase(),
+    line_items: lineItems.map((item) => ({
+      description: item.description,
+      amount: item.amount,
+      quantity: item.quantity,
+    })),
+    tax,
+    total,
+  };
+};
+
+/**
+ * Show a cart on the reader display
+ * @param {string} accountId - Stripe account ID
+ * @param {string} readerId - Reader ID
+ * @param {object} cart - Cart from validateReaderCart
+ * @returns {Promise<object>} Reader
+ */
+const setReaderDisplayService = async (accountId, readerId, cart) => {
+  try {
+    const reader = await stripe.terminal.readers.setReaderDisplay(
+      readerId,
+      { type: 'cart', cart },
+      { stripeAccount: accountId }
+    );
+
+    return formatReader(reader);
+  } catch (error) {
+    throw toReaderError(error, 'Error setting reader display');
+  }
+};
+
+/**
+ * Refund a payment with the card present on the reader (required for Interac)
+ * @param {string} accountId - Stripe account ID
+ * @param {string} readerId - Reader ID
+ * @param {object} refundData - Refund data
+ * @param {string|null} refundData.chargeId - Charge to refund (either this or paymentIntentId)
+ * @param {string|null} refundData.paymentIntentId - PaymentIntent to refund
+ * @param {number|null} refundData.amount - Amount to refund in cents (optional, full refund by default)
+ * @param {string|null} refundData.staffId - Staff member issuing the refund (optional)
+ * @returns {Promise<object>} Reader with its current action
+ */
+const refundPaymentService = async (accountId, readerId, refundData) => {
+  const { chargeId = null, paymentIntentId = null, amount = null, staffId = null } = refundData;
+
+  try {
+    const reader = await stripe.terminal.readers.refundPayment(
+      readerId,
+      {
+        ...(chargeId ? { charge: chargeId } : { payment_intent: paymentIntentId }),
+        ...(amount && { amount }),
+        ...(staffId && { metadata: { staffId } }),
+      },
+      { stripeAccount: accountId }
+    );
+
+    return formatReader(reader);
+  } catch (error) {
+    throw toReaderError(error, 'Error refunding payment on reader');
+  }
+};
+
+/**
+ * Get a reader's current action for polling
+ * @param {string} accountId - Stripe account ID
+ * @param {string} readerId - Reader ID
+ * @returns {Promise<object>} Reader status and current action
+ */
+const getReaderActionService = async (accountId, readerId) => {
+  const reader = await retrieveReader(accountId, readerId);
+
+  return {
+    readerId: reader.id,
+    status: reader.status || 'offline',
+    lastSeenAt: reader.last_seen_at ? new Date(reader.last_seen_at).toISOString() : null,
+    action: formatReaderAction(reader.action),
+  };
+};
+
 module.exports = {
-  validateStripeAccount,
+  validateLocationAddress,
   listLocationsService,
   createLocationService,
+  updateLocationService,
+  deleteLocationService,
   getOrCreateLocationService,
   registerReaderService,
+  validateConfigurationInput,
+  listConfigurationsService,
+  createConfigurationService,
+  updateConfigurationService,
+  assignConfigurationService,
+  uploadSplashscreenService,
+  setLocationSplashscreenService,
+  validateReaderFilters,
+  listReadersService,
+  getReaderService,
+  validateReaderUpdateInput,
+  updateReaderService,
+  deleteReaderService,
+  processPaymentService,
+  cancelReaderActionService,
+  validateReaderCart,
+  setReaderDisplayService,
+  refundPaymentService,
+  getReaderActionService,
 };
 
@@ -0,0 +1,128 @@
+const { successResponse, errorResponse } = require('../../utils/response.js');
+const { getClientDetails } = require('../../utils/request.js');
+const { revokeSessionService } = require('../auth/services.js');
+const {
+  validateStaffInput,
+  listStaffService,
+  createStaffService,
+  updateStaffService,
+  deactivateStaffService,
+  staffLoginService,
+} = require('./services.js');
+
+/**
+ * List the merchant's staff members
+ * GET /api/staff
+ */
+const listStaff = async (req, res, next) => {
+  try {
+    const userId = req.user.userId;
+
+    const staff = await listStaffService(userId);
+
+    res.json(successResponse(staff, 'Staff retrieved successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create a staff member with a role and PIN
+ * POST /api/staff
+ */
+const createStaff = async (req, res, next) => {
+  try {
+    const userId = req.user.userId;
+
+    // Validate and normalize input
+    const data = validateStaffInput(req.body || {});
+
+    const staff = await createStaffService(userId, data);
+
+    res.status(201).json(successResponse(staff, 'Staff member created successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update a staff member's name, role, PIN or active flag
+ * PATCH /api/staff/:staffId
+ */
+const updateStaff = async (req, res, next) => {
+  try {
+    const userId = req.user.userId;
+    const { staffId } = req.params;
+
+    // Validate and normalize input
+    const data = validateStaffInput(req.body || {}, { partial: true });
+
+    const staff = await updateStaffService(userId, staffId, data);
+
+    res.json(successResponse(staff, 'Staff member updated successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Deactivate a staff member and sign them out
+ * DELETE /api/staff/:staffId
+ */
+const deactivateStaff = async (req, res, next) => {
+  try {
+    const userId = req.user.userId;
+    const { staffId } = req.params;
+
+    const staff = await deactivateStaffService(userId, staffId);
+
+    res.json(successResponse(staff, 'Staff member deactivated successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Sign a staff member in on a shared device with their PIN
+ * POST /api/staff/login
+ */
+const staffLogin = async (req, res, next) => {
+  try {
+    const { userId, email, staffId: currentStaffId, sessionId, stripeAccountId } = req.user;
+    const { staffId, pin } = req.body || {};
+
+    // Input validation
+    if (!staffId || typeof staffId !== 'string') {
+      return res.status(400).json(errorResponse('staffId is required and must be a string', 'invalid-argument'));
+    }
+
+    if (!pin || typeof pin !== 'string') {
+      return res.status(400).json(errorResponse('pin is required and must be a string', 'invalid-argument'));
+    }
+
+    const session = await staffLoginService(
+      { id: userId, email },
+      staffId,
+      pin,
+      getClientDetails(req),
+      stripeAccountId
+    );
+
+    // Switching staff on a shared device ends the previous staff member's session
+    if (currentStaffId) {
+      await revokeSessionService(userId, sessionId);
+    }
+
+    res.json(successResponse(session, 'Staff member logged in successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  listStaff,
+  createStaff,
+  updateStaff,
+  deactivateStaff,
+  staffLogin,
+};
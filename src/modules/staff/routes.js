@@ -0,0 +1,23 @@
+const express = require('express');
+const { authenticate } = require('../../middleware/auth.js');
+const { authorize } = require('../../middleware/authorize.js');
+const {
+  listStaff,
+  createStaff,
+  updateStaff,
+  deactivateStaff,
+  staffLogin,
+} = require('./controller.js');
+
+const router = express.Router();
+
+// PIN login on a shared device - requires the device's existing session
+router.post('/login', authenticate, staffLogin);
+
+// Staff management - requires authentication and role permissions
+router.get('/', authenticate, authorize('staff:read'), listStaff);
+router.post('/', authenticate, authorize('staff:write'), createStaff);
+router.patch('/:staffId', authenticate, authorize('staff:write'), updateStaff);
+router.delete('/:staffId', authenticate, authorize('staff:write'), deactivateStaff);
+
+module.exports = router;
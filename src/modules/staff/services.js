@@ -0,0 +1,275 @@
+const bcrypt = require('bcryptjs');
+const prisma = require('../../config/database.js');
+const { ROLES } = require('../../middleware/authorize.js');
+const { createSessionService } = require('../auth/services.js');
+
+const PIN_PATTERN = /^\d{4,8}$/;
+const PIN_HASH_ROUNDS = 10;
+const MAX_NAME_LENGTH = 100;
+
+// Lock a staff member out after repeated wrong PINs so a shared device can't be brute-forced
+const MAX_PIN_ATTEMPTS = parseInt(process.env.STAFF_PIN_MAX_ATTEMPTS, 10) || 5;
+const PIN_LOCKOUT_MINUTES = parseInt(process.env.STAFF_PIN_LOCKOUT_MINUTES, 10) || 15;
+
+/**
+ * Build an error with a status code
+ * @param {number} statusCode - HTTP status code
+ * @param {string} message - Error message
+ * @param {string} code - Error code
+ * @returns {Error} Error with statusCode and code set
+ */
+const staffError = (statusCode, message, code) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.code = code;
+  return error;
+};
+
+/**
+ * Format a staff member for API responses (the PIN hash never leaves the server)
+ * @param {object} staff - Staff record
+ * @returns {object} Formatted staff member
+ */
+const formatStaff = (staff) => ({
+  staffId: staff.id,
+  name: staff.name,
+  role: staff.role,
+  active: staff.active,
+  locked: Boolean(staff.lockedUntil && staff.lockedUntil > new Date()),
+  lastLoginAt: staff.lastLoginAt,
+  createdAt: staff.createdAt,
+});
+
+/**
+ * Validate staff create/update input
+ * @param {object} body - Request body
+ * @param {object} options - Validation options
+ * @param {boolean} options.partial - Allow missing fields (updates)
+ * @returns {object} Validated fields
+ * @throws {Error} If a field is invalid (with statusCode 400)
+ */
+const validateStaffInput = (body, { partial = false } = {}) => {
+  const { name, role, pin, active } = body;
+  const data = {};
+
+  if (name !== undefined || !partial) {
+    if (typeof name !== 'string' || !name.trim() || name.trim().length > MAX_NAME_LENGTH) {
+      throw staffError(400, `name is required and must be at most ${MAX_NAME_LENGTH} characters`, 'invalid-argument');
+    }
+    data.name = name.trim();
+  }
+
+  if (role !== undefined || !partial) {
+    if (!ROLES.includes(role)) {
+      throw staffError(400, `role must be one of: ${ROLES.join(', ')}`, 'invalid-argument');
+    }
+    data.role = role;
+  }
+
+  if (pin !== undefined || !partial) {
+    if (typeof pin !== 'string' || !PIN_PATTERN.test(pin)) {
+      throw staffError(400, 'pin must be a string of 4 to 8 digits', 'invalid-argument');
+    }
+    data.pin = pin;
+  }
+
+  if (active !== undefined) {
+    if (!partial || typeof active !== 'boolean') {
+      throw staffError(400, 'active must be a boolean and can only be set on update', 'invalid-argument');
+    }
+    data.active = active;
+  }
+
+  if (partial && Object.keys(data).length === 0) {
+    throw staffError(400, 'Provide at least one of: name, role, pin, active', 'invalid-argument');
+  }
+
+  return data;
+};
+
+/**
+ * Find a staff member belonging to a merchant
+ * @param {string} userId - Merchant user ID
+ * @param {string} staffId - Staff ID
+ * @returns {Promise<object>} Staff record
+ * @throws {Error} If the staff member does not exist (with statusCode 404)
+ */
+const findStaff = async (userId, staffId) => {
+  const staff = await prisma.staff.findFirst({
+    where: { id: staffId, userId },
+  });
+
+  if (!staff) {
+    throw staffError(404, 'Staff member not found', 'not-found');
+  }
+
+  return staff;
+};
+
+/**
+ * Revoke every active session of a staff member
+ * @param {string} staffId - Staff ID
+ * @returns {Promise<number>} Number of sessions revoked
+ */
+const revokeStaffSessions = async (staffId) => {
+  const result = await prisma.session.updateMany({
+    where: { staffId, revokedAt: null },
+    data: { revokedAt: new Date() },
+  });
+
+  return result.count;
+};
+
+/**
+ * List a merchant's staff members
+ * @param {string} userId - Merchant user ID
+ * @returns {Promise<Array>} Staff members, active first then by name
+ */
+const listStaffService = async (userId) => {
+  try {
+    const staff = await prisma.staff.findMany({
+      where: { userId },
+      orderBy: [{ active: 'desc' }, { name: 'asc' }],
+    });
+
+    return staff.map(formatStaff);
+  } catch (error) {
+    throw new Error(error.message || 'Error listing staff');
+  }
+};
+
+/**
+ * Create a staff member
+ * @param {string} userId - Merchant user ID
+ * @param {object} data - Validated input from validateStaffInput
+ * @returns {Promise<object>} Created staff member
+ */
+const createStaffService = async (userId, data) => {
+  try {
+    const staff = await prisma.staff.create({
+      data: {
+        userId,
+        name: data.name,
+        role: data.role,
+        pinHash: await bcrypt.hash(data.pin, PIN_HASH_ROUNDS),
+      },
+    });
+
+    return formatStaff(staff);
+  } catch (error) {
+    throw new Error(error.message || 'Error creating staff member');
+  }
+};
+
+/**
+ * Update a staff member
+ * Changing the PIN clears any lockout; changing the PIN or deactivating signs the staff member out everywhere
+ * @param {string} userId - Merchant user ID
+ * @param {string} staffId - Staff ID
+ * @param {object} data - Validated input from validateStaffInput
+ * @returns {Promise<object>} Updated staff member
+ */
+const updateStaffService = async (userId, staffId, data) => {
+  await findStaff(userId, staffId);
+
+  try {
+    const { pin, ...fields } = data;
+    const update = { ...fields };
+
+    if (pin) {
+      update.pinHash = await bcrypt.hash(pin, PIN_HASH_ROUNDS);
+      update.failedPinAttempts = 0;
+      update.lockedUntil = null;
+    }
+
+    const staff = await prisma.staff.update({
+      where: { id: staffId },
+      data: update,
+    });
+
+    if (pin || data.active === false) {
+      await revokeStaffSessions(staffId);
+    }
+
+    return formatStaff(staff);
+  } catch (error) {
+    throw new Error(error.message || 'Error updating staff member');
+  }
+};
+
+/**
+ * Deactivate a staff member and sign them out
+ * Staff are never hard-deleted so payments keep pointing at who made them
+ * @param {string} userId - Merchant user ID
+ * @param {string} staffId - Staff ID
+ * @returns {Promise<object>} Deactivated staff member
+ */
+const deactivateStaffService = async (userId, staffId) => {
+  return updateStaffService(userId, staffId, { active: false });
+};
+
+/**
+ * Sign a staff member in on a shared device with their PIN
+ * The device is already signed in as the merchant (or another staff member); the new
+ * session is tied to the same merchant and scoped to the staff member's role
+ * @param {object} user - Merchant user with id and email
+ * @param {string} staffId - Staff ID
+ * @param {string} pin - PIN entered on the device
+ * @param {object} client - Client details for the session
+ * @param {string|null} stripeAccountId - Stripe account the device is working on (kept for the new session)
+ * @returns {Promise<object>} Session tokens and the staff member
+ * @throws {Error} If the PIN is wrong (401) or the staff member is locked out (423)
+ */
+const staffLoginService = async (user, staffId, pin, client = {}, stripeAccountId = null) => {
+  const staff = await prisma.staff.findFirst({
+    where: { id: staffId, userId: user.id, active: true },
+  });
+
+  if (!staff) {
+    throw staffError(401, 'Invalid staff member or PIN', 'invalid-credentials');
+  }
+
+  if (staff.lockedUntil && staff.lockedUntil > new Date()) {
+    throw staffError(423, 'Too many incorrect PIN attempts. Try again later.', 'staff-locked');
+  }
+
+  if (!(await bcrypt.compare(pin, staff.pinHash))) {
+    const failedPinAttempts = staff.failedPinAttempts + 1;
+    const locked = failedPinAttempts >= MAX_PIN_ATTEMPTS;
+
+    await prisma.staff.update({
+      where: { id: staff.id },
+      data: {
+        failedPinAttempts: locked ? 0 : failedPinAttempts,
+        lockedUntil: locked ? new Date(Date.now() + PIN_LOCKOUT_MINUTES * 60 * 1000) : null,
+      },
+    });
+
+    throw staffError(401, 'Invalid staff member or PIN', 'invalid-credentials');
+  }
+
+  const updated = await prisma.staff.update({
+    where: { id: staff.id },
+    data: {
+      failedPinAttempts: 0,
+      lockedUntil: null,
+      lastLoginAt: new Date(),
+    },
+  });
+
+  const session = await createSessionService(user, client, { staffId: staff.id, stripeAccountId });
+
+  return {
+    ...session,
+    staff: formatStaff(updated),
+  };
+};
+
+module.exports = {
+  validateStaffInput,
+  listStaffService,
+  createStaffService,
+  updateStaffService,
+  deactivateStaffService,
+  staffLoginService,
+};
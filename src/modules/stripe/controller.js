@@ -1,13 +1,20 @@
 const { successResponse, errorResponse } = require('../../utils/response.js');
-const { generateToken } = require('../../middleware/auth.js');
+const { getClientDetails } = require('../../utils/request.js');
+const { createSessionService } = require('../auth/services.js');
+const { hasPermission } = require('../../middleware/authorize.js');
 const {
-  validateStripeAccount,
   createConnectionTokenService,
   checkExistingAccount,
   generateOAuthUrl,
   handleOAuthCallbackService,
   getAccountStatusService,
+  listAccountsService,
+  switchAccountService,
+  disconnectAccountService,
+  constructWebhookEvent,
+  processWebhookEventService,
 } = require('./services.js');
+const { validateStripeAccount } = require('../../utils/stripeAccount.js');
 
 /**
  * Create connection token for Stripe Terminal
@@ -18,7 +25,7 @@ const createConnectionToken = async (req, res, next) => {
     const userId = req.user.userId;
 
     // Validate Stripe account and get account ID
-    const accountId = await validateStripeAccount(userId);
+    const accountId = await validateStripeAccount(userId, req.user.stripeAccountId);
 
     // Call service to create connection token
     const connectionToken = await createConnectionTokenService(accountId);
@@ -32,20 +39,19 @@ const createConnectionToken = async (req, res, next) => {
 /**
  * Get Stripe OAuth authorization URL
  * GET /api/stripe/oauth-url
+ * Logged-in users pass addAccount=true to link another Stripe account
  */
 const getOAuthUrl = async (req, res, next) => {
   try {
-    const { returnUrl } = req.query;
+    const { returnUrl, addAccount } = req.query;
 
-    // If user is authenticated, check if account already connected
-    if (req.user) {
+    // If user is authenticated, check if account already connected (unless they are linking another one)
+    if (req.user && addAccount !== 'true') {
       const user = await checkExistingAccount(req.user.userId);
 
       if (user) {
-        const token = generateToken({
-          userId: user.id,
-          email: user.email,
-        });
+        // Keep the staff scope so a staff token can't be traded for a merchant session
+        const session = await createSessionService(user, getClientDetails(req), { staffId: req.user.staffId });
         return res.json(successResponse({
           url: null,
           alreadyConnected: true,
@@ -55,13 +61,29 @@ const getOAuthUrl = async (req, res, next) => {
           status: user.stripeAccountStatus,
           chargesEnabled: user.stripeDetails?.charges_enabled,
           detailsSubmitted: user.stripeDetails?.details_submitted,
-          token // JWT token instead of Firebase custom token
+          token: session.token, // Short-lived JWT access token
+          refreshToken: session.refreshToken,
+          expiresIn: session.expiresIn,
         }, 'Stripe account already connected'));
       }
     }
 
-    // Generate OAuth URL
-    const oauthUrl = await generateOAuthUrl(returnUrl);
+    // Linking a Stripe account to the merchant is for owners only
+    if (req.user && !hasPermission(req.user.role, 'account:write')) {
+      return res.status(403).json(errorResponse('Only owners can connect a Stripe account', 'permission-denied'));
+    }
+
+    // The state has to be bound to someone, or any caller could finish the flow
+    const deviceId = req.headers['x-device-id'] || null;
+    if (!req.user && !deviceId) {
+      return res.status(400).json(errorResponse('X-Device-Id header is required when not logged in', 'invalid-argument'));
+    }
+
+    // Generate OAuth URL with a single-use state bound to this device (and user, if logged in)
+    const oauthUrl = await generateOAuthUrl(returnUrl, {
+      userId: req.user?.userId || null,
+      deviceId,
+    });
 
     res.json(successResponse({
       url: oauthUrl,
@@ -86,22 +108,36 @@ const handleOAuthCallback = async (req, res, next) => {
     }
 
     if (!state) {
-      return res.status(400).json(errorResponse('State parameter is required', 'invalid-argument'));
+      return res.status(400).json(errorResponse('State parameter is required', 'oauth-state-missing'));
     }
 
-    // Call service to handle OAuth callback
-    const result = await handleOAuthCallbackService(code, state);
+    // Only owners may connect or reconnect the merchant's Stripe account
+    if (req.user && !hasPermission(req.user.role, 'account:write')) {
+      return res.status(403).json(errorResponse('Only owners can connect a Stripe account', 'permission-denied'));
+    }
 
-    // Generate JWT token for authentication
-    // Note: stripeAccountId is NOT included in token - it's fetched from DB during auth
-    const token = generateToken({
-      userId: result.userId,
-      email: result.email,
+    // Call service to handle OAuth callback (validates and consumes state first)
+    const result = await handleOAuthCallbackService(code, state, {
+      userId: req.user?.userId || null,
+      deviceId: req.headers['x-device-id'] || null,
     });
 
+    // Start a session: short-lived access token plus rotating refresh token
+    // The session works on the account just connected (stripeAccountId claim); status is still fetched from DB during auth
+    const session = await createSessionService(
+      { id: result.userId, email: result.email },
+      getClientDetails(req),
+      {
+        staffId: req.user?.userId === result.userId ? req.user.staffId : null,
+        stripeAccountId: result.accountId,
+      }
+    );
+
     res.json(successResponse({
       ...result,
-      token, // JWT token instead of Firebase custom token
+      token: session.token, // Short-lived JWT access token
+      refreshToken: session.refreshToken,
+      expiresIn: session.expiresIn,
     }, 'Stripe account connected successfully'));
   } catch (error) {
     console.error('OAuth callback error:', error);
@@ -118,7 +154,7 @@ const getAccountStatus = async (req, res, next) => {
     const userId = req.user.userId;
 
     // Call service to get account status
-    const accountStatus = await getAccountStatusService(userId);
+    const accountStatus = await getAccountStatusService(userId, req.user.stripeAccountId);
 
     res.json(successResponse(accountStatus, 'Stripe account status retrieved successfully'));
   } catch (error) {
@@ -126,9 +162,103 @@ const getAccountStatus = async (req, res, next) => {
   }
 };
 
+/**
+ * List the Stripe accounts linked to the user
+ * GET /api/stripe/accounts
+ */
+const listAccounts = async (req, res, next) => {
+  try {
+    const userId = req.user.userId;
+
+    const accounts = await listAccountsService(userId, req.user.stripeAccountId);
+
+    res.json(successResponse(accounts, 'Stripe accounts retrieved successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Switch the current session to another linked Stripe account
+ * POST /api/stripe/accounts/switch
+ * Returns a new access token carrying the account; the refresh token keeps working and keeps the selection
+ */
+const switchAccount = async (req, res, next) => {
+  try {
+    const { userId, email, sessionId } = req.user;
+    const { accountId } = req.body || {};
+
+    // Input validation
+    if (!accountId || typeof accountId !== 'string') {
+      return res.status(400).json(errorResponse('accountId is required and must be a string', 'invalid-argument'));
+    }
+
+    const result = await switchAccountService({ id: userId, email }, sessionId, accountId);
+
+    res.json(successResponse(result, 'Stripe account switched successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Disconnect the selected Stripe account
+ * POST /api/stripe/disconnect
+ * Sessions working on the account are revoked, so those clients must switch account or log in again via OAuth
+ */
+const disconnectAccount = async (req, res, next) => {
+  try {
+    const userId = req.user.userId;
+
+    // Call service to deauthorize the account and clear local data
+    const result = await disconnectAccountService(userId, req.user.stripeAccountId);
+
+    res.json(successResponse(result, 'Stripe account disconnected successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Receive Stripe Connect webhook events
+ * POST /api/stripe/webhooks
+ * req.body is the raw payload (see express.raw in server.js) so the signature can be verified
+ */
+const handleWebhook = async (req, res, next) => {
+  try {
+    const signature = req.headers['stripe-signature'];
+
+    // Input validation
+    if (!signature) {
+      return res.status(400).json(errorResponse('Stripe-Signature header is required', 'invalid-argument'));
+    }
+
+    if (!Buffer.isBuffer(req.body)) {
+      return res.status(400).json(errorResponse('Webhook payload must be sent as application/json', 'invalid-argument'));
+    }
+
+    // Verify signature and build event
+    const event = constructWebhookEvent(req.body, signature);
+
+    // Deduplicate and dispatch event to its handler
+    const result = await processWebhookEventService(event);
+
+    res.json(successResponse({
+      received: true,
+      duplicate: result.duplicate,
+    }, 'Webhook processed successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
 module.exports = {
   getOAuthUrl,
   handleOAuthCallback,
   getAccountStatus,
+  listAccounts,
+  switchAccount,
   createConnectionToken,
+  disconnectAccount,
+  handleWebhook,
 };
@@ -1,10 +1,15 @@
 const express = require('express');
 const { authenticate, optionalAuth } = require('../../middleware/auth.js');
+const { authorize } = require('../../middleware/authorize.js');
 const {
   getOAuthUrl,
   handleOAuthCallback,
   getAccountStatus,
+  listAccounts,
+  switchAccount,
   createConnectionToken,
+  disconnectAccount,
+  handleWebhook,
 } = require('./controller.js');
 
 const router = express.Router();
@@ -12,13 +17,23 @@ const router = express.Router();
 // OAuth URL - optional auth (for login flow)
 router.get('/oauth-url', optionalAuth, getOAuthUrl);
 
-// OAuth callback - no auth required (creates user)
-router.post('/oauth-callback', handleOAuthCallback);
+// OAuth callback - optional auth (creates user; state is checked against the logged-in user if any)
+router.post('/oauth-callback', optionalAuth, handleOAuthCallback);
 
 // Account status - requires authentication
 router.get('/account-status', authenticate, getAccountStatus);
 
+// Linked Stripe accounts - requires authentication
+router.get('/accounts', authenticate, listAccounts);
+router.post('/accounts/switch', authenticate, switchAccount);
+
 // Connection token - requires authentication
 router.post('/connection-token', authenticate, createConnectionToken);
 
+// Disconnect Stripe account - requires authentication
+router.post('/disconnect', authenticate, authorize('account:write'), disconnectAccount);
+
+// Stripe webhooks - no auth, verified by Stripe-Signature header
+router.post('/webhooks', handleWebhook);
+
 module.exports = router;
@@ -1,34 +1,12 @@
-const { stripe, STRIPE_CLIENT_ID } = require('../../config/stripe.js');
+const { stripe, STRIPE_CLIENT_ID, STRIPE_WEBHOOK_SECRET } = require('../../config/stripe.js');
+const crypto = require('crypto');
 const prisma = require('../../config/database.js');
-const { Buffer } = require('buffer');
-
-/**
- * Validate user has an active Stripe account
- * @param {string} userId - User ID
- * @returns {Promise<string>} Stripe account ID
- * @throws {Error} If account is not connected or not active (with statusCode 400)
- */
-const validateStripeAccount = async (userId) => {
-  const user = await prisma.user.findUnique({
-    where: { id: userId },
-  });
-
-  if (!user?.stripeAccountId) {
-    const error = new Error('Stripe account not connected. Please connect your Stripe account first.');
-    error.statusCode = 400;
-    error.code = 'failed-precondition';
-    throw error;
-  }
-
-  if (user.stripeAccountStatus !== 'active') {
-    const error = new Error('Stripe account is not active. Please complete the onboarding process.');
-    error.statusCode = 400;
-    error.code = 'failed-precondition';
-    throw error;
-  }
-
-  return user.stripeAccountId;
-};
+const { switchSessionAccountService } = require('../auth/services.js');
+const {
+  handlePaymentIntentEventService,
+  handleChargeRefundedService,
+} = require('../payment/services.js');
+const { invalidateCatalog } = require('../product/cache.js');
 
 /**
  * Create connection token for Stripe Terminal
@@ -80,12 +58,124 @@ const checkExistingAccount = async (userId) => {
   }
 };
 
+const OAUTH_STATE_TTL_MINUTES = parseInt(process.env.OAUTH_STATE_TTL_MINUTES, 10) || 10;
+
+/**
+ * Hash an OAuth state value for storage (only hashes are kept in the database)
+ * @param {string} state - State parameter
+ * @returns {string} SHA-256 hex digest
+ */
+const hashOAuthState = (state) => {
+  return crypto.createHash('sha256').update(state).digest('hex');
+};
+
+/**
+ * Build a 400 OAuth state error
+ * @param {string} message - Error message
+ * @param {string} code - Error code
+ * @returns {Error} Error with statusCode and code set
+ */
+const oauthStateError = (message, code) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  error.code = code;
+  return error;
+};
+
+/**
+ * Create a random, single-use OAuth state tied to the requesting device and optional user
+ * @param {string} redirectUri - Redirect URI the flow was started with
+ * @param {object} context - Requester context
+ * @param {string|null} context.userId - Logged-in user ID (optional)
+ * @param {string|null} context.deviceId - Device ID from X-Device-Id header (optional)
+ * @returns {Promise<string>} State parameter
+ */
+const createOAuthStateService = async (redirectUri, context = {}) => {
+  try {
+    const state = crypto.randomBytes(32).toString('base64url');
+
+    // Clean up states that can no longer be used
+    await prisma.oAuthState.deleteMany({
+      where: { expiresAt: { lt: new Date() } },
+    });
+
+    await prisma.oAuthState.create({
+      data: {
+        stateHash: hashOAuthState(state),
+        userId: context.userId || null,
+        deviceId: context.deviceId || null,
+        redirectUri,
+        expiresAt: new Date(Date.now() + OAUTH_STATE_TTL_MINUTES * 60 * 1000),
+      },
+    });
+
+    return state;
+  } catch (error) {
+    throw new Error(error.message || 'Error creating OAuth state');
+  }
+};
+
+/**
+ * Validate an OAuth state from the callback and mark it consumed
+ * @param {string} state - State parameter
+ * @param {object} context - Callback context
+ * @param {string|null} context.userId - Logged-in user ID (optional)
+ * @param {string|null} context.deviceId - Device ID from X-Device-Id header (optional)
+ * @returns {Promise<object>} Consumed OAuth state record
+ * @throws {Error} If the state is missing, forged, expired, replayed or from another device or user (with statusCode 400)
+ */
+const consumeOAuthStateService = async (state, context = {}) => {
+  if (!state) {
+    throw oauthStateError('State parameter is required', 'oauth-state-missing');
+  }
+
+  const record = await prisma.oAuthState.findUnique({
+    where: { stateHash: hashOAuthState(state) },
+  });
+
+  if (!record) {
+    throw oauthStateError('Invalid OAuth state. Please restart the Stripe connection.', 'oauth-state-invalid');
+  }
+
+  if (record.consumedAt) {
+    throw oauthStateError('OAuth state has already been used. Please restart the Stripe connection.', 'oauth-state-replayed');
+  }
+
+  if (record.expiresAt <= new Date()) {
+    throw oauthStateError('OAuth state has expired. Please restart the Stripe connection.', 'oauth-state-expired');
+  }
+
+  // A state is only finished by the user and device that started it, so a link flow started
+  // by someone else can't attach their Stripe account or session to this caller (or vice versa)
+  const deviceMismatch = record.deviceId && record.deviceId !== context.deviceId;
+  const userMismatch = record.userId && record.userId !== context.userId;
+  const unbound = !record.deviceId && !record.userId;
+  if (deviceMismatch || userMismatch || unbound) {
+    throw oauthStateError('OAuth state does not belong to this device. Please restart the Stripe connection.', 'oauth-state-mismatch');
+  }
+
+  // Only one callback can consume the state, even if two arrive at once
+  const consumed = await prisma.oAuthState.updateMany({
+    where: { id: record.id, consumedAt: null },
+    data: { consumedAt: new Date() },
+  });
+
+  if (consumed.count === 0) {
+    throw oauthStateError('OAuth state has already been used. Please restart the Stripe connection.', 'oauth-state-replayed');
+  }
+
+  return record;
+};
+
 /**
  * Generate OAuth URL for Stripe Connect
  * @param {string} returnUrl - Optional return URL
+ * @param {object} context - Requester context used to bind the state
+ * @param {string|null} context.userId - Logged-in user ID (optional)
+ * @param {string|null} context.deviceId - Device ID from X-Device-Id header (optional)
  * @returns {Promise<string>} OAuth authorization URL
  */
-const generateOAuthUrl = async (returnUrl) => {
+const generateOAuthUrl = async (returnUrl, context = {}) => {
   if (!STRIPE_CLIENT_ID) {
     const error = new Error('Stripe Client ID not configured');
     error.statusCode = 500;
@@ -93,7 +183,7 @@ const generateOAuthUrl = async (returnUrl) => {
   }
 
   const redirectUri = returnUrl || 'stripeconnect://stripe/return';
-  const state = Buffer.from(JSON.stringify({ timestamp: Date.now() })).toString('base64');
+  const state = await createOAuthStateService(redirectUri, context);
 
   const oauthUrl = `https://connect.stripe.com/oauth/authorize?` +
     `response_type=code&` +
@@ -167,46 +257,71 @@ const determineAccountStatus = (account) => {
 
 /**
  * Find or create user and stripe details from OAuth callback
+ * An account already linked to a user logs that user in. When the flow was started by a
+ * logged-in user, a new account is linked to them alongside their other accounts.
  * @param {object} oauthData - OAuth response data
  * @param {object} account - Stripe account object
  * @param {string} status - Account status
+ * @param {string|null} userId - User who started the flow (from the OAuth state), if logged in
  * @returns {Promise<object>} User object and isNewUser flag
+ * @throws {Error} If the account is already linked to a different user (with statusCode 409)
  */
-const findOrCreateUserFromOAuth = async (oauthData, account, status) => {
+const findOrCreateUserFromOAuth = async (oauthData, account, status, userId = null) => {
+  const { accountId, accessToken, refreshToken, scope, tokenType, publishableKey } = oauthData;
+
+  // Find the user the account is linked to (kept after a disconnect so reconnecting restores history)
+  const existingDetails = await prisma.stripeDetails.findUnique({
+    where: { stripeAccountId: accountId },
+    select: { userId: true },
+  });
+
+  if (existingDetails && userId && existingDetails.userId !== userId) {
+    const error = new Error('This Stripe account is already connected to another user');
+    error.statusCode = 409;
+    error.code = 'account-already-linked';
+    throw error;
+  }
+
   try {
-    const { accountId, accessToken, refreshToken, scope, tokenType, publishableKey } = oauthData;
-console.log("stripe details",account)
-console.log("oauthData",oauthData)
-    // Find existing user by Stripe Account ID
-    const existingUser = await prisma.user.findUnique({
-      where: { stripeAccountId: accountId },
-      include: { stripeDetails: true },
-    });
+    const ownerId = existingDetails?.userId || userId;
+    const tokenData = {
+      stripeAccountStatus: status,
+      stripeAccessToken: accessToken,
+      stripeRefreshToken: refreshToken,
+      stripeScope: scope,
+      stripeTokenType: tokenType,
+      stripePublishableKey: publishableKey,
+    };
 
     let user;
     let isNewUser = false;
-console.log("existingUser",existingUser)
-    if (existingUser) {
-      // Existing user - update
-      user = await prisma.user.update({
-        where: { id: existingUser.id },
-        data: {
-          stripeAccountStatus: status,
+
+    if (ownerId) {
+      // Existing user - reconnect the account or link it alongside their other accounts
+      await prisma.stripeDetails.upsert({
+        where: { stripeAccountId: accountId },
+        update: {
+          ...tokenData,
           updatedAt: new Date(),
         },
+        create: {
+          ...tokenData,
+          userId: ownerId,
+          stripeAccountId: accountId,
+        },
+      });
+
+      user = await prisma.user.findUnique({
+        where: { id: ownerId },
       });
 
-      // Update stripe details
-      if (existingUser.stripeDetails) {
-        await prisma.stripeDetails.update({
-          where: { userId: user.id },
+      // The user's active account follows this one if it is the active account or none is connected
+      if (!user.stripeAccountId || user.stripeAccountId === accountId || user.stripeAccountStatus === 'not_connected') {
+        user = await prisma.user.update({
+          where: { id: ownerId },
           data: {
+            stripeAccountId: accountId,
             stripeAccountStatus: status,
-            stripeAccessToken: accessToken,
-            stripeRefreshToken: refreshToken,
-            stripeScope: scope,
-            stripeTokenType: tokenType,
-            stripePublishableKey: publishableKey,
             updatedAt: new Date(),
           },
         });
@@ -228,14 +343,9 @@ console.log("existingUser",existingUser)
       // Create stripe details
       await prisma.stripeDetails.create({
         data: {
+          ...tokenData,
           userId: user.id,
           stripeAccountId: accountId,
-          stripeAccountStatus: status,
-          stripeAccessToken: accessToken,
-          stripeRefreshToken: refreshToken,
-          stripeScope: scope,
-          stripeTokenType: tokenType,
-          stripePublishableKey: publishableKey,
         },
       });
 
@@ -252,10 +362,14 @@ console.log("existingUser",existingUser)
  * Handle OAuth callback - complete flow
  * @param {string} code - Authorization code
  * @param {string} state - State parameter
+ * @param {object} context - Callback context (userId, deviceId) checked against the state
  * @returns {Promise<object>} OAuth callback result with account and user info
  */
-const handleOAuthCallbackService = async (code, state) => {
+const handleOAuthCallbackService = async (code, state, context = {}) => {
   try {
+    // Validate and consume state before using the code (CSRF protection)
+    const oauthState = await consumeOAuthStateService(state, context);
+
     // Exchange code for tokens
     const oauthData = await exchangeOAuthCode(code);
     const { accountId } = oauthData;
@@ -266,8 +380,8 @@ const handleOAuthCallbackService = async (code, state) => {
     // Determine status
     const status = determineAccountStatus(account);
 
-    // Find or create user
-    const { user } = await findOrCreateUserFromOAuth(oauthData, account, status);
+    // Find or create user (a flow started while logged in links the account to that user)
+    const { user } = await findOrCreateUserFromOAuth(oauthData, account, status, oauthState.userId);
 
     return {
       accountId,
@@ -280,55 +394,234 @@ const handleOAuthCallbackService = async (code, state) => {
    
   } catch (error) {
     console.log("ERROR FROM HANDLE OAUTH CALLBACK SERVICE",error)
+    if (error.statusCode) {
+      throw error;
+    }
     throw new Error(error.message || 'Error handling OAuth callback');
   }
 };
 
+/**
+ * Check whether a Stripe error means the platform no longer has access to a connected account
+ * @param {Error} error - Error thrown by the Stripe SDK
+ * @returns {boolean} True if access was revoked (or the account no longer exists)
+ */
+const isAccessRevokedError = (error) => {
+  return error?.type === 'StripePermissionError' || error?.code === 'account_invalid';
+};
+
+/**
+ * Mark a connected account as disconnected
+ * Clears the stored OAuth tokens, marks the account not_connected and revokes the sessions working on it.
+ * The stripe details row is kept so reconnecting the same account restores the user's history.
+ * If it was the user's active account, another connected account (if any) becomes active.
+ * @param {string} accountId - Stripe account ID
+ * @returns {Promise<number>} Number of sessions revoked
+ */
+const markAccountDisconnectedService = async (accountId) => {
+  const details = await prisma.stripeDetails.findUnique({
+    where: { stripeAccountId: accountId },
+    select: { userId: true },
+  });
+
+  await prisma.stripeDetails.updateMany({
+    where: { stripeAccountId: accountId },
+    data: {
+      stripeAccountStatus: 'not_connected',
+      stripeAccessToken: null,
+      stripeRefreshToken: null,
+    },
+  });
+
+  const users = await prisma.user.findMany({
+    where: { stripeAccountId: accountId },
+    select: { id: true },
+  });
+
+  await prisma.user.updateMany({
+    where: { stripeAccountId: accountId },
+    data: { stripeAccountStatus: 'not_connected' },
+  });
+
+  // Sessions switched to this account, plus those following it as the user's active account
+  const revoked = await prisma.session.updateMany({
+    where: {
+      revokedAt: null,
+      OR: [
+        { stripeAccountId: accountId },
+        { stripeAccountId: null, userId: { in: users.map((user) => user.id) } },
+      ],
+    },
+    data: { revokedAt: new Date() },
+  });
+  const sessionsRevoked = revoked.count;
+
+  if (details) {
+    const nextAccount = await prisma.stripeDetails.findFirst({
+      where: { userId: details.userId, stripeAccountStatus: { not: 'not_connected' } },
+      orderBy: { createdAt: 'asc' },
+    });
+
+    if (nextAccount && users.some((user) => user.id === details.userId)) {
+      await prisma.user.update({
+        where: { id: details.userId },
+        data: {
+          stripeAccountId: nextAccount.stripeAccountId,
+          stripeAccountStatus: nextAccount.stripeAccountStatus,
+        },
+      });
+    }
+  }
+
+  console.log(`Stripe account ${accountId} disconnected (${sessionsRevoked} session(s) revoked)`);
+  return sessionsRevoked;
+};
+
+/**
+ * Disconnect one of a user's Stripe accounts from the platform
+ * Revokes the platform's OAuth access in Stripe, then clears local account data
+ * @param {string} userId - User ID
+ * @param {string|null} selectedAccountId - Account to disconnect (defaults to the user's active account)
+ * @returns {Promise<object>} Disconnected account ID, status and number of sessions revoked
+ * @throws {Error} If no account is connected (with statusCode 400)
+ */
+const disconnectAccountService = async (userId, selectedAccountId = null) => {
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+  });
+
+  const selected = selectedAccountId || user?.stripeAccountId;
+  const details = selected && await prisma.stripeDetails.findFirst({
+    where: { userId, stripeAccountId: selected },
+  });
+
+  if (!details || details.stripeAccountStatus === 'not_connected') {
+    const error = new Error('No Stripe account is connected');
+    error.statusCode = 400;
+    error.code = 'failed-precondition';
+    throw error;
+  }
+
+  const accountId = details.stripeAccountId;
+
+  try {
+    await stripe.oauth.deauthorize({
+      client_id: STRIPE_CLIENT_ID,
+      stripe_user_id: accountId,
+    });
+  } catch (error) {
+    // Already deauthorized from the Stripe side - only local cleanup is left
+    if (!isAccessRevokedError(error) && error.type !== 'StripeInvalidClientError') {
+      throw error;
+    }
+    console.log(`Stripe account ${accountId} was already deauthorized: ${error.message}`);
+  }
+
+  const sessionsRevoked = await markAccountDisconnectedService(accountId);
+
+  return {
+    accountId,
+    status: 'not_connected',
+    sessionsRevoked,
+  };
+};
+
+// Accounts currently being checked by the access revocation listener
+const pendingAccessChecks = new Set();
+
+/**
+ * Watch Stripe API responses for connected accounts that revoked our access
+ * Any call on behalf of an account that fails with 401/403 is double-checked against the
+ * account itself; if access is really gone, the account is marked disconnected so later
+ * requests fail fast in validateStripeAccount instead of with obscure Stripe errors.
+ */
+const registerAccessRevocationListener = () => {
+  stripe.on('response', (response) => {
+    const accountId = response.account;
+    if (!accountId || (response.status !== 401 && response.status !== 403)) {
+      return;
+    }
+    if (pendingAccessChecks.has(accountId)) {
+      return;
+    }
+
+    pendingAccessChecks.add(accountId);
+
+    // Retrieved without the Stripe-Account header, so this check doesn't trigger the listener again
+    stripe.accounts.retrieve(accountId)
+      .then(() => null)
+      .catch(async (error) => {
+        if (isAccessRevokedError(error)) {
+          await markAccountDisconnectedService(accountId);
+        }
+      })
+      .catch((error) => {
+        console.error(`Failed to check access to Stripe account ${accountId}:`, error);
+      })
+      .finally(() => {
+        pendingAccessChecks.delete(accountId);
+      });
+  });
+};
+
 /**
  * Get account status and update database
  * @param {string} userId - User ID
+ * @param {string|null} selectedAccountId - Account to check (defaults to the user's active account)
  * @returns {Promise<object>} Account status information
  */
-const getAccountStatusService = async (userId) => {
+const getAccountStatusService = async (userId, selectedAccountId = null) => {
   try {
     const user = await prisma.user.findUnique({
       where: { id: userId },
-      include: { stripeDetails: true },
     });
 
-    if (!user?.stripeAccountId) {
+    const selected = selectedAccountId || user?.stripeAccountId;
+    const details = selected && await prisma.stripeDetails.findFirst({
+      where: { userId, stripeAccountId: selected },
+    });
+
+    if (!details) {
+      return {
+        connected: false,
+        status: 'not_connected',
+      };
+    }
+
+    // Disconnected accounts can't be queried until the merchant reconnects
+    if (details.stripeAccountStatus === 'not_connected') {
       return {
         connected: false,
         status: 'not_connected',
+        accountId: details.stripeAccountId,
       };
     }
 
-    const accountId = user.stripeAccountId;
+    const accountId = details.stripeAccountId;
 
     // Get account details from Stripe
-    const account = await retrieveAccount(accountId);
+    let account;
+    try {
+      account = await stripe.accounts.retrieve(accountId);
+    } catch (error) {
+      if (!isAccessRevokedError(error)) {
+        throw error;
+      }
+
+      // Access was revoked from the Stripe dashboard without us receiving the webhook
+      await markAccountDisconnectedService(accountId);
+      return {
+        connected: false,
+        status: 'not_connected',
+        accountId,
+      };
+    }
 
     // Determine status
     const status = determineAccountStatus(account);
 
-    // Update user status in database
-    await prisma.user.update({
-      where: { id: userId },
-      data: {
-        stripeAccountStatus: status,
-        updatedAt: new Date(),
-      },
-    });
-
-    if (user.stripeDetails) {
-      await prisma.stripeDetails.update({
-        where: { userId },
-        data: {
-          stripeAccountStatus: status,
-          updatedAt: new Date(),
-        },
-      });
-    }
+    // Update stored status for the account (and the user, if it is their active account)
+    await syncAccountStatusService(accountId, status);
 
     return {
       connected: true,
@@ -342,12 +635,253 @@ const getAccountStatusService = async (userId) => {
   }
 };
 
+/**
+ * List the Stripe accounts linked to a user
+ * @param {string} userId - User ID
+ * @param {string|null} selectedAccountId - Account the request is working on (req.user.stripeAccountId)
+ * @returns {Promise<Array>} Accounts in the order they were connected
+ */
+const listAccountsService = async (userId, selectedAccountId = null) => {
+  try {
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
+      select: { stripeAccountId: true },
+    });
+
+    const accounts = await prisma.stripeDetails.findMany({
+      where: { userId },
+      select: {
+        stripeAccountId: true,
+        stripeAccountStatus: true,
+        createdAt: true,
+      },
+      orderBy: { createdAt: 'asc' },
+    });
+
+    return accounts.map((details) => ({
+      accountId: details.stripeAccountId,
+      status: details.stripeAccountStatus,
+      connected: details.stripeAccountStatus !== 'not_connected',
+      isDefault: details.stripeAccountId === user?.stripeAccountId,
+      selected: details.stripeAccountId === (selectedAccountId || user?.stripeAccountId),
+      connectedAt: details.createdAt,
+    }));
+  } catch (error) {
+    throw new Error(error.message || 'Error listing Stripe accounts');
+  }
+};
+
+/**
+ * Switch the calling session to another of the user's Stripe accounts
+ * @param {object} user - User with id and email
+ * @param {string} sessionId - Session ID
+ * @param {string} accountId - Stripe account ID to switch to
+ * @returns {Promise<object>} Selected account and a new access token carrying it
+ * @throws {Error} If the account is not linked to the user (with statusCode 404)
+ */
+const switchAccountService = async (user, sessionId, accountId) => {
+  const details = await prisma.stripeDetails.findFirst({
+    where: { userId: user.id, stripeAccountId: accountId },
+    select: { stripeAccountId: true, stripeAccountStatus: true },
+  });
+
+  if (!details) {
+    const error = new Error('Stripe account is not linked to this user');
+    error.statusCode = 404;
+    error.code = 'not-found';
+    throw error;
+  }
+
+  const accessToken = await switchSessionAccountService(user, sessionId, details.stripeAccountId);
+
+  return {
+    accountId: details.stripeAccountId,
+    status: details.stripeAccountStatus,
+    ...accessToken,
+  };
+};
+
+/**
+ * Verify a webhook payload signature and construct the Stripe event
+ * @param {Buffer} payload - Raw request body
+ * @param {string} signature - Stripe-Signature header value
+ * @returns {object} Verified Stripe event
+ * @throws {Error} If the webhook secret is missing or the signature is invalid
+ */
+const constructWebhookEvent = (payload, signature) => {
+  if (!STRIPE_WEBHOOK_SECRET) {
+    const error = new Error('Stripe webhook secret not configured');
+    error.statusCode = 500;
+    throw error;
+  }
+
+  try {
+    return stripe.webhooks.constructEvent(payload, signature, STRIPE_WEBHOOK_SECRET);
+  } catch (err) {
+    const error = new Error(`Webhook signature verification failed: ${err.message}`);
+    error.statusCode = 400;
+    error.code = 'invalid-signature';
+    throw error;
+  }
+};
+
+/**
+ * Update the stored status of a connected account for its user and stripe details
+ * A disconnected account stays disconnected - only the OAuth callback reconnects it, so a
+ * late account.updated event can't mark an account without tokens as active again
+ * @param {string} accountId - Stripe account ID
+ * @param {string} status - Account status
+ */
+const syncAccountStatusService = async (accountId, status) => {
+  await prisma.user.updateMany({
+    where: {
+      stripeAccountId: accountId,
+      // The user's status is nullable, and `not` alone would skip null rows
+      OR: [
+        { stripeAccountStatus: null },
+        { stripeAccountStatus: { not: 'not_connected' } },
+      ],
+    },
+    data: { stripeAccountStatus: status },
+  });
+
+  await prisma.stripeDetails.updateMany({
+    where: {
+      stripeAccountId: accountId,
+      stripeAccountStatus: { not: 'not_connected' },
+    },
+    data: { stripeAccountStatus: status },
+  });
+};
+
+/**
+ * Handle account.updated webhook events
+ * @param {object} account - Stripe account object from the event
+ */
+const handleAccountUpdatedService = async (account) => {
+  const status = determineAccountStatus(account);
+  await syncAccountStatusService(account.id, status);
+};
+
+/**
+ * Handle account.application.deauthorized webhook events
+ * @param {string} accountId - Stripe account ID that revoked access
+ */
+const handleAccountDeauthorizedService = async (accountId) => {
+  await markAccountDisconnectedService(accountId);
+};
+
+/**
+ * Route a verified webhook event to its handler
+ * @param {object} event - Stripe event
+ */
+const dispatchWebhookEvent = async (event) => {
+  const accountId = event.account;
+  const object = event.data.object;
+
+  if (event.type.startsWith('payment_intent.')) {
+    return handlePaymentIntentEventService(accountId, object, event.type);
+  }
+
+  // Catalog changed outside our API (e.g. in the Stripe dashboard)
+  if (event.type.startsWith('product.') || event.type.startsWith('price.')) {
+    return invalidateCatalog(accountId);
+  }
+
+  switch (event.type) {
+    case 'account.updated':
+      return handleAccountUpdatedService(object);
+    case 'account.application.deauthorized':
+      return handleAccountDeauthorizedService(accountId);
+    case 'charge.refunded':
+      return handleChargeRefundedService(accountId, object);
+    default:
+      console.log(`Unhandled webhook event type: ${event.type}`);
+  }
+};
+
+/**
+ * Record a webhook event so it is only processed once
+ * Events that previously failed are claimed again so Stripe retries can succeed
+ * @param {object} event - Stripe event
+ * @returns {Promise<boolean>} True if the event should be processed
+ */
+const claimWebhookEvent = async (event) => {
+  const existing = await prisma.webhookEvent.findUnique({
+    where: { id: event.id },
+  });
+
+  if (existing) {
+    if (existing.status !== 'failed') {
+      return false;
+    }
+
+    const claimed = await prisma.webhookEvent.updateMany({
+      where: { id: event.id, status: 'failed' },
+      data: { status: 'processing', error: null },
+    });
+    return claimed.count === 1;
+  }
+
+  try {
+    await prisma.webhookEvent.create({
+      data: {
+        id: event.id,
+        type: event.type,
+        stripeAccountId: event.account || null,
+      },
+    });
+    return true;
+  } catch (error) {
+    // Another delivery of the same event got there first
+    if (error.code === 'P2002') {
+      return false;
+    }
+    throw error;
+  }
+};
+
+/**
+ * Deduplicate and process a verified webhook event
+ * @param {object} event - Stripe event
+ * @returns {Promise<object>} Processing result with duplicate flag
+ */
+const processWebhookEventService = async (event) => {
+  const shouldProcess = await claimWebhookEvent(event);
+
+  if (!shouldProcess) {
+    return { duplicate: true };
+  }
+
+  try {
+    await dispatchWebhookEvent(event);
+
+    await prisma.webhookEvent.update({
+      where: { id: event.id },
+      data: { status: 'processed', processedAt: new Date() },
+    });
+  } catch (error) {
+    await prisma.webhookEvent.update({
+      where: { id: event.id },
+      data: { status: 'failed', error: error.message },
+    });
+    throw error;
+  }
+
+  return { duplicate: false };
+};
+
 module.exports = {
-  validateStripeAccount,
   createConnectionTokenService,
   checkExistingAccount,
   generateOAuthUrl,
   handleOAuthCallbackService,
   getAccountStatusService,
+  listAccountsService,
+  switchAccountService,
+  disconnectAccountService,
+  registerAccessRevocationListener,
+  constructWebhookEvent,
+  processWebhookEventService,
 };
 
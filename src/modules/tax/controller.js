@@ -0,0 +1,135 @@
+const { successResponse, errorResponse } = require('../../utils/response.js');
+const {
+  listTaxRatesService,
+  validateTaxRateInput,
+  createTaxRateService,
+  listLocationTaxRatesService,
+  addLocationTaxRateService,
+  removeLocationTaxRateService,
+} = require('./services.js');
+const { validateStripeAccount } = require('../../utils/stripeAccount.js');
+
+/**
+ * List tax rates on the connected account
+ * GET /api/tax/rates
+ */
+const listTaxRates = async (req, res, next) => {
+  try {
+    const userId = req.user.userId;
+
+    // Validate Stripe account and get account ID
+    const accountId = await validateStripeAccount(userId, req.user.stripeAccountId);
+
+    const taxRates = await listTaxRatesService(accountId);
+
+    res.json(successResponse({ taxRates }, 'Tax rates retrieved successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create a tax rate on the connected account
+ * POST /api/tax/rates
+ */
+const createTaxRate = async (req, res, next) => {
+  try {
+    const userId = req.user.userId;
+
+    // Validate and normalize input
+    const data = validateTaxRateInput(req.body || {});
+
+    // Validate Stripe account and get account ID
+    const accountId = await validateStripeAccount(userId, req.user.stripeAccountId);
+
+    const taxRate = await createTaxRateService(accountId, data);
+
+    res.status(201).json(successResponse(taxRate, 'Tax rate created successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * List tax rates mapped to a Terminal location
+ * GET /api/tax/locations/:locationId/rates
+ */
+const listLocationTaxRates = async (req, res, next) => {
+  try {
+    const userId = req.user.userId;
+    const { locationId } = req.params;
+
+    // Validate Stripe account and get account ID
+    const accountId = await validateStripeAccount(userId, req.user.stripeAccountId);
+
+    const taxRates = await listLocationTaxRatesService(accountId, locationId);
+
+    res.json(successResponse({ taxRates }, 'Location tax rates retrieved successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Map a tax rate to a Terminal location
+ * POST /api/tax/locations/:locationId/rates
+ */
+const addLocationTaxRate = async (req, res, next) => {
+  try {
+    const userId = req.user.userId;
+    const { locationId } = req.params;
+    const { taxRateId, taxCode = null } = req.body || {};
+
+    // Input validation
+    if (!taxRateId || typeof taxRateId !== 'string') {
+      return res.status(400).json(errorResponse('taxRateId is required and must be a string', 'invalid-argument'));
+    }
+
+    if (taxCode !== null && (typeof taxCode !== 'string' || !taxCode.trim())) {
+      return res.status(400).json(errorResponse('taxCode must be a non-empty string or null', 'invalid-argument'));
+    }
+
+    // Validate Stripe account and get account ID
+    const accountId = await validateStripeAccount(userId, req.user.stripeAccountId);
+
+    const taxRate = await addLocationTaxRateService(
+      accountId,
+      userId,
+      locationId,
+      taxRateId,
+      taxCode ? taxCode.trim() : null
+    );
+
+    res.status(201).json(successResponse(taxRate, 'Tax rate added to location successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Remove a tax rate from a Terminal location
+ * DELETE /api/tax/locations/:locationId/rates/:mappingId
+ */
+const removeLocationTaxRate = async (req, res, next) => {
+  try {
+    const userId = req.user.userId;
+    const { locationId, mappingId } = req.params;
+
+    // Validate Stripe account and get account ID
+    const accountId = await validateStripeAccount(userId, req.user.stripeAccountId);
+
+    await removeLocationTaxRateService(accountId, locationId, mappingId);
+
+    res.json(successResponse({ id: mappingId }, 'Tax rate removed from location successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  listTaxRates,
+  createTaxRate,
+  listLocationTaxRates,
+  addLocationTaxRate,
+  removeLocationTaxRate,
+};
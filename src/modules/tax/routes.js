@@ -0,0 +1,23 @@
+const express = require('express');
+const { authenticate } = require('../../middleware/auth.js');
+const { authorize } = require('../../middleware/authorize.js');
+const {
+  listTaxRates,
+  createTaxRate,
+  listLocationTaxRates,
+  addLocationTaxRate,
+  removeLocationTaxRate,
+} = require('./controller.js');
+
+const router = express.Router();
+
+// Tax rates on the connected account - requires authentication
+router.get('/rates', authenticate, listTaxRates);
+router.post('/rates', authenticate, authorize('settings:write'), createTaxRate);
+
+// Tax rates applied at a Terminal location - requires authentication
+router.get('/locations/:locationId/rates', authenticate, listLocationTaxRates);
+router.post('/locations/:locationId/rates', authenticate, authorize('locations:write'), addLocationTaxRate);
+router.delete('/locations/:locationId/rates/:mappingId', authenticate, authorize('locations:write'), removeLocationTaxRate);
+
+module.exports = router;
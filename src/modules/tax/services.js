@@ -0,0 +1,319 @@
+const { stripe } = require('../../config/stripe.js');
+const prisma = require('../../config/database.js');
+
+/**
+ * Build a 400 validation error
+ * @param {string} message - Error message
+ * @returns {Error} Error with statusCode and code set
+ */
+const invalidArgument = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  error.code = 'invalid-argument';
+  return error;
+};
+
+/**
+ * Build a 404 error
+ * @param {string} message - Error message
+ * @returns {Error} Error with statusCode and code set
+ */
+const notFound = (message) => {
+  const error = new Error(message);
+  error.statusCode = 404;
+  error.code = 'not-found';
+  return error;
+};
+
+/**
+ * Map a Stripe tax rate to the API shape
+ * @param {object} taxRate - Stripe tax rate
+ * @returns {object} Tax rate
+ */
+const formatTaxRate = (taxRate) => {
+  return {
+    id: taxRate.id,
+    displayName: taxRate.display_name,
+    description: taxRate.description,
+    percentage: taxRate.percentage,
+    inclusive: taxRate.inclusive,
+    jurisdiction: taxRate.jurisdiction,
+    country: taxRate.country,
+    state: taxRate.state,
+    active: taxRate.active,
+  };
+};
+
+/**
+ * Map a location tax rate mapping to the API shape
+ * @param {object} mapping - LocationTaxRate record
+ * @returns {object} Location tax rate
+ */
+const formatLocationTaxRate = (mapping) => {
+  return {
+    id: mapping.id,
+    locationId: mapping.locationId,
+    taxRateId: mapping.taxRateId,
+    taxCode: mapping.taxCode,
+    displayName: mapping.displayName,
+    percentage: mapping.percentage,
+    inclusive: mapping.inclusive,
+    createdAt: mapping.createdAt,
+  };
+};
+
+/**
+ * List active tax rates on the connected account
+ * @param {string} accountId - Stripe account ID
+ * @returns {Promise<Array>} Array of tax rates
+ */
+const listTaxRatesService = async (accountId) => {
+  try {
+    const taxRates = await stripe.taxRates
+      .list({ active: true, limit: 100 }, { stripeAccount: accountId })
+      .autoPagingToArray({ limit: 10000 });
+
+    return taxRates.map(formatTaxRate);
+  } catch (error) {
+    throw new Error(error.message || 'Error listing tax rates');
+  }
+};
+
+/**
+ * Validate tax rate input from a create request
+ * @param {object} input - Tax rate fields
+ * @returns {object} Normalized tax rate fields
+ * @throws {Error} If input is invalid (with statusCode 400)
+ */
+const validateTaxRateInput = (input) => {
+  if (typeof input.displayName !== 'string' || !input.displayName.trim() || input.displayName.length > 50) {
+    throw invalidArgument('displayName is required and must be at most 50 characters');
+  }
+
+  if (typeof input.percentage !== 'number' || !(input.percentage >= 0 && input.percentage <= 100)) {
+    throw invalidArgument('percentage is required and must be a number between 0 and 100');
+  }
+
+  if (input.inclusive !== undefined && typeof input.inclusive !== 'boolean') {
+    throw invalidArgument('inclusive must be a boolean');
+  }
+
+  for (const field of ['description', 'jurisdiction', 'country', 'state']) {
+    if (input[field] !== undefined && typeof input[field] !== 'string') {
+      throw invalidArgument(`${field} must be a string`);
+    }
+  }
+
+  return {
+    displayName: input.displayName.trim(),
+    percentage: input.percentage,
+    inclusive: input.inclusive || false,
+    description: input.description,
+    jurisdiction: input.jurisdiction,
+    country: input.country,
+    state: input.state,
+  };
+};
+
+/**
+ * Create a tax rate on the connected account
+ * @param {string} accountId - Stripe account ID
+ * @param {object} data - Validated tax rate fields from validateTaxRateInput
+ * @returns {Promise<object>} Created tax rate
+ */
+const createTaxRateService = async (accountId, data) => {
+  try {
+    const taxRate = await stripe.taxRates.create(
+      {
+        display_name: data.displayName,
+        percentage: data.percentage,
+        inclusive: data.inclusive,
+        ...(data.description && { description: data.description }),
+        ...(data.jurisdiction && { jurisdiction: data.jurisdiction }),
+        ...(data.country && { country: data.country }),
+        ...(data.state && { state: data.state }),
+      },
+      {
+        stripeAccount: accountId,
+      }
+    );
+
+    return formatTaxRate(taxRate);
+  } catch (error) {
+    throw new Error(error.message || 'Error creating tax rate');
+  }
+};
+
+/**
+ * List tax rates mapped to a Terminal location
+ * @param {string} accountId - Stripe account ID
+ * @param {string} locationId - Terminal location ID
+ * @returns {Promise<Array>} Array of location tax rates
+ */
+const listLocationTaxRatesService = async (accountId, locationId) => {
+  try {
+    const mappings = await prisma.locationTaxRate.findMany({
+      where: { stripeAccountId: accountId, locationId },
+      orderBy: { createdAt: 'asc' },
+    });
+
+    return mappings.map(formatLocationTaxRate);
+  } catch (error) {
+    throw new Error(error.message || 'Error listing location tax rates');
+  }
+};
+
+/**
+ * Map a tax rate to a Terminal location
+ * Without a taxCode the rate applies to every product sold at the location (and custom amounts);
+ * with a taxCode it only applies to products whose metadata.tax_code matches
+ * @param {string} accountId - Stripe account ID
+ * @param {string} userId - User ID
+ * @param {string} locationId - Terminal location ID
+ * @param {string} taxRateId - Stripe tax rate ID
+ * @param {string|null} taxCode - Product tax code (optional)
+ * @returns {Promise<object>} Created location tax rate
+ * @throws {Error} If the location or tax rate doesn't exist (404), or the mapping exists (409)
+ */
+const addLocationTaxRateService = async (accountId, userId, locationId, taxRateId, taxCode = null) => {
+  let taxRate;
+  try {
+    await stripe.terminal.locations.retrieve(locationId, { stripeAccount: accountId });
+  } catch (error) {
+    if (error.code === 'resource_missing') {
+      throw notFound(`Location ${locationId} not found`);
+    }
+    throw error;
+  }
+
+  try {
+    taxRate = await stripe.taxRates.retrieve(taxRateId, { stripeAccount: accountId });
+  } catch (error) {
+    if (error.code === 'resource_missing') {
+      throw notFound(`Tax rate ${taxRateId} not found`);
+    }
+    throw error;
+  }
+
+  if (!taxRate.active) {
+    throw invalidArgument(`Tax rate ${taxRateId} is archived`);
+  }
+
+  const existing = await prisma.locationTaxRate.findFirst({
+    where: { stripeAccountId: accountId, locationId, taxRateId, taxCode },
+  });
+  if (existing) {
+    const error = new Error('This tax rate is already mapped to the location');
+    error.statusCode = 409;
+    error.code = 'already-exists';
+    throw error;
+  }
+
+  // Stripe tax rate percentages are immutable, so they are copied for local calculations
+  const mapping = await prisma.locationTaxRate.create({
+    data: {
+      userId,
+      stripeAccountId: accountId,
+      locationId,
+      taxRateId,
+      taxCode,
+      displayName: taxRate.display_name,
+      percentage: taxRate.percentage,
+      inclusive: taxRate.inclusive,
+    },
+  });
+
+  return formatLocationTaxRate(mapping);
+};
+
+/**
+ * Remove a tax rate mapping from a location
+ * @param {string} accountId - Stripe account ID
+ * @param {string} locationId - Terminal location ID
+ * @param {string} mappingId - Location tax rate ID
+ * @throws {Error} If the mapping doesn't exist (with statusCode 404)
+ */
+const removeLocationTaxRateService = async (accountId, locationId, mappingId) => {
+  const result = await prisma.locationTaxRate.deleteMany({
+    where: { id: mappingId, stripeAccountId: accountId, locationId },
+  });
+
+  if (result.count === 0) {
+    throw notFound('Location tax rate not found');
+  }
+};
+
+/**
+ * Get the tax rates that apply at a location
+ * @param {string} accountId - Stripe account ID
+ * @param {string|null} locationId - Terminal location ID (no tax without a location)
+ * @returns {Promise<Array>} LocationTaxRate records
+ */
+const getLocationTaxRatesService = async (accountId, locationId) => {
+  if (!locationId) {
+    return [];
+  }
+
+  return prisma.locationTaxRate.findMany({
+    where: { stripeAccountId: accountId, locationId },
+  });
+};
+
+/**
+ * Pick the location tax rates that apply to a product
+ * Products with metadata.tax_code only get rates mapped to that code (none = untaxed);
+ * other products and custom amounts get the location's default rates
+ * @param {Array} locationTaxRates - Rates from getLocationTaxRatesService
+ * @param {string|null} taxCode - Product tax code
+ * @returns {Array} Applicable LocationTaxRate records
+ */
+const selectTaxRates = (locationTaxRates, taxCode = null) => {
+  return locationTaxRates.filter((rate) => (rate.taxCode || null) === (taxCode || null));
+};
+
+/**
+ * Calculate tax on an amount the same way Stripe does for invoices
+ * Exclusive rates are added on top of the amount; inclusive rates are already part of it
+ * @param {number} amount - Amount in cents
+ * @param {Array} taxRates - Applicable LocationTaxRate records
+ * @returns {object} subtotal, tax (total tax), total (amount to charge) and per-rate breakdown, in cents
+ */
+const calculateTax = (amount, taxRates) => {
+  const inclusivePercentage = taxRates
+    .filter((rate) => rate.inclusive)
+    .reduce((sum, rate) => sum + rate.percentage, 0);
+
+  // Inclusive taxes are backed out of the amount to find the taxable base
+  const base = amount / (1 + inclusivePercentage / 100);
+
+  const breakdown = taxRates.map((rate) => ({
+    taxRateId: rate.taxRateId,
+    displayName: rate.displayName,
+    percentage: rate.percentage,
+    inclusive: rate.inclusive,
+    amount: Math.round((base * rate.percentage) / 100),
+  }));
+
+  const exclusiveTax = breakdown
+    .filter((rate) => !rate.inclusive)
+    .reduce((sum, rate) => sum + rate.amount, 0);
+
+  return {
+    subtotal: amount,
+    tax: breakdown.reduce((sum, rate) => sum + rate.amount, 0),
+    total: amount + exclusiveTax,
+    taxBreakdown: breakdown,
+  };
+};
+
+module.exports = {
+  listTaxRatesService,
+  validateTaxRateInput,
+  createTaxRateService,
+  listLocationTaxRatesService,
+  addLocationTaxRateService,
+  removeLocationTaxRateService,
+  getLocationTaxRatesService,
+  selectTaxRates,
+  calculateTax,
+};
@@ -0,0 +1,80 @@
+const { successResponse, errorResponse } = require('../../utils/response.js');
+const {
+  validateTipSettingsInput,
+  getTipSettingsService,
+  updateTipSettingsService,
+  setLocationTippingService,
+} = require('./services.js');
+const { validateStripeAccount } = require('../../utils/stripeAccount.js');
+
+/**
+ * Get tip settings with a tipping flag per location
+ * GET /api/tips/settings
+ */
+const getTipSettings = async (req, res, next) => {
+  try {
+    const userId = req.user.userId;
+
+    // Validate Stripe account and get account ID
+    const accountId = await validateStripeAccount(userId, req.user.stripeAccountId);
+
+    const settings = await getTipSettingsService(userId, accountId);
+
+    res.json(successResponse(settings, 'Tip settings retrieved successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update tip settings and push them to the account's readers
+ * PUT /api/tips/settings
+ */
+const updateTipSettings = async (req, res, next) => {
+  try {
+    const userId = req.user.userId;
+
+    // Validate and normalize input
+    const data = validateTipSettingsInput(req.body || {});
+
+    // Validate Stripe account and get account ID
+    const accountId = await validateStripeAccount(userId, req.user.stripeAccountId);
+
+    const settings = await updateTipSettingsService(userId, accountId, data);
+
+    res.json(successResponse(settings, 'Tip settings updated successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Turn tipping on or off for a Terminal location
+ * PUT /api/tips/locations/:locationId
+ */
+const setLocationTipping = async (req, res, next) => {
+  try {
+    const userId = req.user.userId;
+    const { locationId } = req.params;
+    const { enabled } = req.body || {};
+
+    if (typeof enabled !== 'boolean') {
+      return res.status(400).json(errorResponse('enabled must be a boolean', 'invalid-argument'));
+    }
+
+    // Validate Stripe account and get account ID
+    const accountId = await validateStripeAccount(userId, req.user.stripeAccountId);
+
+    const settings = await setLocationTippingService(userId, accountId, locationId, enabled);
+
+    res.json(successResponse(settings, `Tipping ${enabled ? 'enabled' : 'disabled'} for location`));
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getTipSettings,
+  updateTipSettings,
+  setLocationTipping,
+};
@@ -0,0 +1,19 @@
+const express = require('express');
+const { authenticate } = require('../../middleware/auth.js');
+const { authorize } = require('../../middleware/authorize.js');
+const {
+  getTipSettings,
+  updateTipSettings,
+  setLocationTipping,
+} = require('./controller.js');
+
+const router = express.Router();
+
+// Tip settings for Terminal payments - requires authentication
+router.get('/settings', authenticate, getTipSettings);
+router.put('/settings', authenticate, authorize('settings:write'), updateTipSettings);
+
+// Per-location tipping - requires authentication
+router.put('/locations/:locationId', authenticate, authorize('locations:write'), setLocationTipping);
+
+module.exports = router;
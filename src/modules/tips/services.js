@@ -0,0 +1,417 @@
+const { stripe } = require('../../config/stripe.js');
+const prisma = require('../../config/database.js');
+
+// Stripe readers show at most three tip options
+const MAX_TIP_OPTIONS = 3;
+
+const DEFAULT_TIP_SETTINGS = {
+  enabled: false,
+  currency: 'usd',
+  percentages: [15, 18, 20],
+  fixedAmounts: [],
+  smartTipThreshold: null,
+  allowCustom: true,
+  disabledLocationIds: [],
+  terminalConfigurationId: null,
+};
+
+/**
+ * Build a 400 validation error
+ * @param {string} message - Error message
+ * @returns {Error} Error with statusCode and code set
+ */
+const invalidArgument = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  error.code = 'invalid-argument';
+  return error;
+};
+
+/**
+ * Validate a list of tip options
+ * @param {*} values - Value from the request body
+ * @param {string} field - Field name for error messages
+ * @param {number} max - Largest allowed option
+ * @returns {Array<number>} Validated options
+ */
+const validateTipOptions = (values, field, max) => {
+  if (!Array.isArray(values) || values.length > MAX_TIP_OPTIONS) {
+    throw invalidArgument(`${field} must be an array of at most ${MAX_TIP_OPTIONS} values`);
+  }
+
+  values.forEach((value) => {
+    if (!Number.isInteger(value) || value < 1 || value > max) {
+      throw invalidArgument(`${field} values must be integers between 1 and ${max}`);
+    }
+  });
+
+  return [...values].sort((a, b) => a - b);
+};
+
+/**
+ * Validate tip settings input (only provided fields are validated and returned)
+ * @param {object} input - Tip settings fields
+ * @returns {object} Normalized tip settings fields
+ * @throws {Error} If input is invalid (with statusCode 400)
+ */
+const validateTipSettingsInput = (input) => {
+  const data = {};
+
+  for (const field of ['enabled', 'allowCustom']) {
+    if (input[field] !== undefined) {
+      if (typeof input[field] !== 'boolean') {
+        throw invalidArgument(`${field} must be a boolean`);
+      }
+      data[field] = input[field];
+    }
+  }
+
+  if (input.currency !== undefined) {
+    if (typeof input.currency !== 'string' || !/^[a-zA-Z]{3}$/.test(input.currency)) {
+      throw invalidArgument('currency must be a 3-letter currency code');
+    }
+    data.currency = input.currency.toLowerCase();
+  }
+
+  if (input.percentages !== undefined) {
+    data.percentages = validateTipOptions(input.percentages, 'percentages', 100);
+  }
+
+  if (input.fixedAmounts !== undefined) {
+    // Fixed amounts are in cents
+    data.fixedAmounts = validateTipOptions(input.fixedAmounts, 'fixedAmounts', 99999999);
+  }
+
+  if (input.smartTipThreshold !== undefined) {
+    if (input.smartTipThreshold !== null && (!Number.isInteger(input.smartTipThreshold) || input.smartTipThreshold < 1)) {
+      throw invalidArgument('smartTipThreshold must be a positive integer (in cents) or null');
+    }
+    data.smartTipThreshold = input.smartTipThreshold;
+  }
+
+  return data;
+};
+
+/**
+ * Check whether tipping is on for a location
+ * @param {object} settings - Tip settings
+ * @param {string|null} locationId - Terminal location ID
+ * @returns {boolean} True if readers at the location should prompt for a tip
+ */
+const isLocationTippingEnabled = (settings, locationId) => {
+  return settings.enabled && !(locationId && settings.disabledLocationIds.includes(locationId));
+};
+
+/**
+ * Get stored tip settings for a Stripe account, or the defaults if the merchant never saved any
+ * @param {string} accountId - Stripe account ID
+ * @returns {Promise<object>} Tip settings
+ */
+const findTipSettings = async (accountId) => {
+  const settings = await prisma.tipSettings.findUnique({
+    where: { stripeAccountId: accountId },
+  });
+
+  return settings || DEFAULT_TIP_SETTINGS;
+};
+
+/**
+ * List the account's Terminal locations
+ * @param {string} accountId - Stripe account ID
+ * @returns {Promise<Array>} Stripe locations
+ */
+const listLocations = async (accountId) => {
+  return stripe.terminal.locations
+    .list({ limit: 100 }, { stripeAccount: accountId })
+    .autoPagingToArray({ limit: 10000 });
+};
+
+/**
+ * Check whether a location uses a configuration other than the tipping configuration
+ * (its own from /api/readers, e.g. for a splash screen, or one from the Stripe dashboard)
+ * @param {object} location - Stripe location
+ * @param {string|null} configurationId - Tipping configuration ID
+ * @returns {boolean} True if the location has its own configuration
+ */
+const hasOwnConfiguration = (location, configurationId) => {
+  const current = location.configuration_overrides || null;
+  return Boolean(current && current !== configurationId);
+};
+
+/**
+ * Map tip settings to the API shape
+ * @param {object} settings - Tip settings
+ * @param {Array} locations - Stripe locations
+ * @returns {object} Tip settings with a tipping flag per location
+ */
+const formatTipSettings = (settings, locations) => {
+  return {
+    enabled: settings.enabled,
+    currency: settings.currency,
+    percentages: settings.percentages,
+    fixedAmounts: settings.fixedAmounts, // In cents
+    smartTipThreshold: settings.smartTipThreshold, // In cents
+    allowCustom: settings.allowCustom,
+    terminalConfigurationId: settings.terminalConfigurationId,
+    locations: locations.map((location) => ({
+      locationId: location.id,
+      displayName: location.display_name,
+      tippingEnabled: isLocationTippingEnabled(settings, location.id),
+      // The location has its own Terminal configuration, which the tip options are written into
+      managedByConfiguration: hasOwnConfiguration(location, settings.terminalConfigurationId),
+    })),
+  };
+};
+
+/**
+ * Build the Terminal configuration tipping params from tip settings
+ * @param {object} settings - Tip settings
+ * @returns {object} Tipping params keyed by currency
+ */
+const buildTippingParams = (settings) => ({
+  [settings.currency]: {
+    ...(settings.percentages.length > 0 && { percentages: settings.percentages }),
+    ...(settings.fixedAmounts.length > 0 && { fixed_amounts: settings.fixedAmounts }),
+    ...(settings.smartTipThreshold && { smart_tip_threshold: settings.smartTipThreshold }),
+  },
+});
+
+/**
+ * Create or update the Terminal configuration that carries the tip options
+ * @param {string} accountId - Stripe account ID
+ * @param {object} settings - Tip settings
+ * @returns {Promise<string>} Terminal configuration ID
+ */
+const syncTippingConfiguration = async (accountId, settings) => {
+  const tipping = buildTippingParams(settings);
+
+  if (settings.terminalConfigurationId) {
+    const configuration = await stripe.terminal.configurations.update(
+      settings.terminalConfigurationId,
+      { tipping },
+      { stripeAccount: accountId }
+    );
+    return configuration.id;
+  }
+
+  const configuration = await stripe.terminal.configurations.create(
+    {
+      name: 'Tipping',
+      tipping,
+    },
+    { stripeAccount: accountId }
+  );
+  return configuration.id;
+};
+
+/**
+ * Write the tip options into a location's own configuration, or clear them when tipping is off there
+ * @param {string} accountId - Stripe account ID
+ * @param {string} configurationId - The location's own configuration ID
+ * @param {object} settings - Tip settings
+ * @param {boolean} tippingEnabled - Whether readers using the configuration should prompt for tips
+ */
+const applyConfigurationTipping = async (accountId, configurationId, settings, tippingEnabled) => {
+  await stripe.terminal.configurations.update(
+    configurationId,
+    { tipping: tippingEnabled ? buildTippingParams(settings) : '' },
+    { stripeAccount: accountId }
+  );
+};
+
+/**
+ * Point a location at the tipping configuration, or back to the account default
+ * Locations with their own configuration are handled by applyConfigurationTipping instead
+ * @param {string} accountId - Stripe account ID
+ * @param {object} location - Stripe location
+ * @param {string} configurationId - Tipping configuration ID
+ * @param {boolean} tippingEnabled - Whether readers at the location should prompt for tips
+ */
+const applyLocationTipping = async (accountId, location, configurationId, tippingEnabled) => {
+  const current = location.configuration_overrides || null;
+
+  if (tippingEnabled && !current) {
+    await stripe.terminal.locations.update(
+      location.id,
+      { configuration_overrides: configurationId },
+      { stripeAccount: accountId }
+    );
+  } else if (!tippingEnabled && current === configurationId) {
+    await stripe.terminal.locations.update(
+      location.id,
+      { configuration_overrides: '' },
+      { stripeAccount: accountId }
+    );
+  }
+};
+
+/**
+ * Get tip settings with a tipping flag per location
+ * @param {string} userId - User ID
+ * @param {string} accountId - Stripe account ID
+ * @returns {Promise<object>} Tip settings
+ */
+const getTipSettingsService = async (userId, accountId) => {
+  try {
+    const [settings, locations] = await Promise.all([
+      findTipSettings(accountId),
+      listLocations(accountId),
+    ]);
+
+    return formatTipSettings(settings, locations);
+  } catch (error) {
+    throw new Error(error.message || 'Error getting tip settings');
+  }
+};
+
+/**
+ * Update tip settings and push them to the account's readers (on-reader tipping)
+ * @param {string} userId - User ID
+ * @param {string} accountId - Stripe account ID
+ * @param {object} data - Validated fields from validateTipSettingsInput
+ * @returns {Promise<object>} Updated tip settings
+ */
+const updateTipSettingsService = async (userId, accountId, data) => {
+  const existing = await findTipSettings(accountId);
+  const settings = { ...existing, ...data };
+
+  if (settings.enabled && settings.percentages.length === 0 && settings.fixedAmounts.length === 0) {
+    throw invalidArgument('At least one tip percentage or fixed amount is required to enable tipping');
+  }
+  if (settings.smartTipThreshold && settings.fixedAmounts.length === 0) {
+    throw invalidArgument('fixedAmounts are required when smartTipThreshold is set');
+  }
+
+  try {
+    settings.terminalConfigurationId = await syncTippingConfiguration(accountId, settings);
+
+    // A configuration shared by several locations keeps tipping if any of them has it on
+    const ownConfigurations = new Map();
+    const locations = await listLocations(accountId);
+    for (const location of locations) {
+      const tippingEnabled = isLocationTippingEnabled(settings, location.id);
+
+      if (hasOwnConfiguration(location, settings.terminalConfigurationId)) {
+        const configurationId = location.configuration_overrides;
+        ownConfigurations.set(configurationId, ownConfigurations.get(configurationId) || tippingEnabled);
+      } else {
+        await applyLocationTipping(accountId, location, settings.terminalConfigurationId, tippingEnabled);
+      }
+    }
+
+    for (const [configurationId, tippingEnabled] of ownConfigurations) {
+      await applyConfigurationTipping(accountId, configurationId, settings, tippingEnabled);
+    }
+
+    const fields = {
+      enabled: settings.enabled,
+      currency: settings.currency,
+      percentages: settings.percentages,
+      fixedAmounts: settings.fixedAmounts,
+      smartTipThreshold: settings.smartTipThreshold,
+      allowCustom: settings.allowCustom,
+      disabledLocationIds: settings.disabledLocationIds,
+      terminalConfigurationId: settings.terminalConfigurationId,
+    };
+
+    const saved = await prisma.tipSettings.upsert({
+      where: { stripeAccountId: accountId },
+      update: fields,
+      create: {
+        ...fields,
+        userId,
+        stripeAccountId: accountId,
+      },
+    });
+
+    return formatTipSettings(saved, locations);
+  } catch (error) {
+    throw new Error(error.message || 'Error updating tip settings');
+  }
+};
+
+/**
+ * Turn tipping on or off for a single location
+ * @param {string} userId - User ID
+ * @param {string} accountId - Stripe account ID
+ * @param {string} locationId - Terminal location ID
+ * @param {boolean} enabled - Whether readers at the location should prompt for tips
+ * @returns {Promise<object>} Updated tip settings
+ * @throws {Error} If the location doesn't exist (with statusCode 404)
+ */
+const setLocationTippingService = async (userId, accountId, locationId, enabled) => {
+  const locations = await listLocations(accountId);
+  if (!locations.some((location) => location.id === locationId)) {
+    const error = new Error(`Location ${locationId} not found`);
+    error.statusCode = 404;
+    error.code = 'not-found';
+    throw error;
+  }
+
+  const existing = await findTipSettings(accountId);
+  const disabledLocationIds = existing.disabledLocationIds.filter((id) => id !== locationId);
+  if (!enabled) {
+    disabledLocationIds.push(locationId);
+  }
+
+  return updateTipSettingsService(userId, accountId, { disabledLocationIds });
+};
+
+/**
+ * Check whether readers should prompt for a tip for a payment at a location
+ * @param {string} accountId - Stripe account ID
+ * @param {string|null} locationId - Terminal location ID (optional)
+ * @returns {Promise<boolean>} True if tipping is on
+ */
+const isTippingEnabledService = async (accountId, locationId = null) => {
+  const settings = await findTipSettings(accountId);
+  return isLocationTippingEnabled(settings, locationId);
+};
+
+/**
+ * Get the ID of the shared Terminal configuration that carries the account's tip options
+ * @param {string} accountId - Stripe account ID
+ * @returns {Promise<string|null>} Configuration ID or null if tip settings were never saved
+ */
+const getTippingConfigurationIdService = async (accountId) => {
+  const settings = await findTipSettings(accountId);
+  return settings.terminalConfigurationId;
+};
+
+/**
+ * Re-apply tip settings to one location (e.g. after a configuration was assigned or unassigned)
+ * @param {string} accountId - Stripe account ID
+ * @param {string} locationId - Terminal location ID
+ */
+const syncLocationTippingService = async (accountId, locationId) => {
+  const settings = await findTipSettings(accountId);
+  if (!settings.terminalConfigurationId) {
+    return;
+  }
+
+  try {
+    const location = await stripe.terminal.locations.retrieve(locationId, {
+      stripeAccount: accountId,
+    });
+
+    const tippingEnabled = isLocationTippingEnabled(settings, locationId);
+
+    if (hasOwnConfiguration(location, settings.terminalConfigurationId)) {
+      await applyConfigurationTipping(accountId, location.configuration_overrides, settings, tippingEnabled);
+    } else {
+      await applyLocationTipping(accountId, location, settings.terminalConfigurationId, tippingEnabled);
+    }
+  } catch (error) {
+    throw new Error(error.message || 'Error applying tip settings to location');
+  }
+};
+
+module.exports = {
+  validateTipSettingsInput,
+  getTipSettingsService,
+  updateTipSettingsService,
+  setLocationTippingService,
+  isTippingEnabledService,
+  getTippingConfigurationIdService,
+  syncLocationTippingService,
+};
@@ -14,6 +14,15 @@ const readerRoutes = require('./modules/readers/routes.js');
 const paymentRoutes = require('./modules/payment/routes.js');
 const userRoutes = require('./modules/user/routes.js');
 const productRoutes = require('./modules/product/routes.js');
+const feeRoutes = require('./modules/fees/routes.js');
+const authRoutes = require('./modules/auth/routes.js');
+const inventoryRoutes = require('./modules/inventory/routes.js');
+const couponRoutes = require('./modules/coupons/routes.js');
+const taxRoutes = require('./modules/tax/routes.js');
+const tipRoutes = require('./modules/tips/routes.js');
+const staffRoutes = require('./modules/staff/routes.js');
+const { registerAccessRevocationListener } = require('./modules/stripe/services.js');
+const { startAbandonedCartSweeper } = require('./modules/payment/cartSweeper.js');
 
 // Import middleware
 const logger = require('./middleware/logger.js');
@@ -27,6 +36,10 @@ app.use(cors({
   origin: process.env.CORS_ORIGIN || 'http://localhost:8081',
   credentials: true,
 }));
+
+// Stripe webhooks need the raw body for signature verification,
+// so this must be registered before the JSON body parser
+app.use('/api/stripe/webhooks', express.raw({ type: 'application/json' }));
 app.use(express.json());
 
 // Request logging middleware (should be after body parser)
@@ -56,15 +69,25 @@ app.get('/health', async (req, res) => {
 });
 
 // API Routes
+app.use('/api/auth', authRoutes);
 app.use('/api/stripe', stripeRoutes);
 app.use('/api/readers', readerRoutes);
 app.use('/api/payments', paymentRoutes);
 app.use('/api/user', userRoutes);
 app.use('/api/products', productRoutes);
+app.use('/api/inventory', inventoryRoutes);
+app.use('/api/coupons', couponRoutes);
+app.use('/api/tax', taxRoutes);
+app.use('/api/tips', tipRoutes);
+app.use('/api/staff', staffRoutes);
+app.use('/api/admin', feeRoutes);
 
 // Error handling middleware (must be last)
 app.use(errorHandler);
 
+// Mark connected accounts as disconnected when Stripe reports our access was revoked
+registerAccessRevocationListener();
+
 /**
  * Validate required environment variables before starting server
  */
@@ -75,6 +98,11 @@ function validateEnvironmentVariables() {
       description: 'Secret key for signing JWT tokens',
       generateCommand: 'openssl rand -base64 32',
     },
+    TOKEN_ENCRYPTION_KEYS: {
+      name: 'TOKEN_ENCRYPTION_KEYS',
+      description: 'Master keys for encrypting Stripe tokens at rest (<keyId>:<base64 key>, comma separated)',
+      generateCommand: 'echo "v1:$(openssl rand -base64 32)"',
+    },
   };
 
   const missingVars = [];
@@ -184,6 +212,9 @@ async function startServer() {
     console.log(`📡 API endpoints available at http://localhost:${PORT}/api`);
     console.log(`💾 Database: Connected`);
   });
+
+  // Cancel unpaid product carts and void their invoices
+  startAbandonedCartSweeper();
 }
 
 // Start the server
@@ -0,0 +1,59 @@
+/**
+ * Key-value cache stores
+ *
+ * A store is any object with async get(key), set(key, value, ttlSeconds) and delete(key).
+ * get resolves to undefined on a miss. Values must be JSON-serializable so a shared store
+ * (e.g. Redis) can be dropped in when running more than one server instance.
+ */
+
+/**
+ * Create an in-process cache store
+ * Expired entries are removed lazily on read
+ * @param {object} options - Store options
+ * @param {number} options.maxEntries - Oldest entries are evicted past this size (default 1000)
+ * @returns {object} Store with get, set, delete and clear
+ */
+const createMemoryStore = ({ maxEntries = 1000 } = {}) => {
+  const entries = new Map();
+
+  return {
+    async get(key) {
+      const entry = entries.get(key);
+      if (!entry) {
+        return undefined;
+      }
+
+      if (entry.expiresAt <= Date.now()) {
+        entries.delete(key);
+        return undefined;
+      }
+
+      return entry.value;
+    },
+
+    async set(key, value, ttlSeconds) {
+      // Re-insert so Map order stays oldest-first for eviction
+      entries.delete(key);
+      entries.set(key, {
+        value,
+        expiresAt: Date.now() + ttlSeconds * 1000,
+      });
+
+      if (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+    },
+
+    async delete(key) {
+      entries.delete(key);
+    },
+
+    async clear() {
+      entries.clear();
+    },
+  };
+};
+
+module.exports = {
+  createMemoryStore,
+};
@@ -0,0 +1,237 @@
+/**
+ * Envelope encryption for secrets stored in the database (AES-256-GCM)
+ *
+ * Each value is encrypted with its own random data key; the data key is then encrypted
+ * ("wrapped") with a master key from the environment. Rotating the master key only
+ * requires re-wrapping data keys, not re-encrypting every value.
+ *
+ * Master keys: TOKEN_ENCRYPTION_KEYS="v1:<base64 32 bytes>,v2:<base64 32 bytes>"
+ * Active key for new writes: TOKEN_ENCRYPTION_KEY_ID (defaults to the last key listed)
+ *
+ * Stored format: enc:1:<keyId>:<wrappedDataKey>:<iv>:<authTag>:<ciphertext> (base64url parts)
+ */
+const crypto = require('crypto');
+
+const PREFIX = 'enc';
+const FORMAT_VERSION = '1';
+const ALGORITHM = 'aes-256-gcm';
+const KEY_LENGTH = 32;
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+
+/**
+ * Parse master keys from the environment
+ * @returns {Map<string, Buffer>} Key ID to key
+ * @throws {Error} If a key is malformed
+ */
+const loadMasterKeys = () => {
+  const keys = new Map();
+  const raw = process.env.TOKEN_ENCRYPTION_KEYS || '';
+
+  raw.split(',').map((entry) => entry.trim()).filter(Boolean).forEach((entry) => {
+    const separator = entry.indexOf(':');
+    const keyId = entry.slice(0, separator);
+    const key = Buffer.from(entry.slice(separator + 1), 'base64');
+
+    if (separator <= 0 || key.length !== KEY_LENGTH) {
+      throw new Error(`TOKEN_ENCRYPTION_KEYS entry "${keyId || entry}" must be <keyId>:<base64 ${KEY_LENGTH}-byte key>`);
+    }
+    keys.set(keyId, key);
+  });
+
+  return keys;
+};
+
+const masterKeys = loadMasterKeys();
+const activeKeyId = process.env.TOKEN_ENCRYPTION_KEY_ID || Array.from(masterKeys.keys()).pop() || null;
+
+if (activeKeyId && !masterKeys.has(activeKeyId)) {
+  throw new Error(`TOKEN_ENCRYPTION_KEY_ID "${activeKeyId}" is not listed in TOKEN_ENCRYPTION_KEYS`);
+}
+
+/**
+ * Get a master key by ID
+ * @param {string} keyId - Key ID
+ * @returns {Buffer} Master key
+ * @throws {Error} If the key is not configured
+ */
+const getMasterKey = (keyId) => {
+  const key = masterKeys.get(keyId);
+  if (!key) {
+    throw new Error(`Encryption key "${keyId}" is not configured in TOKEN_ENCRYPTION_KEYS`);
+  }
+  return key;
+};
+
+/**
+ * AES-256-GCM encrypt
+ * @param {Buffer} key - 32-byte key
+ * @param {Buffer} plaintext - Data to encrypt
+ * @returns {object} iv, tag and ciphertext buffers
+ */
+const seal = (key, plaintext) => {
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+
+  return { iv, tag: cipher.getAuthTag(), ciphertext };
+};
+
+/**
+ * AES-256-GCM decrypt
+ * @param {Buffer} key - 32-byte key
+ * @param {Buffer} iv - Initialization vector
+ * @param {Buffer} tag - Authentication tag
+ * @param {Buffer} ciphertext - Encrypted data
+ * @returns {Buffer} Plaintext
+ */
+const open = (key, iv, tag, ciphertext) => {
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+};
+
+/**
+ * Wrap a data key with a master key
+ * @param {string} keyId - Master key ID
+ * @param {Buffer} dataKey - Data key
+ * @returns {string} Wrapped data key (iv | tag | ciphertext, base64url)
+ */
+const wrapDataKey = (keyId, dataKey) => {
+  const { iv, tag, ciphertext } = seal(getMasterKey(keyId), dataKey);
+  return Buffer.concat([iv, tag, ciphertext]).toString('base64url');
+};
+
+/**
+ * Unwrap a data key with a master key
+ * @param {string} keyId - Master key ID
+ * @param {string} wrappedKey - Wrapped data key from wrapDataKey
+ * @returns {Buffer} Data key
+ */
+const unwrapDataKey = (keyId, wrappedKey) => {
+  const raw = Buffer.from(wrappedKey, 'base64url');
+  return open(
+    getMasterKey(keyId),
+    raw.subarray(0, IV_LENGTH),
+    raw.subarray(IV_LENGTH, IV_LENGTH + TAG_LENGTH),
+    raw.subarray(IV_LENGTH + TAG_LENGTH)
+  );
+};
+
+/**
+ * Split a stored value into its parts
+ * @param {string} value - Encrypted value
+ * @returns {object} keyId, wrappedKey, iv, tag and ciphertext
+ */
+const parseEncrypted = (value) => {
+  const [prefix, version, keyId, wrappedKey, iv, tag, ciphertext] = value.split(':');
+
+  if (prefix !== PREFIX || version !== FORMAT_VERSION || ciphertext === undefined) {
+    throw new Error('Unsupported encrypted value format');
+  }
+
+  return { keyId, wrappedKey, iv, tag, ciphertext };
+};
+
+/**
+ * Check whether a stored value is encrypted
+ * @param {string|null} value - Stored value
+ * @returns {boolean} True if the value is in the encrypted format
+ */
+const isEncrypted = (value) => {
+  return typeof value === 'string' && value.startsWith(`${PREFIX}:`);
+};
+
+/**
+ * Get the master key ID a value was wrapped with
+ * @param {string} value - Encrypted value
+ * @returns {string} Key ID
+ */
+const getKeyId = (value) => parseEncrypted(value).keyId;
+
+/**
+ * Encrypt a secret with a fresh data key wrapped by the active master key
+ * Already-encrypted values and null/undefined are returned unchanged
+ * @param {string|null} plaintext - Secret to encrypt
+ * @returns {string|null} Encrypted value
+ * @throws {Error} If no master key is configured
+ */
+const encryptSecret = (plaintext) => {
+  if (plaintext === null || plaintext === undefined || isEncrypted(plaintext)) {
+    return plaintext;
+  }
+
+  if (!activeKeyId) {
+    throw new Error('TOKEN_ENCRYPTION_KEYS is not configured. Cannot store secrets.');
+  }
+
+  const dataKey = crypto.randomBytes(KEY_LENGTH);
+  const { iv, tag, ciphertext } = seal(dataKey, Buffer.from(String(plaintext), 'utf8'));
+
+  return [
+    PREFIX,
+    FORMAT_VERSION,
+    activeKeyId,
+    wrapDataKey(activeKeyId, dataKey),
+    iv.toString('base64url'),
+    tag.toString('base64url'),
+    ciphertext.toString('base64url'),
+  ].join(':');
+};
+
+/**
+ * Decrypt a stored secret
+ * Plaintext values (rows written before encryption was enabled) are returned unchanged
+ * @param {string|null} value - Stored value
+ * @returns {string|null} Plaintext secret
+ */
+const decryptSecret = (value) => {
+  if (!isEncrypted(value)) {
+    return value;
+  }
+
+  const { keyId, wrappedKey, iv, tag, ciphertext } = parseEncrypted(value);
+  const dataKey = unwrapDataKey(keyId, wrappedKey);
+
+  return open(
+    dataKey,
+    Buffer.from(iv, 'base64url'),
+    Buffer.from(tag, 'base64url'),
+    Buffer.from(ciphertext, 'base64url')
+  ).toString('utf8');
+};
+
+/**
+ * Re-wrap an encrypted value's data key with the active master key (key rotation)
+ * The ciphertext itself is unchanged
+ * @param {string} value - Encrypted value
+ * @returns {string} Encrypted value wrapped with the active key
+ */
+const rewrapSecret = (value) => {
+  const { keyId, wrappedKey, iv, tag, ciphertext } = parseEncrypted(value);
+
+  if (keyId === activeKeyId) {
+    return value;
+  }
+
+  const dataKey = unwrapDataKey(keyId, wrappedKey);
+
+  return [
+    PREFIX,
+    FORMAT_VERSION,
+    activeKeyId,
+    wrapDataKey(activeKeyId, dataKey),
+    iv,
+    tag,
+    ciphertext,
+  ].join(':');
+};
+
+module.exports = {
+  activeKeyId,
+  isEncrypted,
+  getKeyId,
+  encryptSecret,
+  decryptSecret,
+  rewrapSecret,
+};
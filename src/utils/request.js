@@ -0,0 +1,20 @@
+/**
+ * Request helpers shared across modules
+ */
+
+/**
+ * Extract client details used to label sessions
+ * @param {object} req - Express request
+ * @returns {object} userAgent, ipAddress and deviceName (X-Device-Name header)
+ */
+const getClientDetails = (req) => {
+  return {
+    userAgent: req.headers['user-agent'] || null,
+    ipAddress: req.ip || null,
+    deviceName: req.headers['x-device-name'] || null,
+  };
+};
+
+module.exports = {
+  getClientDetails,
+};
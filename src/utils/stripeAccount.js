@@ -0,0 +1,47 @@
+const prisma = require('../config/database.js');
+
+/**
+ * Validate the user's selected Stripe account is linked and active
+ * @param {string} userId - User ID
+ * @param {string|null} selectedAccountId - Account chosen for the request (req.user.stripeAccountId, from the
+ *   X-Stripe-Account header or token claim); defaults to the user's active account
+ * @returns {Promise<string>} Stripe account ID
+ * @throws {Error} If account is not linked, not connected or not active (with statusCode 400)
+ */
+const validateStripeAccount = async (userId, selectedAccountId = null) => {
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+  });
+
+  const accountId = selectedAccountId || user?.stripeAccountId;
+  const details = accountId && await prisma.stripeDetails.findFirst({
+    where: { userId, stripeAccountId: accountId },
+  });
+
+  if (!details) {
+    const error = new Error('Stripe account not connected. Please connect your Stripe account first.');
+    error.statusCode = 400;
+    error.code = 'failed-precondition';
+    throw error;
+  }
+
+  if (details.stripeAccountStatus === 'not_connected') {
+    const error = new Error('Stripe account has been disconnected. Please reconnect your Stripe account.');
+    error.statusCode = 400;
+    error.code = 'stripe-account-disconnected';
+    throw error;
+  }
+
+  if (details.stripeAccountStatus !== 'active') {
+    const error = new Error('Stripe account is not active. Please complete the onboarding process.');
+    error.statusCode = 400;
+    error.code = 'failed-precondition';
+    throw error;
+  }
+
+  return details.stripeAccountId;
+};
+
+module.exports = {
+  validateStripeAccount,
+};